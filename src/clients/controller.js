@@ -1,8 +1,42 @@
-const EventEmitterExtra = require('event-emitter-extra');
-class ClientController extends EventEmitterExtra {
+const Controller = require('../controller');
+const Transport = require('../transport/transport');
+const {ValidationError, toSocketKitError} = require('../errors');
+const PageIterator = require('../utils/page-iterator');
+const mapLimit = require('../utils/map-limit');
+const toList = require('../utils/to-list');
+const chunk = (items, size) => {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size)
+    chunks.push(items.slice(i, i + size));
+  return chunks;
+};
+const isEqual = (a, b) => {
+  if (a === b)
+    return true;
+  if (!a || !b || typeof a !== 'object' || typeof b !== 'object')
+    return false;
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length && keys.every(key => isEqual(a[key], b[key]));
+};
+const validateClient = client => {
+  if (!client || !client.uniqueClientKey)
+    return new ValidationError(`uniqueClientKey is required`);
+  if (!client.token)
+    return new ValidationError(`token is required`);
+  if (!client.properties)
+    return new ValidationError(`properties is required`);
+};
+class ClientController extends Controller {
   /**
    * @class ClientController
+   * @extends {Controller}
    * @param  {LineClient} client Line client
+   * @param  {Object} [options={}] options
+   * @param  {OutboundQueue} [options.queue] Outbound queue used while disconnected
+   * @param  {RequestOptions} [options.requestOptions={}] Defaults for every request
+   * @param  {Batcher} [options.batcher] Merges presence updates
+   *
+   * @property {?string} status Status set with `setStatus`, restored after every reconnect
    *
    * @example
    *
@@ -17,9 +51,38 @@ class ClientController extends EventEmitterExtra {
    *   const rooms = socketkit.Clients;
    * });
    */
-  constructor(client) {
-    super();
-    this.client = client;
+  constructor(client, options = {}) {
+    super(client, options);
+    this.status = null;
+    this.presence = {};
+    this.bindEvents();
+  }
+  /**
+   * @summary Bind necessary events
+   * @private
+   * @ignore
+   */
+  bindEvents() {
+    this.client.on(ClientController.Events.PRESENCE_CHANGED, message => {
+      if (message.payload && message.payload.uniqueClientKey)
+        this.setPresence(message.payload);
+    });
+    this.client.on(Transport.Event.CONNECTED, () => {
+      if (this.status && this.status !== ClientController.Status.ONLINE)
+        this.setStatus(this.status).catch(() => {});
+    });
+  }
+  /**
+   * @summary Cache a presence entry and emit `PRESENCE_CHANGED` if the status changed
+   * @private
+   * @ignore
+   * @param {PresencePayload} presence Presence
+   */
+  setPresence(presence) {
+    const current = this.presence[presence.uniqueClientKey];
+    this.presence[presence.uniqueClientKey] = presence;
+    if (!current || current.status !== presence.status)
+      this.emit(ClientController.Events.PRESENCE_CHANGED, presence);
   }
   /**
    * @summary Add client
@@ -28,6 +91,7 @@ class ClientController extends EventEmitterExtra {
    * @param {!string} payload.uniqueClientKey Unique client key
    * @param {!string} payload.token Token you wish to add to client
    * @param {!Object} payload.properties Additional properties for your client
+   * @param {RequestOptions} [requestOptions={}] Timeout, cancellation and retry options
    *
    * @return {Promise}
    *
@@ -51,18 +115,18 @@ class ClientController extends EventEmitterExtra {
    *     .then(client => console.log('Client', client));
    * });
    */
-  create({uniqueClientKey, token, properties} = {}) {
+  create({uniqueClientKey, token, properties} = {}, requestOptions = {}) {
     if (!uniqueClientKey)
-      return Promise.reject(new Error(`uniqueClientKey is required`));
+      return Promise.reject(new ValidationError(`uniqueClientKey is required`));
     if (!token)
-      return Promise.reject(new Error(`token is required`));
+      return Promise.reject(new ValidationError(`token is required`));
     if (!properties)
-      return Promise.reject(new Error(`properties is required`));
-    return this.client.send(ClientController.Events.ADD_CLIENT, {
+      return Promise.reject(new ValidationError(`properties is required`));
+    return this.sendQueued(ClientController.Events.ADD_CLIENT, {
       uniqueClientKey,
       token,
       properties
-    });
+    }, requestOptions);
   }
   /**
    * @summary Insert client even if it exists
@@ -71,6 +135,7 @@ class ClientController extends EventEmitterExtra {
    * @param {!Object} [payload={}] payload
    * @param {!string} payload.token Token you wish to add to client
    * @param {!Object} payload.properties Additional properties for your client
+   * @param {RequestOptions} [requestOptions={}] Timeout, cancellation and retry options
    *
    * @return {Promise}
    *
@@ -90,19 +155,19 @@ class ClientController extends EventEmitterExtra {
    *     .then(client => console.log('Client', client));
    * });
    */
-  upsert(uniqueClientKey, {token, properties} = {}) {
+  upsert(uniqueClientKey, {token, properties} = {}, requestOptions = {}) {
     if (!uniqueClientKey)
-      return Promise.reject(new Error(`uniqueClientKey is required`));
+      return Promise.reject(new ValidationError(`uniqueClientKey is required`));
     if (!token)
-      return Promise.reject(new Error(`token is required`));
+      return Promise.reject(new ValidationError(`token is required`));
     if (!properties)
-      return Promise.reject(new Error(`properties is required`));
-    return this.client.send(ClientController.Events.ADD_CLIENT, {
+      return Promise.reject(new ValidationError(`properties is required`));
+    return this.sendQueued(ClientController.Events.ADD_CLIENT, {
       uniqueClientKey,
       token,
       properties,
       upsert: true
-    });
+    }, requestOptions);
   }
   /**
    * @summary Update client
@@ -111,6 +176,7 @@ class ClientController extends EventEmitterExtra {
    * @param {!Object} [payload={}] payload
    * @param {!string} payload.token Token you wish to change
    * @param {!Object} payload.properties Additional properties for your client
+   * @param {RequestOptions} [requestOptions={}] Timeout, cancellation and retry options
    *
    * @return {Promise}
    *
@@ -130,9 +196,9 @@ class ClientController extends EventEmitterExtra {
    *     .then(client => console.log('Client', client));
    * });
    */
-  update(uniqueClientKey, {token, properties} = {}) {
+  update(uniqueClientKey, {token, properties} = {}, requestOptions = {}) {
     if (!uniqueClientKey)
-      return Promise.reject(new Error(`uniqueClientKey is required`));
+      return Promise.reject(new ValidationError(`uniqueClientKey is required`));
     const updateData = {
       uniqueClientKey
     };
@@ -140,18 +206,19 @@ class ClientController extends EventEmitterExtra {
       updateData.token = token;
     if (properties)
       updateData.properties = properties;
-    return this.client.send(ClientController.Events.UPDATE_CLIENT, updateData);
+    return this.sendQueued(ClientController.Events.UPDATE_CLIENT, updateData, requestOptions);
   }
   /**
    * @summary Delete a client
    * @param  {!string} uniqueClientKey Predefined client key
+   * @param  {RequestOptions} [requestOptions={}] Timeout, cancellation and retry options
    * @return {Promise}
    *
    * @example
    *
    * const socketkit = new SocketKit({
    *   token: 'abc',
-   *   type: SocketKit.ConnectionType.SERVICE
+   *   accountId: 1
    * });
    *
    * socketkit.connect();
@@ -163,14 +230,15 @@ class ClientController extends EventEmitterExtra {
    *     .then(client => console.log('Client', client));
    * });
    */
-  delete(uniqueClientKey) {
+  delete(uniqueClientKey, requestOptions = {}) {
     if (!uniqueClientKey)
-      return Promise.reject(new Error(`uniqueClientKey is required`));
-    return this.client.send(ClientController.Events.DELETE_CLIENT, {uniqueClientKey});
+      return Promise.reject(new ValidationError(`uniqueClientKey is required`));
+    return this.sendQueued(ClientController.Events.DELETE_CLIENT, {uniqueClientKey}, requestOptions);
   }
   /**
    * @summary Get a client
    * @param  {!string} uniqueClientKey Predefined client key
+   * @param  {RequestOptions} [requestOptions={}] Timeout, cancellation and retry options
    * @return {Promise}
    *
    * @example
@@ -189,13 +257,14 @@ class ClientController extends EventEmitterExtra {
    *     .then(client => console.log('Client', client));
    * });
    */
-  findByKey(uniqueClientKey) {
+  findByKey(uniqueClientKey, requestOptions = {}) {
     if (!uniqueClientKey)
-      return Promise.reject(new Error(`uniqueClientKey is required`));
-    return this.client.send(ClientController.Events.GET_CLIENT, {uniqueClientKey});
+      return Promise.reject(new ValidationError(`uniqueClientKey is required`));
+    return this.read(ClientController.Events.GET_CLIENT, {uniqueClientKey}, requestOptions);
   }
   /**
    * @summary Get current client information
+   * @param  {RequestOptions} [requestOptions={}] Timeout, cancellation and retry options
    *
    * @return {Promise}
    *
@@ -215,8 +284,320 @@ class ClientController extends EventEmitterExtra {
    *     .then(client => console.log('Current client', client));
    * });
    */
-  async getCurrent() {
-    return this.client.send(ClientController.Events.GET_CURRENT_CLIENT);
+  async getCurrent(requestOptions = {}) {
+    return this.read(ClientController.Events.GET_CURRENT_CLIENT, undefined, requestOptions);
+  }
+  /**
+   * @summary List clients of the account, one page at a time
+   *
+   * @param {Object} [options={}] options
+   * @param {Object} [options.pagination={}] pagination
+   * @param {Number} [options.pagination.limit=50] Clients per page
+   * @param {?string} [options.pagination.cursor] `nextCursor` of the previous page
+   * @param {Object} [options.filter={}] filter
+   * @param {Object} [options.filter.properties] Property values to match. An array matches any of its values.
+   * @param {Object} [options.sort] sort
+   * @param {string} [options.sort.by='uniqueClientKey'] `uniqueClientKey` or a `properties.<name>` path
+   * @param {string} [options.sort.order='asc'] `asc` or `desc`
+   * @param {RequestOptions} [requestOptions={}] Timeout, cancellation and retry options
+   *
+   * @return {Promise<{clients: Array<Object>, nextCursor: ?string}>} `nextCursor` is `null` on the last page
+   *
+   * @example
+   *
+   * socketkit
+   *   .Clients
+   *   .findAll({
+   *     pagination: {limit: 20},
+   *     filter: {properties: {plan: ['pro', 'team']}},
+   *     sort: {by: 'properties.name'}
+   *   })
+   *   .then(({clients, nextCursor}) => render(clients, nextCursor));
+   */
+  findAll({pagination = {}, filter = {}, sort} = {}, requestOptions = {}) {
+    const {limit = 50, cursor = null} = pagination;
+    if (!(limit > 0))
+      return Promise.reject(new ValidationError(`pagination.limit must be positive`));
+    if (filter.properties && typeof filter.properties !== 'object')
+      return Promise.reject(new ValidationError(`filter.properties must be an object`));
+    const payload = {pagination: {limit, cursor}, filter};
+    if (sort) {
+      const {by = 'uniqueClientKey', order = 'asc'} = sort;
+      if (by !== 'uniqueClientKey' && by.indexOf('properties.') !== 0)
+        return Promise.reject(new ValidationError(`sort.by must be uniqueClientKey or properties.<name>`));
+      if (order !== 'asc' && order !== 'desc')
+        return Promise.reject(new ValidationError(`sort.order must be asc or desc`));
+      payload.sort = {by, order};
+    }
+    return this
+      .read(ClientController.Events.GET_CLIENTS, payload, requestOptions)
+      .then(result => ({clients: toList(result, 'clients'), nextCursor: (result && result.nextCursor) || null}));
+  }
+  /**
+   * @summary Iterate over clients of the account, fetching pages as they are consumed
+   *
+   * @param {Object} [options={}] options
+   * @param {Object} [options.filter] Same as `findAll`
+   * @param {Object} [options.sort] Same as `findAll`
+   * @param {Number} [options.pageSize=50] Clients requested per page
+   * @param {RequestOptions} [requestOptions={}] Options for every page request
+   *
+   * @return {AsyncIterator<Object>}
+   *
+   * @example
+   *
+   * for await (const client of socketkit.Clients.iterateAll({filter: {properties: {plan: 'pro'}}}))
+   *   console.log('Client', client);
+   */
+  iterateAll({filter, sort, pageSize = 50} = {}, requestOptions = {}) {
+    return new PageIterator({
+      fetchPage: cursor => this
+        .findAll({pagination: {limit: pageSize, cursor}, filter, sort}, requestOptions)
+        .then(({clients, nextCursor}) => ({items: clients, cursor: nextCursor}))
+    });
+  }
+  /**
+   * @summary Get many clients in one request. Unknown keys are left out of the result.
+   *
+   * @param {!Array<string>} uniqueClientKeys Unique client keys
+   * @param {RequestOptions} [requestOptions={}] Timeout, cancellation and retry options
+   *
+   * @return {Promise<Array<Object>>}
+   *
+   * @example
+   *
+   * socketkit
+   *   .Clients
+   *   .findManyByKeys(members.map(member => member.uniqueClientKey))
+   *   .then(clients => console.log('Members', clients));
+   */
+  findManyByKeys(uniqueClientKeys, requestOptions = {}) {
+    if (!Array.isArray(uniqueClientKeys) || !uniqueClientKeys.length)
+      return Promise.reject(new ValidationError(`uniqueClientKeys is required`));
+    const keys = uniqueClientKeys.filter((key, index) => uniqueClientKeys.indexOf(key) === index);
+    return this
+      .read(ClientController.Events.GET_CLIENTS_BY_KEYS, {uniqueClientKeys: keys}, requestOptions)
+      .then(result => toList(result, 'clients'));
+  }
+  /**
+   * @summary Create or replace many clients. Clients are sent in batches of `batchSize`, with at most
+   *          `concurrency` batches waiting for a response at a time. Never rejects because of a single client,
+   *          failures are collected in the report instead.
+   *
+   * @param {!Array<{uniqueClientKey: string, token: string, properties: Object}>} clients Clients
+   * @param {Object} [options={}] options
+   * @param {Number} [options.batchSize=100] Clients per request
+   * @param {Number} [options.concurrency=4] Requests in flight
+   * @param {RequestOptions} [requestOptions={}] Options for every batch request
+   *
+   * @return {Promise<BulkReport>}
+   *
+   * @example
+   *
+   * socketkit
+   *   .Clients
+   *   .bulkUpsert(users.map(user => ({uniqueClientKey: user.id, token: user.chatToken, properties: {}})))
+   *   .then(({succeeded, failed}) => console.log(succeeded.length, 'saved', failed));
+   */
+  bulkUpsert(clients, {batchSize = 100, concurrency = 4} = {}, requestOptions = {}) {
+    if (!Array.isArray(clients))
+      return Promise.reject(new ValidationError(`clients must be an array`));
+    const invalid = [];
+    const valid = clients.filter(client => {
+      const error = validateClient(client);
+      if (error)
+        invalid.push({uniqueClientKey: client ? client.uniqueClientKey : undefined, error});
+      return !error;
+    });
+    return this
+      .sendInBatches(ClientController.Events.BULK_ADD_CLIENT, valid, {
+        batchSize,
+        concurrency,
+        getKey: client => client.uniqueClientKey,
+        toPayload: batch => ({
+          clients: batch.map(({uniqueClientKey, token, properties}) => ({uniqueClientKey, token, properties})),
+          upsert: true
+        })
+      }, requestOptions)
+      .then(report => Object.assign(report, {failed: invalid.concat(report.failed)}));
+  }
+  /**
+   * @summary Delete many clients, batched like `bulkUpsert`
+   *
+   * @param {!Array<string>} uniqueClientKeys Unique client keys
+   * @param {Object} [options={}] options
+   * @param {Number} [options.batchSize=100] Clients per request
+   * @param {Number} [options.concurrency=4] Requests in flight
+   * @param {RequestOptions} [requestOptions={}] Options for every batch request
+   *
+   * @return {Promise<BulkReport>}
+   *
+   * @example
+   *
+   * socketkit
+   *   .Clients
+   *   .bulkDelete(['user-1', 'user-2'])
+   *   .then(({failed}) => failed.forEach(({uniqueClientKey, error}) => console.warn(uniqueClientKey, error)));
+   */
+  bulkDelete(uniqueClientKeys, {batchSize = 100, concurrency = 4} = {}, requestOptions = {}) {
+    if (!Array.isArray(uniqueClientKeys))
+      return Promise.reject(new ValidationError(`uniqueClientKeys must be an array`));
+    return this.sendInBatches(ClientController.Events.BULK_DELETE_CLIENT, uniqueClientKeys, {
+      batchSize,
+      concurrency,
+      getKey: uniqueClientKey => uniqueClientKey,
+      toPayload: batch => ({uniqueClientKeys: batch})
+    }, requestOptions);
+  }
+  /**
+   * @summary Make the clients on the server match a desired list. Clients missing on the server are created,
+   *          clients whose properties differ are replaced and, with `prune`, clients missing from the list
+   *          are deleted. Tokens are not compared since the server does not return them.
+   *
+   * @param {!Array<Object>|AsyncIterable<Object>} source Desired clients with `uniqueClientKey`, `token`
+   *                                                     and `properties`
+   * @param {Object} [options={}] options
+   * @param {Boolean} [options.prune=false] Delete clients that are not in `source`
+   * @param {Boolean} [options.allowEmpty=false] Allow `prune` with an empty `source`, which deletes every client
+   * @param {Number} [options.pageSize=100] Clients requested per page while listing the server
+   * @param {Number} [options.batchSize=100] Clients per write request
+   * @param {Number} [options.concurrency=4] Write requests in flight
+   * @param {RequestOptions} [requestOptions={}] Options for every request
+   *
+   * @return {Promise<{created: Array<string>, updated: Array<string>, deleted: Array<string>,
+   *                   unchanged: Array<string>, failed: Array<{uniqueClientKey: string, error: SocketKitError}>}>}
+   *
+   * @example
+   *
+   * socketkit
+   *   .Clients
+   *   .syncFrom(await db.users.findAll(), {prune: true})
+   *   .then(({created, updated, deleted}) => console.log(created.length, updated.length, deleted.length));
+   */
+  async syncFrom(source, {
+    prune = false,
+    allowEmpty = false,
+    pageSize = 100,
+    batchSize = 100,
+    concurrency = 4
+  } = {}, requestOptions = {}) {
+    if (!source)
+      throw new ValidationError(`source is required`);
+    const desired = {};
+    for await (const client of source)
+      if (client && client.uniqueClientKey)
+        desired[client.uniqueClientKey] = client;
+    // An empty source usually means a failed export, pruning would delete every client
+    if (prune && !allowEmpty && !Object.keys(desired).length)
+      throw new ValidationError(`source is empty, pass allowEmpty to delete every client`);
+    const existing = {};
+    for await (const client of this.iterateAll({pageSize}, requestOptions))
+      existing[client.uniqueClientKey] = client;
+    const result = {created: [], updated: [], deleted: [], unchanged: [], failed: []};
+    Object.keys(desired).forEach(key => {
+      if (!existing[key])
+        result.created.push(key);
+      else if (!isEqual(existing[key].properties, desired[key].properties))
+        result.updated.push(key);
+      else
+        result.unchanged.push(key);
+    });
+    const changed = result.created.concat(result.updated);
+    const removed = prune ? Object.keys(existing).filter(key => !desired[key]) : [];
+    const options = {batchSize, concurrency};
+    const upserted = await this.bulkUpsert(changed.map(key => desired[key]), options, requestOptions);
+    const deleted = await this.bulkDelete(removed, options, requestOptions);
+    const failed = upserted.failed.concat(deleted.failed);
+    const isFailed = key => failed.some(item => item.uniqueClientKey === key);
+    result.created = result.created.filter(key => !isFailed(key));
+    result.updated = result.updated.filter(key => !isFailed(key));
+    result.deleted = deleted.succeeded.map(item => item.uniqueClientKey);
+    result.failed = failed;
+    return result;
+  }
+  /**
+   * @summary Split items into batch requests and collect a per item report
+   * @private
+   * @ignore
+   * @param {string} name Event name
+   * @param {Array} items Items
+   * @param {Object} options options
+   * @param {Number} options.batchSize Items per request
+   * @param {Number} options.concurrency Requests in flight
+   * @param {Function} options.getKey Returns the unique client key of an item
+   * @param {Function} options.toPayload Builds the request payload of a batch
+   * @param {RequestOptions} requestOptions Options for every request
+   * @return {Promise<BulkReport>}
+   */
+  sendInBatches(name, items, {batchSize, concurrency, getKey, toPayload}, requestOptions) {
+    if (!(batchSize > 0) || !(concurrency > 0))
+      return Promise.reject(new ValidationError(`batchSize and concurrency must be positive`));
+    const report = {succeeded: [], failed: []};
+    return mapLimit(chunk(items, batchSize), concurrency, batch => this
+      .request(name, toPayload(batch), requestOptions)
+      .then(response => {
+        const results = toList(response, 'results');
+        batch.forEach((item, index) => {
+          const uniqueClientKey = getKey(item);
+          const result = results[index];
+          if (!result)
+            report.failed.push({uniqueClientKey, error: new ValidationError(`Missing result in the response`)});
+          else if (result.error)
+            report.failed.push({uniqueClientKey, error: toSocketKitError(result.error)});
+          else
+            report.succeeded.push({uniqueClientKey, client: result.client});
+        });
+      }, error => {
+        batch.forEach(item => report.failed.push({uniqueClientKey: getKey(item), error}));
+      }))
+      .then(() => report);
+  }
+  /**
+   * @summary Set the presence status of the current client. The server sets `online` on connect and `offline`
+   *          on disconnect by itself; a status set here is sent again after every reconnect.
+   *
+   * @param  {!string} status One of `ClientController.Status`
+   * @param  {RequestOptions} [requestOptions={}] Timeout, cancellation and retry options
+   *
+   * @return {Promise}
+   *
+   * @example
+   *
+   * window.addEventListener('blur', () => socketkit.Clients.setStatus(SocketKit.PresenceStatus.AWAY));
+   * window.addEventListener('focus', () => socketkit.Clients.setStatus(SocketKit.PresenceStatus.ONLINE));
+   */
+  setStatus(status, requestOptions = {}) {
+    const statuses = Object.keys(ClientController.Status).map(key => ClientController.Status[key]);
+    if (statuses.indexOf(status) === -1)
+      return Promise.reject(new ValidationError(`status must be one of ${statuses.join(', ')}`));
+    this.status = status;
+    return this.request(ClientController.Events.SET_PRESENCE, {status}, requestOptions, {batchKey: 'presence'});
+  }
+  /**
+   * @summary Get presence of clients
+   *
+   * @param  {!Array<string>} uniqueClientKeys Unique client keys
+   * @param  {RequestOptions} [requestOptions={}] Timeout, cancellation and retry options
+   *
+   * @return {Promise<Array<PresencePayload>>}
+   *
+   * @example
+   *
+   * socketkit
+   *   .Clients
+   *   .getPresence(['user-1', 'user-2'])
+   *   .then(presence => console.log('Presence', presence));
+   */
+  getPresence(uniqueClientKeys, requestOptions = {}) {
+    if (!Array.isArray(uniqueClientKeys) || !uniqueClientKeys.length)
+      return Promise.reject(new ValidationError(`uniqueClientKeys is required`));
+    return this
+      .read(ClientController.Events.GET_PRESENCE, {uniqueClientKeys}, requestOptions)
+      .then(result => {
+        const presence = toList(result, 'presence');
+        presence.forEach(entry => this.setPresence(entry));
+        return presence;
+      });
   }
 }
 ClientController.Events = {
@@ -224,6 +605,36 @@ ClientController.Events = {
   UPDATE_CLIENT: 'update_client',
   DELETE_CLIENT: 'delete_client',
   GET_CLIENT: 'get_client',
-  GET_CURRENT_CLIENT: 'get_current_client'
+  GET_CURRENT_CLIENT: 'get_current_client',
+  GET_CLIENTS: 'get_clients',
+  GET_CLIENTS_BY_KEYS: 'get_clients_by_keys',
+  BULK_ADD_CLIENT: 'bulk_add_client',
+  BULK_DELETE_CLIENT: 'bulk_delete_client',
+  SET_PRESENCE: 'set_presence',
+  GET_PRESENCE: 'get_presence',
+  PRESENCE_CHANGED: 'presence_changed'
+};
+/**
+ * @summary Presence statuses
+ * @static
+ * @readonly
+ * @enum {string}
+ */
+ClientController.Status = {
+  ONLINE: 'online',
+  AWAY: 'away',
+  OFFLINE: 'offline'
 };
+/**
+ * @typedef {Object} BulkReport
+ * @property {Array<{uniqueClientKey: string, client: Object}>} succeeded Clients the server accepted
+ * @property {Array<{uniqueClientKey: string, error: SocketKitError}>} failed Clients that were rejected,
+ *                                                                        locally or by the server
+ */
+/**
+ * @typedef {Object} PresencePayload
+ * @property {string} uniqueClientKey Client's unique key
+ * @property {string} status One of `ClientController.Status`
+ * @property {?string} lastSeenAt Date the client was last connected
+ */
 module.exports = ClientController;
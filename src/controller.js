@@ -0,0 +1,214 @@
+const EventEmitterExtra = require('event-emitter-extra');
+const {toSocketKitError, AbortError, TimeoutError, ConnectionError} = require('./errors');
+const isRetryable = error => error instanceof TimeoutError || error instanceof ConnectionError;
+const abortError = () => new AbortError(`Request is aborted`);
+const delay = (ms, signal) => new Promise((resolve, reject) => {
+  const onAbort = () => {
+    clearTimeout(timeout);
+    reject(abortError());
+  };
+  const timeout = setTimeout(() => {
+    if (signal)
+      signal.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  if (signal)
+    signal.addEventListener('abort', onAbort);
+});
+class Controller extends EventEmitterExtra {
+  /**
+   * @class Controller
+   * @extends {EventEmitterExtra}
+   * @summary Base of `RoomController` and `ClientController`, sends requests through the transport.
+   * @ignore
+   *
+   * @param  {LineClient} client Line client
+   * @param  {Object} [options={}] options
+   * @param  {OutboundQueue} [options.queue] Outbound queue used while disconnected
+   * @param  {RequestOptions} [options.requestOptions={}] Defaults for every request
+   * @param  {Batcher} [options.batcher] Merges requests sent with the same `batchKey`
+   */
+  constructor(client, {queue = null, requestOptions = {}, batcher = null} = {}) {
+    super();
+    this.client = client;
+    this.queue = queue;
+    this.batcher = batcher;
+    this.requestOptions = Object.assign({}, Controller.DefaultRequestOptions, requestOptions);
+    this.requestOptions.retry = requestOptions.retry === false ?
+      false :
+      Object.assign({}, Controller.DefaultRequestOptions.retry, requestOptions.retry);
+  }
+  /**
+   * @summary Send a request with timeout and cancellation, and map failures to `SocketKitError`s.
+   *          Idempotent requests are retried on timeouts and connection errors.
+   * @private
+   * @ignore
+   * @param {!string} name Event name
+   * @param {Object} [payload] Payload
+   * @param {RequestOptions} [requestOptions={}] Per call options
+   * @param {Object} [flags={}] flags
+   * @param {Boolean} [flags.isIdempotent=false] Whether the request can be retried
+   * @param {string} [flags.batchKey] Merge key, merges the request with others of the key if batching is enabled
+   * @return {Promise}
+   */
+  async request(name, payload, requestOptions = {}, {isIdempotent = false, batchKey} = {}) {
+    const options = this.getRequestOptions(requestOptions);
+    if (this.batcher && batchKey)
+      return this.attempt(() => this.batcher.add(batchKey, name, payload, {
+        schedule: send => this.scheduleBatched(payload, send)
+      }), options);
+    const retry = isIdempotent && options.retry ? options.retry : {retries: 0};
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this.attempt(() => this.client.send(name, payload), options);
+      } catch (error) {
+        if (attempt >= retry.retries || !isRetryable(error))
+          throw error;
+      }
+      await delay(Math.min(retry.minDelay * Math.pow(retry.factor, attempt), retry.maxDelay), options.signal);
+    }
+  }
+  /**
+   * @summary Send an idempotent read, see `request`
+   * @private
+   * @ignore
+   * @param {!string} name Event name
+   * @param {Object} [payload] Payload
+   * @param {RequestOptions} [requestOptions={}] Per call options
+   * @return {Promise}
+   */
+  read(name, payload, requestOptions = {}) {
+    return this.request(name, payload, requestOptions, {isIdempotent: true});
+  }
+  /**
+   * @summary Send a request through the outbound queue if it is enabled. Timeouts do not apply
+   *          while the request waits in the queue.
+   * @private
+   * @ignore
+   * @param {!string} name Event name
+   * @param {Object} payload Payload
+   * @param {RequestOptions} [requestOptions={}] Per call options
+   * @return {Promise}
+   */
+  sendQueued(name, payload, requestOptions = {}) {
+    if (!this.queue)
+      return this.request(name, payload, requestOptions);
+    return this.attempt(
+      timer => this.queue.send(name, payload, {onSend: timer.start, onWait: timer.stop}),
+      this.getRequestOptions(requestOptions),
+      {isTimerDeferred: true}
+    );
+  }
+  /**
+   * @summary Send a message without waiting for a response
+   * @private
+   * @ignore
+   * @param {!string} name Event name
+   * @param {Object} payload Payload
+   * @param {string} [batchKey] Merge key, merges the message with others of the key if batching is enabled
+   * @return {Promise}
+   */
+  notify(name, payload, batchKey) {
+    const send = this.batcher && batchKey ?
+      this.batcher.add(batchKey, name, payload, {
+        expectsResponse: false,
+        schedule: send => this.scheduleBatched(payload, send)
+      }) :
+      this.client.sendWithoutResponse(name, payload);
+    return send.catch(error => Promise.reject(toSocketKitError(error)));
+  }
+  /**
+   * @summary Send a merged request when the batcher flushes it. Controllers with a rate limiter override it.
+   * @private
+   * @ignore
+   * @param {Object} payload Payload of the merged request
+   * @param {!Function} send Sends the merged request
+   * @return {Promise}
+   */
+  scheduleBatched(payload, send) {
+    return send();
+  }
+  /**
+   * @summary Merge per call options over the defaults
+   * @private
+   * @ignore
+   * @param {RequestOptions} requestOptions Per call options
+   * @return {RequestOptions}
+   */
+  getRequestOptions(requestOptions) {
+    const options = Object.assign({}, this.requestOptions, requestOptions);
+    if (requestOptions.retry)
+      options.retry = Object.assign({}, this.requestOptions.retry || Controller.DefaultRequestOptions.retry,
+        requestOptions.retry === true ? {} : requestOptions.retry);
+    return options;
+  }
+  /**
+   * @summary Run a single attempt of a request, racing it against the timeout and the abort signal
+   * @private
+   * @ignore
+   * @param {Function} send Starts the request, called with the `{start, stop}` controls of the timeout
+   * @param {RequestOptions} options Request options
+   * @param {Object} [flags={}] flags
+   * @param {Boolean} [flags.isTimerDeferred=false] Whether `send` starts the timeout itself
+   * @return {Promise}
+   */
+  attempt(send, {timeout, signal}, {isTimerDeferred = false} = {}) {
+    if (signal && signal.aborted)
+      return Promise.reject(abortError());
+    return new Promise((resolve, reject) => {
+      let timer = null;
+      let isFinished = false;
+      const onAbort = () => finish(abortError());
+      const finish = (error, response) => {
+        isFinished = true;
+        clearTimeout(timer);
+        if (signal)
+          signal.removeEventListener('abort', onAbort);
+        if (error)
+          reject(toSocketKitError(error));
+        else
+          resolve(response);
+      };
+      const stop = () => {
+        clearTimeout(timer);
+        timer = null;
+      };
+      const start = () => {
+        stop();
+        if (timeout && !isFinished)
+          timer = setTimeout(() => finish(new TimeoutError(`Request timed out after ${timeout}ms`)), timeout);
+      };
+      if (!isTimerDeferred)
+        start();
+      if (signal)
+        signal.addEventListener('abort', onAbort);
+      send({start, stop}).then(response => finish(null, response), finish);
+    });
+  }
+}
+/**
+ * @summary Defaults for `RequestOptions`
+ * @type {RequestOptions}
+ * @static
+ */
+Controller.DefaultRequestOptions = {
+  timeout: 10000,
+  retry: {
+    retries: 2,
+    minDelay: 200,
+    factor: 2,
+    maxDelay: 2000
+  }
+};
+/**
+ * @typedef {Object} RequestOptions
+ * @property {Number} [timeout] Milliseconds to wait for the response, `0` to wait as long as the transport does
+ * @property {AbortSignal} [signal] Rejects the request with `AbortError` when aborted. The server may still
+ *                                  process a request that was already sent.
+ * @property {Object|Boolean} [retry] Retry policy for idempotent reads, `false` to disable
+ * @property {Number} [retry.retries] Attempts after the first one
+ * @property {Number} [retry.minDelay] Delay before the first retry in milliseconds
+ * @property {Number} [retry.factor] Delay multiplier applied on every retry
+ * @property {Number} [retry.maxDelay] Upper bound of the delay in milliseconds
+ */
+module.exports = Controller;
@@ -0,0 +1,109 @@
+const WRAP_ALGORITHM = {name: 'RSA-OAEP', hash: 'SHA-256'};
+const CONTENT_ALGORITHM = {name: 'AES-GCM', length: 256};
+const IV_LENGTH = 12;
+
+const toBase64 = bytes => {
+  if (typeof Buffer !== 'undefined')
+    return Buffer.from(bytes).toString('base64');
+  return btoa(Array.from(bytes, byte => String.fromCharCode(byte)).join(''));
+};
+const fromBase64 = text => {
+  if (typeof Buffer !== 'undefined')
+    return new Uint8Array(Buffer.from(text, 'base64'));
+  return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+};
+
+/**
+ * @summary Generate an RSA-OAEP key pair for a client. Store `publicKey` in the client's properties and keep
+ *          `privateKey` on the device.
+ * @param {Crypto} crypto WebCrypto implementation
+ * @return {Promise<{publicKey: Object, privateKey: Object}>} Keys as JWK
+ */
+async function generateKeyPair(crypto) {
+  const keyPair = await crypto.subtle.generateKey(Object.assign({
+    modulusLength: 2048,
+    publicExponent: new Uint8Array([1, 0, 1])
+  }, WRAP_ALGORITHM), true, ['wrapKey', 'unwrapKey']);
+  const [publicKey, privateKey] = await Promise.all([
+    crypto.subtle.exportKey('jwk', keyPair.publicKey),
+    crypto.subtle.exportKey('jwk', keyPair.privateKey)
+  ]);
+  return {publicKey, privateKey};
+}
+
+/**
+ * @summary Generate a room key
+ * @ignore
+ * @param {Crypto} crypto WebCrypto implementation
+ * @return {Promise<CryptoKey>}
+ */
+function generateRoomKey(crypto) {
+  return crypto.subtle.generateKey(CONTENT_ALGORITHM, true, ['encrypt', 'decrypt']);
+}
+
+/**
+ * @summary Encrypt a room key for a member
+ * @ignore
+ * @param {Crypto} crypto WebCrypto implementation
+ * @param {CryptoKey} roomKey Room key
+ * @param {Object} publicKey Member's public key as JWK
+ * @return {Promise<string>} Base64 encoded wrapped key
+ */
+async function wrapRoomKey(crypto, roomKey, publicKey) {
+  const wrappingKey = await crypto.subtle.importKey('jwk', publicKey, WRAP_ALGORITHM, false, ['wrapKey']);
+  return toBase64(new Uint8Array(await crypto.subtle.wrapKey('raw', roomKey, wrappingKey, WRAP_ALGORITHM)));
+}
+
+/**
+ * @summary Decrypt a room key with the private key of the current client
+ * @ignore
+ * @param {Crypto} crypto WebCrypto implementation
+ * @param {string} wrappedKey Base64 encoded wrapped key
+ * @param {Object} privateKey Private key as JWK
+ * @return {Promise<CryptoKey>}
+ */
+async function unwrapRoomKey(crypto, wrappedKey, privateKey) {
+  const unwrappingKey = await crypto.subtle.importKey('jwk', privateKey, WRAP_ALGORITHM, false, ['unwrapKey']);
+  return crypto.subtle.unwrapKey('raw', fromBase64(wrappedKey), unwrappingKey, WRAP_ALGORITHM, CONTENT_ALGORITHM,
+    true, ['encrypt', 'decrypt']);
+}
+
+/**
+ * @summary Encrypt a string with a room key
+ * @ignore
+ * @param {Crypto} crypto WebCrypto implementation
+ * @param {CryptoKey} roomKey Room key
+ * @param {string} text Plain text
+ * @return {Promise<string>} Base64 encoded IV and cipher text
+ */
+async function encrypt(crypto, roomKey, text) {
+  const iv = crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+  const data = new TextEncoder().encode(text);
+  const cipher = new Uint8Array(await crypto.subtle.encrypt({name: CONTENT_ALGORITHM.name, iv}, roomKey, data));
+  const result = new Uint8Array(IV_LENGTH + cipher.length);
+  result.set(iv);
+  result.set(cipher, IV_LENGTH);
+  return toBase64(result);
+}
+
+/**
+ * @summary Decrypt a string encrypted with `encrypt`
+ * @ignore
+ * @param {Crypto} crypto WebCrypto implementation
+ * @param {CryptoKey} roomKey Room key
+ * @param {string} encrypted Base64 encoded IV and cipher text
+ * @return {Promise<string>} Plain text
+ */
+async function decrypt(crypto, roomKey, encrypted) {
+  const bytes = fromBase64(encrypted);
+  const iv = bytes.slice(0, IV_LENGTH);
+  const data = await crypto.subtle.decrypt({name: CONTENT_ALGORITHM.name, iv}, roomKey, bytes.slice(IV_LENGTH));
+  return new TextDecoder().decode(data);
+}
+
+exports.generateKeyPair = generateKeyPair;
+exports.generateRoomKey = generateRoomKey;
+exports.wrapRoomKey = wrapRoomKey;
+exports.unwrapRoomKey = unwrapRoomKey;
+exports.encrypt = encrypt;
+exports.decrypt = decrypt;
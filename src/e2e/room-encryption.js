@@ -0,0 +1,201 @@
+const {ValidationError, PermissionError} = require('../errors');
+const e2eCrypto = require('./crypto');
+const findWrappedKey = ({room, members}, uniqueClientKey) => {
+  const member = members && members[uniqueClientKey];
+  const keys = room && room.properties && room.properties.e2eKeys;
+  return (member && member.properties && member.properties.e2eKey) || (keys && keys[uniqueClientKey]);
+};
+class RoomEncryption {
+  /**
+   * @class RoomEncryption
+   * @summary Keeps room keys and encrypts message text and attachment references of encrypted rooms.
+   *
+   * A room is encrypted when its `properties.isEncrypted` is set. Its AES-GCM key is wrapped with the RSA-OAEP
+   * public key of every member: the creator's copy is kept in `properties.e2eKeys`, members added later get theirs
+   * in their member `properties.e2eKey`. Public keys are read from the client properties.
+   *
+   * Once a room is known to be encrypted, by its flag, a wrapped key of the current client or a key in use, it
+   * stays encrypted locally. Messages to it are never sent as plain text, even if the server drops the flag.
+   * @ignore
+   *
+   * @param {Object} options options
+   * @param {!Crypto} options.crypto WebCrypto implementation
+   * @param {!Object} options.privateKey Private key of the current client as JWK
+   * @param {!Object} options.publicKey Public key of the current client as JWK
+   * @param {!Function} options.getRoom Resolves `{room, members}`, fetched from the server when `refresh` is set
+   * @param {!Function} options.getPublicKey Resolves the public key of a client
+   * @param {!Function} options.getCurrentClientKey Resolves the unique key of the current client
+   */
+  constructor({crypto, privateKey, publicKey, getRoom, getPublicKey, getCurrentClientKey}) {
+    if (!crypto || !crypto.subtle)
+      throw new ValidationError(`e2e needs a WebCrypto implementation`);
+    if (!privateKey || !publicKey)
+      throw new ValidationError(`e2e needs privateKey and publicKey`);
+    this.crypto = crypto;
+    this.privateKey = privateKey;
+    this.publicKey = publicKey;
+    this.getRoom = getRoom;
+    this.getPublicKey = getPublicKey;
+    this.getCurrentClientKey = getCurrentClientKey;
+    this.keys = {};
+    this.encryptedRooms = {};
+  }
+  /**
+   * @summary Generate a room key and the properties of a new encrypted room
+   * @param {Object} properties Room properties
+   * @return {Promise<{properties: Object, roomKey: CryptoKey}>}
+   */
+  async createRoom(properties) {
+    const uniqueClientKey = await this.getCurrentClientKey();
+    if (!uniqueClientKey)
+      throw new ValidationError(`Encrypted rooms can only be created by client connections`);
+    const roomKey = await e2eCrypto.generateRoomKey(this.crypto);
+    const wrappedKey = await e2eCrypto.wrapRoomKey(this.crypto, roomKey, this.publicKey);
+    return {
+      properties: Object.assign({}, properties, {isEncrypted: true, e2eKeys: {[uniqueClientKey]: wrappedKey}}),
+      roomKey
+    };
+  }
+  /**
+   * @summary Keep the encryption properties of an encrypted room in an update. The server replaces the room
+   *          properties, an update without them would turn the room into a plain text one.
+   * @param {!Number} roomId Room id
+   * @param {Object} properties New room properties
+   * @return {Promise<Object>} Room properties to send
+   */
+  async updateRoom(roomId, properties) {
+    if (!await this.isEncrypted(roomId))
+      return properties;
+    const {room} = await this.getRoom(roomId);
+    return Object.assign({}, properties, RoomEncryption.getRoomProperties(room), {isEncrypted: true});
+  }
+  /**
+   * @summary Cache the key of a room
+   * @param {!Number} roomId Room id
+   * @param {CryptoKey} roomKey Room key
+   */
+  setRoomKey(roomId, roomKey) {
+    this.keys[roomId] = Promise.resolve(roomKey);
+    this.encryptedRooms[roomId] = true;
+  }
+  /**
+   * @summary Get the key of a room, unwrapping it on first use
+   * @param {!Number} roomId Room id
+   * @return {Promise<CryptoKey>}
+   */
+  getRoomKey(roomId) {
+    if (!this.keys[roomId])
+      this.keys[roomId] = this.loadRoomKey(roomId).then(roomKey => {
+        this.encryptedRooms[roomId] = true;
+        return roomKey;
+      }, error => {
+        delete this.keys[roomId];
+        throw error;
+      });
+    return this.keys[roomId];
+  }
+  /**
+   * @summary Find and unwrap the current client's copy of a room key
+   * @private
+   * @param {!Number} roomId Room id
+   * @return {Promise<CryptoKey>}
+   */
+  async loadRoomKey(roomId) {
+    const uniqueClientKey = await this.getCurrentClientKey();
+    const wrappedKey = findWrappedKey(await this.getRoom(roomId), uniqueClientKey) ||
+      findWrappedKey(await this.getRoom(roomId, {refresh: true}), uniqueClientKey);
+    if (!wrappedKey)
+      throw new PermissionError(`No key of room ${roomId} for the current client`);
+    return e2eCrypto.unwrapRoomKey(this.crypto, wrappedKey, this.privateKey);
+  }
+  /**
+   * @summary Whether a room is encrypted. Rooms recorded as encrypted stay encrypted whatever the server sends.
+   * @param {!Number} roomId Room id
+   * @return {Promise<Boolean>}
+   */
+  async isEncrypted(roomId) {
+    if (this.encryptedRooms[roomId])
+      return true;
+    const {room, members} = await this.getRoom(roomId);
+    if ((room && room.properties && room.properties.isEncrypted) ||
+        findWrappedKey({room, members}, await this.getCurrentClientKey()))
+      this.encryptedRooms[roomId] = true;
+    return !!this.encryptedRooms[roomId];
+  }
+  /**
+   * @summary Encrypt the text and attachment references of an outgoing message payload of an encrypted room.
+   *          Rejects when the key of an encrypted room can not be loaded.
+   * @param {!Number} roomId Room id
+   * @param {!Object} payload Message payload with `text` and `properties`
+   * @return {Promise<Object>} Payload to send
+   */
+  async encryptMessage(roomId, payload) {
+    if (!await this.isEncrypted(roomId))
+      return payload;
+    const roomKey = await this.getRoomKey(roomId);
+    const encrypt = text => e2eCrypto.encrypt(this.crypto, roomKey, text);
+    // Edits without properties keep the stored ones, which already have the flag
+    if (!payload.properties)
+      return Object.assign({}, payload, {text: await encrypt(payload.text)});
+    const properties = Object.assign({}, payload.properties, {isEncrypted: true});
+    if (Array.isArray(properties.attachments))
+      properties.attachments = await Promise.all(properties.attachments.map(async attachment =>
+        Object.assign({}, attachment, {reference: await encrypt(attachment.reference)})));
+    return Object.assign({}, payload, {text: await encrypt(payload.text), properties});
+  }
+  /**
+   * @summary Decrypt a message of an encrypted room. Messages that cannot be decrypted are returned as they are,
+   *          with `isDecrypted` set to `false`.
+   * @param {Object} message Message
+   * @return {Promise<Object>}
+   */
+  async decryptMessage(message) {
+    if (!message || !message.properties || !message.properties.isEncrypted)
+      return message;
+    try {
+      const roomKey = await this.getRoomKey(message.roomId);
+      const decrypt = text => e2eCrypto.decrypt(this.crypto, roomKey, text);
+      const properties = Object.assign({}, message.properties);
+      if (Array.isArray(properties.attachments))
+        properties.attachments = await Promise.all(properties.attachments.map(async attachment =>
+          Object.assign({}, attachment, {reference: await decrypt(attachment.reference)})));
+      const result = Object.assign({}, message, {text: await decrypt(message.text), properties, isDecrypted: true});
+      if (Array.isArray(message.editHistory))
+        result.editHistory = await Promise.all(message.editHistory.map(async entry =>
+          Object.assign({}, entry, {text: await decrypt(entry.text)})));
+      return result;
+    } catch (error) {
+      return Object.assign({}, message, {isDecrypted: false});
+    }
+  }
+  /**
+   * @summary Add the room key, wrapped for a new member, to the member properties
+   * @param {!Number} roomId Room id
+   * @param {!string} uniqueClientKey New member
+   * @param {Object} properties Member properties
+   * @return {Promise<Object>} Member properties to send
+   */
+  async addMemberKey(roomId, uniqueClientKey, properties) {
+    if (!await this.isEncrypted(roomId))
+      return properties;
+    const [roomKey, publicKey] = await Promise.all([this.getRoomKey(roomId), this.getPublicKey(uniqueClientKey)]);
+    const e2eKey = await e2eCrypto.wrapRoomKey(this.crypto, roomKey, publicKey);
+    return Object.assign({}, properties, {e2eKey});
+  }
+}
+/**
+ * @summary Encryption properties of a room, `isEncrypted` and the wrapped keys
+ * @static
+ * @param {Object} room Room
+ * @return {Object}
+ */
+RoomEncryption.getRoomProperties = room => {
+  const properties = (room && room.properties) || {};
+  const result = {};
+  if (properties.isEncrypted)
+    result.isEncrypted = true;
+  if (properties.e2eKeys)
+    result.e2eKeys = properties.e2eKeys;
+  return result;
+};
+module.exports = RoomEncryption;
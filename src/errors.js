@@ -0,0 +1,191 @@
+class SocketKitError extends Error {
+  /**
+   * @class SocketKitError
+   * @extends {Error}
+   * @summary Base class of every error the SDK rejects with.
+   *
+   * @param {string} message Error message
+   * @param {Object} [options={}] options
+   * @param {string} [options.code] Stable error code, defaults to the class code
+   * @param {*} [options.cause] Original error or server payload
+   *
+   * @property {string} code Stable error code, one of `SocketKitError.Code`
+   * @property {*} cause Original error or server payload
+   *
+   * @example
+   *
+   * socketkit
+   *   .Rooms
+   *   .findById(1)
+   *   .catch(error => {
+   *     if (error instanceof SocketKit.Errors.NotFoundError)
+   *       return null;
+   *     throw error;
+   *   });
+   */
+  constructor(message, {code, cause} = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code || this.constructor.code;
+    this.cause = cause;
+  }
+}
+/**
+ * @summary Stable error codes
+ * @static
+ * @readonly
+ * @enum {string}
+ */
+SocketKitError.Code = {
+  UNKNOWN: 'unknown',
+  VALIDATION: 'validation',
+  AUTH: 'auth',
+  NOT_FOUND: 'not_found',
+  PERMISSION: 'permission',
+  RATE_LIMIT: 'rate_limit',
+  TIMEOUT: 'timeout',
+  CONNECTION: 'connection',
+  ABORTED: 'aborted'
+};
+SocketKitError.code = SocketKitError.Code.UNKNOWN;
+
+/**
+ * @class ValidationError
+ * @extends {SocketKitError}
+ * @summary Invalid arguments, rejected before anything is sent or by the server.
+ */
+class ValidationError extends SocketKitError {}
+ValidationError.code = SocketKitError.Code.VALIDATION;
+
+/**
+ * @class AuthError
+ * @extends {SocketKitError}
+ * @summary Handshake or token rejected.
+ */
+class AuthError extends SocketKitError {}
+AuthError.code = SocketKitError.Code.AUTH;
+
+/**
+ * @class NotFoundError
+ * @extends {SocketKitError}
+ * @summary Room, client or message does not exist.
+ */
+class NotFoundError extends SocketKitError {}
+NotFoundError.code = SocketKitError.Code.NOT_FOUND;
+
+/**
+ * @class PermissionError
+ * @extends {SocketKitError}
+ * @summary Authenticated, but not allowed to do that.
+ */
+class PermissionError extends SocketKitError {}
+PermissionError.code = SocketKitError.Code.PERMISSION;
+
+/**
+ * @class RateLimitError
+ * @extends {SocketKitError}
+ * @summary Too many requests.
+ */
+class RateLimitError extends SocketKitError {}
+RateLimitError.code = SocketKitError.Code.RATE_LIMIT;
+
+/**
+ * @class TimeoutError
+ * @extends {SocketKitError}
+ * @summary The server did not respond in time.
+ */
+class TimeoutError extends SocketKitError {}
+TimeoutError.code = SocketKitError.Code.TIMEOUT;
+
+/**
+ * @class ConnectionError
+ * @extends {SocketKitError}
+ * @summary Not connected, or the connection was lost while waiting for a response.
+ */
+class ConnectionError extends SocketKitError {}
+ConnectionError.code = SocketKitError.Code.CONNECTION;
+
+/**
+ * @class AbortError
+ * @extends {SocketKitError}
+ * @summary The request was cancelled through its `AbortSignal`.
+ */
+class AbortError extends SocketKitError {}
+AbortError.code = SocketKitError.Code.ABORTED;
+
+/**
+ * @summary Server error codes and statuses, mapped to error classes
+ * @ignore
+ */
+const ServerErrorMap = {
+  'validation': ValidationError,
+  'invalid': ValidationError,
+  'bad_request': ValidationError,
+  '400': ValidationError,
+  'auth': AuthError,
+  'unauthorized': AuthError,
+  'token_expired': AuthError,
+  '401': AuthError,
+  'permission': PermissionError,
+  'forbidden': PermissionError,
+  'permission_denied': PermissionError,
+  '403': PermissionError,
+  'not_found': NotFoundError,
+  '404': NotFoundError,
+  'rate_limit': RateLimitError,
+  'too_many_requests': RateLimitError,
+  '429': RateLimitError,
+  'timeout': TimeoutError,
+  '408': TimeoutError
+};
+
+/**
+ * @summary `line-socket` error codes, mapped to error classes
+ * @ignore
+ */
+const LineErrorMap = {
+  cMessageTimeout: TimeoutError,
+  cHandshakeRejected: AuthError,
+  cHandshakeError: ConnectionError,
+  cWebsocketError: ConnectionError,
+  cDisconnectError: ConnectionError,
+  cPingError: ConnectionError,
+  cDisconnected: ConnectionError
+};
+
+/**
+ * @summary Convert anything a transport rejects with into a `SocketKitError`
+ * @ignore
+ *
+ * @param {*} error Rejection reason
+ *
+ * @return {SocketKitError}
+ */
+function toSocketKitError(error) {
+  if (error instanceof SocketKitError)
+    return error;
+  if (error && LineErrorMap[error.code])
+    return new LineErrorMap[error.code](error.message, {cause: error});
+  const serverError = error && error.code === 'cMessageRejected' ? error.payload : error;
+  const message = (serverError && serverError.message) || (error && error.message) || String(serverError);
+  const keys = serverError && typeof serverError === 'object' ?
+    [serverError.code, serverError.status, serverError.name] :
+    [serverError];
+  const key = keys
+    .filter(value => value !== undefined && value !== null)
+    .map(value => String(value).toLowerCase())
+    .find(value => ServerErrorMap[value]);
+  const ErrorClass = key ? ServerErrorMap[key] : SocketKitError;
+  return new ErrorClass(message, {cause: error});
+}
+
+exports.SocketKitError = SocketKitError;
+exports.ValidationError = ValidationError;
+exports.AuthError = AuthError;
+exports.NotFoundError = NotFoundError;
+exports.PermissionError = PermissionError;
+exports.RateLimitError = RateLimitError;
+exports.TimeoutError = TimeoutError;
+exports.ConnectionError = ConnectionError;
+exports.AbortError = AbortError;
+exports.toSocketKitError = toSocketKitError;
@@ -0,0 +1,976 @@
+// Type definitions for the socketkit-beta web entry. Keep in sync with the JSDoc of the runtime classes.
+
+type Listener<Args extends any[]> = (...args: Args) => void;
+
+/**
+ * Event emitter every SocketKit class extends, see `event-emitter-extra`.
+ */
+export declare class EventEmitterExtra {
+  on(event: string | RegExp, listener: Listener<any[]>): this;
+  once(event: string | RegExp, listener: Listener<any[]>): this;
+  many(event: string | RegExp, count: number, listener: Listener<any[]>): this;
+  addListener(event: string | RegExp, listener: Listener<any[]>): this;
+  prependListener(event: string | RegExp, listener: Listener<any[]>): this;
+  removeListener(event: string | RegExp, listener: Listener<any[]>): this;
+  removeAllListeners(event?: string | RegExp): this;
+  listeners(event: string): Listener<any[]>[];
+  listenerCount(event: string): number;
+  eventNames(): string[];
+  emit(event: string, ...args: any[]): boolean;
+}
+
+/**
+ * Emitter with listener arguments typed by event name. Unknown names fall back to untyped listeners.
+ */
+export declare class TypedEventEmitter<Events extends {[K in keyof Events]: any[]}> extends EventEmitterExtra {
+  on<K extends keyof Events & string>(event: K, listener: Listener<Events[K]>): this;
+  on(event: string | RegExp, listener: Listener<any[]>): this;
+  once<K extends keyof Events & string>(event: K, listener: Listener<Events[K]>): this;
+  once(event: string | RegExp, listener: Listener<any[]>): this;
+  many<K extends keyof Events & string>(event: K, count: number, listener: Listener<Events[K]>): this;
+  many(event: string | RegExp, count: number, listener: Listener<any[]>): this;
+  addListener<K extends keyof Events & string>(event: K, listener: Listener<Events[K]>): this;
+  addListener(event: string | RegExp, listener: Listener<any[]>): this;
+  removeListener<K extends keyof Events & string>(event: K, listener: Listener<Events[K]>): this;
+  removeListener(event: string | RegExp, listener: Listener<any[]>): this;
+}
+
+// Errors
+
+export type ErrorCode = 'unknown' | 'validation' | 'auth' | 'not_found' | 'permission' | 'rate_limit' | 'timeout' |
+  'connection' | 'aborted';
+
+export declare class SocketKitError extends Error {
+  constructor(message: string, options?: {code?: string; cause?: any});
+  code: ErrorCode | string;
+  cause: any;
+  static code: ErrorCode;
+  static readonly Code: {
+    readonly UNKNOWN: 'unknown';
+    readonly VALIDATION: 'validation';
+    readonly AUTH: 'auth';
+    readonly NOT_FOUND: 'not_found';
+    readonly PERMISSION: 'permission';
+    readonly RATE_LIMIT: 'rate_limit';
+    readonly TIMEOUT: 'timeout';
+    readonly CONNECTION: 'connection';
+    readonly ABORTED: 'aborted';
+  };
+}
+export declare class ValidationError extends SocketKitError {}
+export declare class AuthError extends SocketKitError {}
+export declare class NotFoundError extends SocketKitError {}
+export declare class PermissionError extends SocketKitError {}
+export declare class RateLimitError extends SocketKitError {}
+export declare class TimeoutError extends SocketKitError {}
+export declare class ConnectionError extends SocketKitError {}
+export declare class AbortError extends SocketKitError {}
+
+// Options
+
+export interface RetryOptions {
+  /** Attempts after the first one */
+  retries?: number;
+  /** Delay before the first retry in milliseconds */
+  minDelay?: number;
+  /** Delay multiplier applied on every retry */
+  factor?: number;
+  /** Upper bound of the delay in milliseconds */
+  maxDelay?: number;
+}
+
+export interface RequestOptions {
+  /** Milliseconds to wait for the response, `0` to wait as long as the transport does */
+  timeout?: number;
+  /** Rejects the request with `AbortError` when aborted */
+  signal?: AbortSignal;
+  /** Retry policy for idempotent reads, `false` to disable */
+  retry?: RetryOptions | false;
+}
+
+export interface ReconnectOptions {
+  initialDelay?: number;
+  multiply?: number;
+  maxDelay?: number;
+  jitter?: number;
+  maxAttempts?: number;
+}
+
+export interface TypingOptions {
+  /** Minimum interval between outgoing typing notifications */
+  throttle?: number;
+  /** Typing state expiry in milliseconds */
+  timeout?: number;
+}
+
+export interface JsonWebKeyPair {
+  publicKey: JsonWebKey;
+  privateKey: JsonWebKey;
+}
+
+export interface E2EOptions extends JsonWebKeyPair {
+  /** Client property other members read the public key from */
+  publicKeyProperty?: string;
+  /** WebCrypto implementation, defaults to `SocketKit.WebCrypto` */
+  crypto?: Crypto;
+}
+
+export interface SharedOptions {
+  /** Broadcast channel name, defaults to `socketkit-<accountId>` */
+  channelName?: string;
+  /** Interval of the leader heartbeat in milliseconds */
+  heartbeatInterval?: number;
+  /** Time without a heartbeat before another tab takes over */
+  leaderTimeout?: number;
+  /** Time to wait for an existing leader before claiming */
+  electionTimeout?: number;
+  /** Creates the channel, defaults to `new BroadcastChannel(name)` */
+  createChannel?: (name: string) => BroadcastChannel;
+}
+
+export interface TokenBucketOptions {
+  /** Maximum burst */
+  capacity: number;
+  /** Tokens added per second */
+  perSecond: number;
+}
+
+export interface RateLimitOptions {
+  /** Limit of every room write */
+  connection?: TokenBucketOptions;
+  /** Limit of the writes of each room */
+  room?: TokenBucketOptions;
+}
+
+export interface BatchingOptions {
+  /** Milliseconds to collect updates before sending them */
+  interval?: number;
+  /** Waiting updates that are sent without waiting for `interval` */
+  maxSize?: number;
+}
+
+export interface QueueAdapter {
+  load(): Promise<QueueEntry[]>;
+  save(entries: QueueEntry[]): Promise<void>;
+}
+
+export interface UploadFile {
+  data: Blob | ArrayBuffer | Uint8Array;
+  name: string;
+  type: string;
+  size: number;
+  length?: number | null;
+}
+
+export interface Uploader {
+  upload(file: UploadFile, options?: {
+    onProgress?: (progress: {loaded: number; total: number}) => void;
+    signal?: AbortSignal;
+  }): Promise<{reference: string}>;
+}
+
+export type TransportFactory = (url: string, options: TransportOptions) => Transport;
+
+export interface SocketKitOptions {
+  /** Access token */
+  token?: string;
+  /** Account id */
+  accountId: number;
+  /** Socketkit server endpoint */
+  endpoint?: string;
+  /** Reconnect automatically after an unexpected disconnection */
+  reconnect?: boolean;
+  reconnectOptions?: ReconnectOptions;
+  typingOptions?: TypingOptions;
+  /** Default timeout and retry policy of every request */
+  requestOptions?: RequestOptions;
+  /** Creates the transport, defaults to a `SocketKit.LineClient` */
+  transport?: TransportFactory;
+  /** Async token provider, runs before every (re)connect. A rejected provider counts as a failed attempt. */
+  getToken?: () => Promise<string> | string;
+  /** Close codes the server uses for expired or invalid tokens */
+  authErrorCodes?: number[];
+  /** Uploader for message attachments */
+  uploader?: Uploader;
+  /** Enables end-to-end encrypted rooms */
+  e2e?: E2EOptions;
+  /** Queue messages and client mutations while disconnected */
+  queue?: boolean | {adapter?: QueueAdapter};
+  /** Share one connection between the browser tabs of the origin */
+  shared?: boolean | SharedOptions;
+  /** Measure every request and connection event */
+  instrumentation?: boolean | InstrumentationOptions;
+  /** Limit room writes, queueing writes over the limit in order */
+  rateLimit?: boolean | RateLimitOptions;
+  /** Merge typing, presence and property updates sent in quick succession */
+  batching?: boolean | BatchingOptions;
+}
+
+// Instrumentation
+
+export type LogLevel = 'debug' | 'info' | 'warn' | 'error' | 'silent';
+
+export interface LogTarget {
+  debug(...args: any[]): void;
+  info(...args: any[]): void;
+  warn(...args: any[]): void;
+  error(...args: any[]): void;
+}
+
+/** Subset of an OpenTelemetry span the SDK uses */
+export interface Span {
+  setAttribute(key: string, value: string | number | boolean): any;
+  setStatus(status: {code: number; message?: string}): any;
+  recordException(exception: Error): any;
+  end(): void;
+}
+
+/** Subset of an OpenTelemetry tracer the SDK uses */
+export interface Tracer {
+  startSpan(name: string, options?: {attributes?: {[key: string]: string | number | boolean}}): Span;
+}
+
+export interface RequestContext {
+  name: string;
+  payload: any;
+  /** Payload size in JSON bytes */
+  requestSize: number;
+  startedAt: number;
+  span: Span | null;
+  /** Latency in milliseconds, set after the response */
+  duration?: number;
+  response?: any;
+  responseSize?: number;
+  error?: Error | null;
+}
+
+export interface InstrumentationOptions {
+  logger?: LogTarget;
+  logLevel?: LogLevel;
+  tracer?: Tracer;
+  onRequest?: (context: RequestContext) => void;
+  onResponse?: (context: RequestContext) => void;
+  /** Log a warning for requests slower than this many milliseconds, `0` to disable */
+  slowRequestThreshold?: number;
+  /** Latency histogram bounds in milliseconds */
+  latencyBuckets?: number[];
+  /** Payload size histogram bounds in bytes */
+  sizeBuckets?: number[];
+}
+
+export interface HistogramSnapshot {
+  count: number;
+  sum: number;
+  min: number | null;
+  max: number | null;
+  p50: number | null;
+  p95: number | null;
+  p99: number | null;
+  /** Bucket counts, not cumulative */
+  buckets: {le: number; count: number}[];
+}
+
+export interface RequestMetrics {
+  count: number;
+  errors: number;
+  latency: HistogramSnapshot;
+  requestSize: HistogramSnapshot;
+  responseSize: HistogramSnapshot;
+}
+
+export interface MetricsSnapshot {
+  counters: {
+    connects: number;
+    disconnects: number;
+    reconnects: number;
+    reconnectFailures: number;
+    authFailures: number;
+    errors: number;
+    [counter: string]: number;
+  };
+  requests: {[name: string]: RequestMetrics};
+}
+
+declare const LogLevelEnum: {
+  readonly DEBUG: 'debug';
+  readonly INFO: 'info';
+  readonly WARN: 'warn';
+  readonly ERROR: 'error';
+  readonly SILENT: 'silent';
+};
+
+export declare class Logger {
+  constructor(options?: {logger?: LogTarget; level?: LogLevel});
+  level: LogLevel;
+  isEnabled(level: LogLevel): boolean;
+  log(level: LogLevel, message: string, fields?: object): void;
+  debug(message: string, fields?: object): void;
+  info(message: string, fields?: object): void;
+  warn(message: string, fields?: object): void;
+  error(message: string, fields?: object): void;
+  static readonly Level: typeof LogLevelEnum;
+}
+
+export declare class Histogram {
+  constructor(buckets: number[]);
+  count: number;
+  sum: number;
+  record(value: number): void;
+  percentile(percentile: number): number | null;
+  toJSON(): HistogramSnapshot;
+}
+
+export declare class Instrumentation {
+  constructor(options?: InstrumentationOptions);
+  logger: Logger;
+  instrumentTransport(client: Transport): void;
+  increment(counter: string): void;
+  getSnapshot(): MetricsSnapshot;
+  reset(): void;
+  static readonly Counter: {
+    readonly CONNECTS: 'connects';
+    readonly DISCONNECTS: 'disconnects';
+    readonly RECONNECTS: 'reconnects';
+    readonly RECONNECT_FAILURES: 'reconnectFailures';
+    readonly AUTH_FAILURES: 'authFailures';
+    readonly ERRORS: 'errors';
+  };
+  static readonly DefaultLatencyBuckets: number[];
+  static readonly DefaultSizeBuckets: number[];
+}
+
+// Payloads
+
+export type RoomRole = 'owner' | 'moderator' | 'member' | 'read_only';
+export type RoomPermission = 'post' | 'invite' | 'remove' | 'edit_room' | 'pin';
+export type PresenceStatus = 'online' | 'away' | 'offline';
+
+export interface Attachment {
+  reference: string;
+  type?: string;
+  name?: string;
+  size?: number;
+  length?: number;
+}
+
+export interface Reactions {
+  [emoji: string]: {count: number; uniqueClientKeys: string[]};
+}
+
+export interface MessagePayload {
+  id: number;
+  roomId: number;
+  uniqueClientKey: string;
+  text: string;
+  properties: {attachments?: Attachment[]; isEncrypted?: boolean; [key: string]: any};
+  clientMessageId: string | null;
+  createdAt: string;
+  editedAt: string | null;
+  editHistory: {text: string; editedAt: string}[];
+  reactions: Reactions;
+  isPinned: boolean;
+  /** Set on messages of encrypted rooms */
+  isDecrypted?: boolean;
+}
+
+export interface MessagePinnedPayload {
+  roomId: number;
+  id: number;
+  isPinned: boolean;
+}
+
+export interface MessageDeletedPayload {
+  roomId: number;
+  id: number;
+}
+
+export interface ReactionsChangedPayload {
+  roomId: number;
+  id: number;
+  reactions: Reactions;
+}
+
+export interface ReadReceiptPayload {
+  roomId: number;
+  uniqueClientKey: string;
+  messageId: number;
+  readAt: string;
+}
+
+export interface MemberPermissionsChangedPayload {
+  roomId: number;
+  uniqueClientKey: string;
+  /** Only present if it changed */
+  isAllowedToPost?: boolean;
+  /** Only present if it changed */
+  role?: RoomRole | null;
+  /** Only present if the role or the permissions changed */
+  permissions?: RoomPermission[];
+}
+
+export interface MemberJoinedPayload {
+  roomId: number;
+  uniqueClientKey: string;
+  isAllowedToPost: boolean;
+  role: RoomRole | null;
+  permissions: RoomPermission[];
+  properties: {[key: string]: any};
+}
+
+export interface MemberLeftPayload {
+  roomId: number;
+  uniqueClientKey: string;
+}
+
+export interface RoomPropertiesChangedPayload {
+  roomId: number;
+  /** Only present if it changed */
+  title?: string;
+  /** Only present if they changed */
+  properties?: {[key: string]: any};
+}
+
+export interface ClientUpdatedPayload {
+  roomId: number | null;
+  uniqueClientKey: string;
+  properties: {[key: string]: any};
+}
+
+export interface RoomEventPayload {
+  roomId: number;
+  type: string;
+  data: any;
+}
+
+export interface TypingChangedPayload {
+  roomId: number;
+  members: string[];
+}
+
+export interface UploadProgressPayload {
+  roomId: number;
+  clientMessageId: string;
+  index: number;
+  name: string;
+  loaded: number;
+  total: number;
+}
+
+export interface SendQueueChangedPayload {
+  /** Room id, `null` for writes without a room */
+  roomId: number | null;
+  /** Writes of the room waiting for the rate limit */
+  depth: number;
+  /** Writes of every room waiting for the rate limit */
+  total: number;
+}
+
+export interface UnreadCountChangedPayload {
+  roomId: number;
+  unreadCount: number;
+}
+
+export interface PresencePayload {
+  uniqueClientKey: string;
+  status: PresenceStatus;
+  lastSeenAt: string | null;
+}
+
+export interface RoomMember {
+  uniqueClientKey: string;
+  role?: RoomRole;
+  permissions?: RoomPermission[];
+  isAllowedToPost?: boolean;
+  properties?: {[key: string]: any};
+  lastReadMessageId?: number | null;
+  readAt?: string | null;
+  status?: PresenceStatus;
+  lastSeenAt?: string | null;
+}
+
+export interface RoomInfo {
+  id: number;
+  title: string;
+  private: boolean;
+  allowPostsByDefault: boolean;
+  properties: {isEncrypted?: boolean; [key: string]: any};
+  members?: RoomMember[];
+  unreadCount?: number;
+}
+
+/** Pushed for `ROOM_DELETED` and `REMOVED_FROM_ROOM` */
+export interface RoomRemovedPayload {
+  roomId: number;
+}
+
+export interface Client {
+  uniqueClientKey: string;
+  properties: {[key: string]: any};
+  token?: string;
+}
+
+export interface ClientInput {
+  uniqueClientKey: string;
+  token?: string;
+  properties?: {[key: string]: any};
+}
+
+export interface BulkReport {
+  succeeded: {uniqueClientKey: string; client: Client}[];
+  failed: {uniqueClientKey: string; error: SocketKitError}[];
+}
+
+export interface SyncReport {
+  created: string[];
+  updated: string[];
+  deleted: string[];
+  unchanged: string[];
+  failed: {uniqueClientKey: string; error: SocketKitError}[];
+}
+
+export interface DisconnectedPayload {
+  code: number | {code: number; reason?: any};
+  reason?: any;
+}
+
+export interface QueueEntry {
+  id: string;
+  name: string;
+  payload: any;
+  createdAt: number;
+}
+
+// Transports
+
+export interface TransportOptions {
+  handshake?: {payload?: any};
+  reconnect?: boolean;
+  [key: string]: any;
+}
+
+export declare class Transport extends EventEmitterExtra {
+  constructor(url: string, options?: TransportOptions);
+  url: string;
+  options: TransportOptions;
+  connect(): boolean | void;
+  disconnect(code?: number, reason?: any): boolean | void;
+  send(name: string, payload?: any, options?: {onSend?: () => void; onWait?: () => void}): Promise<any>;
+  sendWithoutResponse(name: string, payload?: any): Promise<any>;
+  static readonly Event: {
+    readonly CONNECTING: '_connecting';
+    readonly CONNECTING_ERROR: '_connecting_error';
+    readonly CONNECTED: '_connected';
+    readonly DISCONNECTING: '_disconnecting';
+    readonly DISCONNECTED: '_disconnected';
+    readonly ERROR: '_error';
+  };
+}
+
+export declare class SharedTransport extends Transport {
+  constructor(url: string, options: TransportOptions, sharedOptions: SharedOptions & {
+    createTransport: TransportFactory;
+    channelName: string;
+  });
+  id: string;
+  isLeader: boolean;
+  isConnected: boolean;
+  close(): void;
+  static readonly Event: typeof Transport.Event & {
+    readonly LEADERSHIP_CHANGED: '_leadership_changed';
+  };
+}
+
+// Queue, store, uploads
+
+interface OutboundQueueEvents {
+  queued: [QueueEntry];
+  sent: [{entry: QueueEntry; response: any}];
+  failed: [{entry: QueueEntry; error: Error}];
+  error: [Error];
+}
+
+export declare class OutboundQueue extends TypedEventEmitter<OutboundQueueEvents> {
+  constructor(options?: {adapter?: QueueAdapter});
+  ready: Promise<void>;
+  /** Send a request right away or queue it until the connection is back */
+  send(name: string, payload?: any): Promise<any>;
+  /** Send queued requests in order */
+  flush(): Promise<void>;
+  getEntries(): QueueEntry[];
+  static readonly Event: {
+    readonly QUEUED: 'queued';
+    readonly SENT: 'sent';
+    readonly FAILED: 'failed';
+    readonly ERROR: 'error';
+  };
+}
+
+export declare class MemoryAdapter implements QueueAdapter {
+  load(): Promise<QueueEntry[]>;
+  save(entries: QueueEntry[]): Promise<void>;
+}
+
+export declare class LocalStorageAdapter implements QueueAdapter {
+  constructor(options?: {key?: string; storage?: Storage});
+  load(): Promise<QueueEntry[]>;
+  save(entries: QueueEntry[]): Promise<void>;
+}
+
+export declare class MemoryUploader implements Uploader {
+  upload(file: UploadFile, options?: {
+    onProgress?: (progress: {loaded: number; total: number}) => void;
+    signal?: AbortSignal;
+  }): Promise<{reference: string}>;
+  get(reference: string): UploadFile | undefined;
+}
+
+export interface RoomStoreState {
+  rooms: {[roomId: number]: RoomInfo};
+  members: {[roomId: number]: {[uniqueClientKey: string]: RoomMember}};
+  messages: {[roomId: number]: {ids: number[]; byId: {[messageId: number]: MessagePayload}}};
+}
+
+export type Selector<T> = (state: RoomStoreState) => T;
+
+export declare class RoomStore extends TypedEventEmitter<{changed: [RoomStoreState]}> {
+  getState(): RoomStoreState;
+  select<T>(selector: Selector<T>): T;
+  subscribe(listener: (state: RoomStoreState, previous: RoomStoreState) => void): () => void;
+  subscribe<T>(selector: Selector<T>, listener: (selected: T, previous: T) => void): () => void;
+  reset(): void;
+  setRooms(result: RoomInfo[] | RoomInfo | {rooms: RoomInfo[]}): void;
+  patchRoom(roomId: number, fields: Partial<RoomInfo>): void;
+  removeRoom(roomId: number): void;
+  setMember(roomId: number, member: RoomMember): void;
+  setMembers(roomId: number, result: RoomMember[] | RoomMember | {members: RoomMember[]}): void;
+  removeMember(roomId: number, uniqueClientKey: string): void;
+  setPresence(uniqueClientKey: string, presence: {status?: PresenceStatus; lastSeenAt?: string | null}): void;
+  setMessages(roomId: number, result: MessagePayload[] | MessagePayload | {messages: MessagePayload[]}): void;
+  patchMessage(roomId: number, messageId: number, fields: Partial<MessagePayload>): void;
+  removeMessage(roomId: number, messageId: number): void;
+  static readonly Selectors: {
+    rooms(): Selector<{[roomId: number]: RoomInfo}>;
+    room(roomId: number): Selector<RoomInfo | undefined>;
+    members(roomId: number): Selector<{[uniqueClientKey: string]: RoomMember} | undefined>;
+    unreadCount(roomId: number): Selector<number>;
+    messages(roomId: number): Selector<MessagePayload[]>;
+  };
+  static readonly Event: {
+    readonly CHANGED: 'changed';
+  };
+}
+
+// Rooms
+
+declare const ChatEvent: {
+  readonly NEW_ROOM_CREATED: 'new_room_created';
+  readonly JOINED_TO_ROOM: 'joined_to_room';
+  readonly ROOM_UPDATED: 'room_updated';
+  readonly ROOM_DELETED: 'room_deleted';
+  readonly REMOVED_FROM_ROOM: 'removed_from_room';
+  readonly MESSAGE_RECEIVED: 'message_received';
+  readonly MESSAGE_EDITED: 'message_edited';
+  readonly MESSAGE_DELETED: 'message_deleted';
+  readonly REACTIONS_CHANGED: 'reactions_changed';
+  readonly MESSAGE_PINNED: 'message_pinned';
+  readonly READ_RECEIPT: 'read_receipt';
+  readonly UNREAD_COUNT_CHANGED: 'unread_count_changed';
+  readonly MEMBER_JOINED: 'member_joined';
+  readonly MEMBER_LEFT: 'member_left';
+  readonly MEMBER_PERMISSIONS_CHANGED: 'member_permissions_changed';
+  readonly ROOM_PROPERTIES_CHANGED: 'room_properties_changed';
+  readonly CLIENT_UPDATED: 'client_updated';
+  readonly ROOM_EVENT: 'room_event';
+  readonly TYPING_CHANGED: 'typing_changed';
+  readonly UPLOAD_PROGRESS: 'upload_progress';
+  readonly SEND_QUEUE_CHANGED: 'send_queue_changed';
+  readonly ERROR: 'error';
+};
+
+export interface ChatEventMap {
+  new_room_created: [RoomInfo];
+  joined_to_room: [RoomInfo];
+  room_updated: [RoomInfo];
+  room_deleted: [RoomRemovedPayload];
+  removed_from_room: [RoomRemovedPayload];
+  message_received: [MessagePayload];
+  message_edited: [MessagePayload];
+  message_deleted: [MessageDeletedPayload];
+  reactions_changed: [ReactionsChangedPayload];
+  message_pinned: [MessagePinnedPayload];
+  read_receipt: [ReadReceiptPayload];
+  unread_count_changed: [UnreadCountChangedPayload];
+  member_joined: [MemberJoinedPayload];
+  member_left: [MemberLeftPayload];
+  member_permissions_changed: [MemberPermissionsChangedPayload];
+  room_properties_changed: [RoomPropertiesChangedPayload];
+  client_updated: [ClientUpdatedPayload];
+  room_event: [RoomEventPayload];
+  typing_changed: [TypingChangedPayload];
+  upload_progress: [UploadProgressPayload];
+  send_queue_changed: [SendQueueChangedPayload];
+  error: [Error];
+}
+
+export interface MessageInput {
+  text: string;
+  properties?: {attachments?: Attachment[]; [key: string]: any};
+  clientMessageId?: string;
+}
+
+export interface MessageWithFilesInput {
+  text: string;
+  files: ArrayLike<Blob | ArrayBuffer | Uint8Array | ReadableStream | {data: any; name?: string; type?: string;
+    length?: number}>;
+  properties?: {[key: string]: any};
+}
+
+export interface MessagePagination {
+  limit?: number;
+  before?: number;
+  after?: number;
+}
+
+export interface MemberInput {
+  targetUniqueClientKey: string;
+  role?: RoomRole;
+  isAllowedToPost?: boolean;
+  properties?: {[key: string]: any};
+}
+
+export declare class Room extends TypedEventEmitter<ChatEventMap> {
+  constructor(controller: RoomController, roomId: number, onDispose?: (room: Room) => void);
+  readonly roomId: number;
+  isDisposed: boolean;
+  send(payload: MessageInput, requestOptions?: RequestOptions): Promise<MessagePayload>;
+  sendWithFiles(payload: MessageWithFilesInput, requestOptions?: RequestOptions): Promise<MessagePayload>;
+  history(options?: MessagePagination, requestOptions?: RequestOptions): Promise<MessagePayload[]>;
+  update(payload: {title: string; properties?: {[key: string]: any}}, requestOptions?: RequestOptions):
+    Promise<RoomInfo>;
+  addMember(payload: MemberInput, requestOptions?: RequestOptions): Promise<RoomMember>;
+  updateMember(payload: MemberInput, requestOptions?: RequestOptions): Promise<RoomMember>;
+  removeMember(payload: {targetUniqueClientKey: string}, requestOptions?: RequestOptions): Promise<RoomMember>;
+  getMembers(options?: {pagination?: {limit?: number; offset?: number}}, requestOptions?: RequestOptions):
+    Promise<RoomMember[]>;
+  markRead(messageId: number, requestOptions?: RequestOptions): Promise<ReadReceiptPayload>;
+  setTyping(isTyping?: boolean): Promise<void>;
+  getTypingMembers(): string[];
+  getUnreadCount(): number;
+  getSendQueueDepth(): number;
+  dispose(): void;
+}
+
+export declare class RoomController extends TypedEventEmitter<ChatEventMap> {
+  store: RoomStore;
+  currentClientKey: string | null;
+  room(roomId: number): Room;
+  create(payload: {
+    title: string;
+    isPrivate?: boolean;
+    allowPostsByDefault?: boolean;
+    properties?: {[key: string]: any};
+    isEncrypted?: boolean;
+  }, requestOptions?: RequestOptions): Promise<RoomInfo>;
+  sendMessageById(roomId: number, payload: MessageInput, requestOptions?: RequestOptions): Promise<MessagePayload>;
+  sendMessageWithFiles(roomId: number, payload: MessageWithFilesInput, requestOptions?: RequestOptions):
+    Promise<MessagePayload>;
+  editMessage(roomId: number, messageId: number, payload: {text: string; properties?: {[key: string]: any}},
+    requestOptions?: RequestOptions): Promise<MessagePayload>;
+  deleteMessage(roomId: number, messageId: number, requestOptions?: RequestOptions): Promise<MessageDeletedPayload>;
+  addReaction(roomId: number, messageId: number, emoji: string, requestOptions?: RequestOptions):
+    Promise<MessagePayload>;
+  removeReaction(roomId: number, messageId: number, emoji: string, requestOptions?: RequestOptions):
+    Promise<MessagePayload>;
+  markRead(roomId: number, messageId: number, requestOptions?: RequestOptions): Promise<ReadReceiptPayload>;
+  getUnreadCount(roomId: number): number;
+  getSendQueueDepth(roomId?: number): number;
+  setTyping(roomId: number, isTyping?: boolean): Promise<void>;
+  getTypingMembers(roomId: number): string[];
+  findById(roomId: number, requestOptions?: RequestOptions): Promise<RoomInfo>;
+  getOnlineMembers(roomId: number, requestOptions?: RequestOptions): Promise<PresencePayload[]>;
+  findAll(options?: {limit?: number; offset?: number}, requestOptions?: RequestOptions): Promise<RoomInfo[]>;
+  getMessagesById(roomId: number, options?: MessagePagination, requestOptions?: RequestOptions):
+    Promise<MessagePayload[]>;
+  iterateAll(options?: {pageSize?: number}, requestOptions?: RequestOptions): AsyncIterableIterator<RoomInfo>;
+  iterateMessages(roomId: number, options?: {before?: number; after?: number; pageSize?: number},
+    requestOptions?: RequestOptions): AsyncIterableIterator<MessagePayload>;
+  updateById(roomId: number, payload: {title: string; properties?: {[key: string]: any}},
+    requestOptions?: RequestOptions): Promise<RoomInfo>;
+  deleteById(roomId: number, requestOptions?: RequestOptions): Promise<RoomRemovedPayload>;
+  addMemberById(roomId: number, payload: MemberInput, requestOptions?: RequestOptions): Promise<RoomMember>;
+  updateMemberById(roomId: number, payload: MemberInput, requestOptions?: RequestOptions): Promise<RoomMember>;
+  removeMemberById(roomId: number, payload: {targetUniqueClientKey: string}, requestOptions?: RequestOptions):
+    Promise<RoomMember>;
+  getMembers(roomId: number, options?: {pagination?: {limit?: number; offset?: number}},
+    requestOptions?: RequestOptions): Promise<RoomMember[]>;
+  pinMessage(roomId: number, messageId: number, requestOptions?: RequestOptions): Promise<MessagePayload>;
+  unpinMessage(roomId: number, messageId: number, requestOptions?: RequestOptions): Promise<MessagePayload>;
+  static readonly Events: typeof ChatEvent;
+  static readonly RoomScopedEvents: string[];
+  static readonly DefaultTypingOptions: Required<TypingOptions>;
+  static readonly DefaultRateLimit: Required<RateLimitOptions>;
+  static SentMessageTTL: number;
+  static readonly Role: typeof RoomRoleEnum;
+  static readonly Permission: typeof RoomPermissionEnum;
+  static readonly RolePermissions: {[role in RoomRole]: RoomPermission[]};
+}
+
+declare const RoomRoleEnum: {
+  readonly OWNER: 'owner';
+  readonly MODERATOR: 'moderator';
+  readonly MEMBER: 'member';
+  readonly READ_ONLY: 'read_only';
+};
+
+declare const RoomPermissionEnum: {
+  readonly POST: 'post';
+  readonly INVITE: 'invite';
+  readonly REMOVE: 'remove';
+  readonly EDIT_ROOM: 'edit_room';
+  readonly PIN: 'pin';
+};
+
+// Clients
+
+declare const PresenceStatusEnum: {
+  readonly ONLINE: 'online';
+  readonly AWAY: 'away';
+  readonly OFFLINE: 'offline';
+};
+
+export interface ClientEventMap {
+  presence_changed: [PresencePayload];
+}
+
+export interface ClientListOptions {
+  filter?: {properties?: {[key: string]: any}};
+  sort?: {by?: string; order?: 'asc' | 'desc'};
+}
+
+export interface BatchOptions {
+  batchSize?: number;
+  concurrency?: number;
+}
+
+export declare class ClientController extends TypedEventEmitter<ClientEventMap> {
+  status: PresenceStatus | null;
+  presence: {[uniqueClientKey: string]: PresencePayload};
+  create(payload: ClientInput, requestOptions?: RequestOptions): Promise<Client>;
+  upsert(uniqueClientKey: string, payload?: {token?: string; properties?: {[key: string]: any}},
+    requestOptions?: RequestOptions): Promise<Client>;
+  update(uniqueClientKey: string, payload?: {token?: string; properties?: {[key: string]: any}},
+    requestOptions?: RequestOptions): Promise<Client>;
+  delete(uniqueClientKey: string, requestOptions?: RequestOptions): Promise<Client>;
+  findByKey(uniqueClientKey: string, requestOptions?: RequestOptions): Promise<Client>;
+  getCurrent(requestOptions?: RequestOptions): Promise<Client | null>;
+  findAll(options?: ClientListOptions & {pagination?: {limit?: number; cursor?: string | null}},
+    requestOptions?: RequestOptions): Promise<{clients: Client[]; nextCursor: string | null}>;
+  iterateAll(options?: ClientListOptions & {pageSize?: number}, requestOptions?: RequestOptions):
+    AsyncIterableIterator<Client>;
+  findManyByKeys(uniqueClientKeys: string[], requestOptions?: RequestOptions): Promise<Client[]>;
+  bulkUpsert(clients: ClientInput[], options?: BatchOptions, requestOptions?: RequestOptions): Promise<BulkReport>;
+  bulkDelete(uniqueClientKeys: string[], options?: BatchOptions, requestOptions?: RequestOptions):
+    Promise<BulkReport>;
+  syncFrom(source: ClientInput[] | AsyncIterable<ClientInput>, options?: BatchOptions & {
+    prune?: boolean;
+    allowEmpty?: boolean;
+    pageSize?: number;
+  }, requestOptions?: RequestOptions): Promise<SyncReport>;
+  setStatus(status: PresenceStatus, requestOptions?: RequestOptions): Promise<PresencePayload>;
+  getPresence(uniqueClientKeys: string[], requestOptions?: RequestOptions): Promise<PresencePayload[]>;
+  static readonly Events: {
+    readonly ADD_CLIENT: 'add_client';
+    readonly UPDATE_CLIENT: 'update_client';
+    readonly DELETE_CLIENT: 'delete_client';
+    readonly GET_CLIENT: 'get_client';
+    readonly GET_CURRENT_CLIENT: 'get_current_client';
+    readonly GET_CLIENTS: 'get_clients';
+    readonly GET_CLIENTS_BY_KEYS: 'get_clients_by_keys';
+    readonly BULK_ADD_CLIENT: 'bulk_add_client';
+    readonly BULK_DELETE_CLIENT: 'bulk_delete_client';
+    readonly SET_PRESENCE: 'set_presence';
+    readonly GET_PRESENCE: 'get_presence';
+    readonly PRESENCE_CHANGED: 'presence_changed';
+  };
+  static readonly Status: typeof PresenceStatusEnum;
+}
+
+// SocketKit
+
+declare const ConnectionEvent: {
+  readonly CONNECTED: 'connected';
+  readonly DISCONNECTED: 'disconnected';
+  readonly ERROR: 'error';
+  readonly CONNECTING_ERROR: 'connecting_error';
+  readonly RECONNECTING: 'reconnecting';
+  readonly RECONNECTED: 'reconnected';
+  readonly RECONNECT_FAILED: 'reconnect_failed';
+  readonly AUTH_FAILED: 'auth_failed';
+  readonly LEADERSHIP_CHANGED: 'leadership_changed';
+};
+
+export interface SocketKitEventMap {
+  connected: [];
+  disconnected: [DisconnectedPayload];
+  error: [SocketKitError];
+  connecting_error: [SocketKitError];
+  reconnecting: [{attempt: number; delay: number}];
+  reconnected: [{attempts: number}];
+  reconnect_failed: [{attempts: number}];
+  auth_failed: [{error: AuthError}];
+  leadership_changed: [{isLeader: boolean}];
+}
+
+export declare class SocketKit extends TypedEventEmitter<SocketKitEventMap> {
+  constructor(options: SocketKitOptions);
+  token: string | undefined;
+  accountId: number;
+  endpoint: string;
+  isConnected: boolean;
+  /** Set after the first `connect()` */
+  Rooms: RoomController;
+  /** Set after the first `connect()` */
+  Clients: ClientController;
+  queue: OutboundQueue | null;
+  instrumentation: Instrumentation;
+  logger: Logger;
+  connect(): void;
+  disconnect(): void;
+  isLeader(): boolean;
+  getMetrics(): MetricsSnapshot;
+  getClient(): Transport | null;
+  static generateKeyPair(crypto?: Crypto): Promise<JsonWebKeyPair>;
+  static readonly Event: typeof ConnectionEvent;
+  static readonly ChatEvent: typeof ChatEvent;
+  static readonly PresenceStatus: typeof PresenceStatusEnum;
+  static readonly RoomRole: typeof RoomRoleEnum;
+  static readonly RoomPermission: typeof RoomPermissionEnum;
+  static readonly AuthErrorCodes: number[];
+  static readonly DefaultReconnectOptions: Required<ReconnectOptions>;
+  static readonly Errors: {
+    SocketKitError: typeof SocketKitError;
+    ValidationError: typeof ValidationError;
+    AuthError: typeof AuthError;
+    NotFoundError: typeof NotFoundError;
+    PermissionError: typeof PermissionError;
+    RateLimitError: typeof RateLimitError;
+    TimeoutError: typeof TimeoutError;
+    ConnectionError: typeof ConnectionError;
+    AbortError: typeof AbortError;
+  };
+  static OutboundQueue: typeof OutboundQueue;
+  static Transport: typeof Transport;
+  static SharedTransport: typeof SharedTransport;
+  static Instrumentation: typeof Instrumentation;
+  static Logger: typeof Logger;
+  static readonly LogLevel: typeof LogLevelEnum;
+  static RoomStore: typeof RoomStore;
+  static Room: typeof Room;
+  static MemoryUploader: typeof MemoryUploader;
+  static MemoryAdapter: typeof MemoryAdapter;
+  static LocalStorageAdapter: typeof LocalStorageAdapter;
+  static LineClient: new (url: string, options?: TransportOptions) => Transport;
+  static WebCrypto: Crypto | null;
+}
+
+export declare const Event: typeof ConnectionEvent;
@@ -1,6 +1,14 @@
 const EventEmitterExtra = require('event-emitter-extra');
 const RoomController = require('./rooms/controller');
 const ClientController = require('./clients/controller');
+const OutboundQueue = require('./queue/outbound-queue');
+const Transport = require('./transport/transport');
+const SharedTransport = require('./transport/shared-transport');
+const Instrumentation = require('./instrumentation/instrumentation');
+const Logger = require('./instrumentation/logger');
+const Batcher = require('./queue/batcher');
+const Errors = require('./errors');
+const e2eCrypto = require('./e2e/crypto');
 class SocketKit extends EventEmitterExtra {
   /**
    * @class  SocketKit
@@ -8,15 +16,98 @@ class SocketKit extends EventEmitterExtra {
    * @param  {!string} options.token Access token
    * @param  {!number} options.accountId Account Id
    * @param  {!string} options.endpoint Default endpoint for Socketkit servers
+   * @param  {Boolean} [options.reconnect=true] Reconnect automatically after an unexpected disconnection
+   * @param  {Object} [options.reconnectOptions={}] Reconnection backoff options
+   * @param  {Number} [options.reconnectOptions.initialDelay=1000] Delay before the first attempt in milliseconds
+   * @param  {Number} [options.reconnectOptions.multiply=2] Delay multiplier applied on every failed attempt
+   * @param  {Number} [options.reconnectOptions.maxDelay=30000] Upper bound of the delay in milliseconds
+   * @param  {Number} [options.reconnectOptions.jitter=0.5] Random extra delay, as a ratio of the computed delay
+   * @param  {Number} [options.reconnectOptions.maxAttempts=Infinity] Attempts before giving up
+   * @param  {Object} [options.typingOptions={}] Typing indicator options, see `RoomController`
+   * @param  {RequestOptions} [options.requestOptions={}] Default timeout and retry policy of every request
+   * @param  {Function} [options.transport] Creates the transport with `(endpoint, options)`,
+   *                                       defaults to a `SocketKit.LineClient`. See `Transport`.
+   * @param  {Function} [options.getToken] Async token provider. Runs before every (re)connect, and once more
+   *                                      to refresh the token when the server rejects it. A rejected provider
+   *                                      counts as a failed reconnection attempt.
+   * @param  {Array<Number>} [options.authErrorCodes=[4001, 4003]] Close codes the server uses for expired
+   *                                                             or invalid tokens
+   * @param  {Object} [options.uploader] Uploader for message attachments, see `MemoryUploader`
+   * @param  {Object} [options.e2e] Enables end-to-end encrypted rooms, see `SocketKit.generateKeyPair`
+   * @param  {!Object} options.e2e.privateKey Private key of the client as JWK, never sent to the server
+   * @param  {!Object} options.e2e.publicKey Public key of the client as JWK, also stored in its properties
+   * @param  {string} [options.e2e.publicKeyProperty='e2ePublicKey'] Client property other members read
+   *                                                                 the public key from
+   * @param  {Crypto} [options.e2e.crypto=SocketKit.WebCrypto] WebCrypto implementation
+   * @param  {Boolean|Object} [options.queue=false] Queue messages and client mutations while disconnected.
+   *                                                Pass `true` for an in-memory queue or `{adapter}` to persist it.
+   * @param  {Boolean|Object} [options.shared=false] Share one connection between the browser tabs of the origin,
+   *                                                 see `SharedTransport`. Tabs sharing it must use the same token.
+   * @param  {string} [options.shared.channelName='socketkit-<accountId>'] Broadcast channel name
+   * @param  {Number} [options.shared.heartbeatInterval=1000] Interval of the leader heartbeat in milliseconds
+   * @param  {Number} [options.shared.leaderTimeout=3000] Time without a heartbeat before another tab takes over
+   * @param  {Boolean|Object} [options.instrumentation=false] Measure every request and connection event, see
+   *                                                          `Instrumentation` for the options. Without it only
+   *                                                          connection events are counted, and warnings and
+   *                                                          errors are still logged to `console`. Pass
+   *                                                          `{logLevel: SocketKit.LogLevel.SILENT}` to mute them.
+   * @param  {Boolean|Object} [options.rateLimit=false] Limit room writes with token buckets, queueing writes over
+   *                                                    the limit in order. Pass `true` for
+   *                                                    `RoomController.DefaultRateLimit`.
+   * @param  {{capacity: Number, perSecond: Number}} [options.rateLimit.connection] Limit of every room write
+   * @param  {{capacity: Number, perSecond: Number}} [options.rateLimit.room] Limit of the writes of each room
+   * @param  {Boolean|Object} [options.batching=false] Merge typing, presence and property updates sent in quick
+   *                                                   succession, sending one message per room or client
+   * @param  {Number} [options.batching.interval=50] Milliseconds to collect updates before sending them
+   * @param  {Number} [options.batching.maxSize=20] Waiting updates that are sent without waiting for `interval`
    *
    * @property {RoomController} Rooms Room controller
    * @property {ClientController} Clients Client controller
+   * @property {?OutboundQueue} queue Outbound queue, if enabled
+   * @property {Instrumentation} instrumentation Logger and metrics
    */
-  constructor({token, accountId, endpoint = 'wss://ws.socketkit.com'} = {}) {
+  constructor({
+    token,
+    accountId,
+    endpoint = 'wss://ws.socketkit.com',
+    reconnect = true,
+    reconnectOptions = {},
+    queue = false,
+    shared = false,
+    instrumentation = false,
+    rateLimit = false,
+    batching = false,
+    typingOptions = {},
+    requestOptions = {},
+    uploader = null,
+    e2e = null,
+    getToken = null,
+    authErrorCodes = SocketKit.AuthErrorCodes,
+    transport = (url, options) => new SocketKit.LineClient(url, options)
+  } = {}) {
     super();
     this.token = token;
     this.accountId = accountId;
     this.endpoint = endpoint;
+    this.reconnect = reconnect;
+    this.reconnectOptions = Object.assign({}, SocketKit.DefaultReconnectOptions, reconnectOptions);
+    this.reconnectState = {attempt: 0, timeout: null};
+    this.isManuallyDisconnected = false;
+    this.typingOptions = typingOptions;
+    this.requestOptions = requestOptions;
+    this.transport = transport;
+    this.uploader = uploader;
+    this.e2e = e2e ? Object.assign({crypto: SocketKit.WebCrypto}, e2e) : null;
+    this.getToken = getToken;
+    this.authErrorCodes = authErrorCodes;
+    this.authState = {isFailed: false, attempt: 0};
+    this.queue = queue ? new OutboundQueue(queue === true ? {} : queue) : null;
+    this.shared = shared ? Object.assign({channelName: `socketkit-${accountId}`}, shared === true ? {} : shared) : null;
+    this.instrumentation = new Instrumentation(instrumentation === true ? {} : instrumentation || {});
+    this.isInstrumented = !!instrumentation;
+    this.logger = this.instrumentation.logger;
+    this.rateLimit = rateLimit;
+    this.batching = batching ? (batching === true ? {} : batching) : null;
     this.client = null;
     this.isConnected = false;
   }
@@ -37,25 +128,44 @@ class SocketKit extends EventEmitterExtra {
    */
   connect() {
     if (this.isConnected)
-      return console.warn('Client is already connected');
-    const payload = {
-      accountId: this.accountId,
-      token: this.token
-    };
-    this.client = new SocketKit.LineClient(this.endpoint, {handshake: {payload}});
+      return this.logger.warn('Client is already connected');
+    this.isManuallyDisconnected = false;
+    this.authState.attempt = 0;
+    this.cancelReconnect();
+    if (this.client)
+      return this.openConnection();
+    this.client = this.createTransport();
+    if (this.isInstrumented)
+      this.instrumentation.instrumentTransport(this.client);
     this.bindEvents();
-    this.client.connect();
-    this.Rooms = new RoomController(this.client);
-    this.Clients = new ClientController(this.client);
+    if (this.queue)
+      this.queue.attach(this.client);
+    this.openConnection();
+    const batcher = this.batching ? new Batcher(this.client, this.batching) : null;
+    this.Rooms = new RoomController(this.client, {
+      queue: this.queue,
+      requestOptions: this.requestOptions,
+      typingOptions: this.typingOptions,
+      uploader: this.uploader,
+      e2e: this.e2e,
+      rateLimit: this.rateLimit,
+      batcher
+    });
+    this.Clients = new ClientController(this.client, {
+      queue: this.queue,
+      requestOptions: this.requestOptions,
+      batcher
+    });
   }
   /**
-   * @summary Disconnect the current client. Will trigger `SocketKit.Event.DISCONNECTED`.
+   * @summary Disconnect the current client. Will trigger `SocketKit.Event.DISCONNECTED`. A connection that is
+   *          still being opened is closed as soon as it completes.
    * @return {object|null}
    *
    * @example
    * const instance = new SocketKit({
    *   token: 'abc',
-   *   type: SocketKit.ConnectionType.CLIENT
+   *   accountId: 1
    * });
    *
    * instance.connect();
@@ -66,33 +176,223 @@ class SocketKit extends EventEmitterExtra {
    * instance.on(SocketKit.Event.DISCONNECTED, () => console.info('Disconnected'));
    */
   disconnect() {
+    this.isManuallyDisconnected = true;
+    this.cancelReconnect();
     if (this.isConnected)
       return this.client.disconnect();
   }
+  /*
+   * @summary Create the transport, wrapped in a `SharedTransport` in shared mode.
+   * @ignore
+   * @private
+   */
+  createTransport() {
+    const options = {handshake: {payload: this.getHandshakePayload()}, reconnect: false};
+    if (!this.shared)
+      return this.transport(this.endpoint, options);
+    return new SharedTransport(this.endpoint, options, Object.assign({createTransport: this.transport}, this.shared));
+  }
+  /*
+   * @summary Refresh the token if there is a provider, then connect the transport with a fresh handshake payload.
+   *          A failing provider counts as a failed attempt, the server has not rejected anything yet.
+   * @ignore
+   * @private
+   */
+  async openConnection() {
+    if (this.getToken) {
+      try {
+        this.token = await this.getToken();
+      } catch (error) {
+        return this.failTokenProvider(error);
+      }
+      if (this.isManuallyDisconnected || this.isConnected)
+        return;
+    }
+    this.client.options.handshake.payload = this.getHandshakePayload();
+    this.client.connect();
+  }
+  /*
+   * @summary Report a failing token provider with `SocketKit.Event.CONNECTING_ERROR` and schedule the next attempt.
+   * @ignore
+   * @private
+   */
+  failTokenProvider(error) {
+    const tokenError = new Errors.ConnectionError(`Could not get token: ${error && error.message}`, {cause: error});
+    this.logger.warn(tokenError.message);
+    this.emit(SocketKit.Event.CONNECTING_ERROR, tokenError);
+    if (!this.isManuallyDisconnected && !this.isConnected && this.reconnect)
+      this.scheduleReconnect();
+  }
+  /*
+   * @summary Build the handshake payload from the current token.
+   * @ignore
+   * @private
+   */
+  getHandshakePayload() {
+    return {
+      accountId: this.accountId,
+      token: this.token
+    };
+  }
+  /*
+   * @summary Retry with a refreshed token once, or give up with `SocketKit.Event.AUTH_FAILED`.
+   * @ignore
+   * @private
+   */
+  handleAuthFailure(error) {
+    this.authState.isFailed = false;
+    if (!this.getToken || this.authState.attempt >= 1)
+      return this.failAuth(error);
+    this.authState.attempt++;
+    this.openConnection();
+  }
+  /*
+   * @summary Give up authenticating with `SocketKit.Event.AUTH_FAILED`.
+   * @ignore
+   * @private
+   */
+  failAuth(error) {
+    this.instrumentation.increment(Instrumentation.Counter.AUTH_FAILURES);
+    this.logger.error(`Authentication failed: ${error.message}`);
+    this.emit(SocketKit.Event.AUTH_FAILED, {error});
+  }
+  /*
+   * @summary Schedule the next reconnection attempt with exponential backoff and jitter.
+   * @ignore
+   * @private
+   */
+  scheduleReconnect() {
+    const {initialDelay, multiply, maxDelay, jitter, maxAttempts} = this.reconnectOptions;
+    if (this.reconnectState.attempt >= maxAttempts) {
+      const attempts = this.reconnectState.attempt;
+      this.reconnectState.attempt = 0;
+      this.instrumentation.increment(Instrumentation.Counter.RECONNECT_FAILURES);
+      this.logger.error(`Gave up reconnecting after ${attempts} attempts`);
+      return this.emit(SocketKit.Event.RECONNECT_FAILED, {attempts});
+    }
+    const attempt = ++this.reconnectState.attempt;
+    let delay = Math.min(initialDelay * Math.pow(multiply, attempt - 1), maxDelay);
+    delay += Math.round(Math.random() * jitter * delay);
+    this.instrumentation.increment(Instrumentation.Counter.RECONNECTS);
+    this.logger.info(`Reconnecting in ${delay}ms`, {attempt});
+    this.reconnectState.timeout = setTimeout(() => {
+      this.reconnectState.timeout = null;
+      this.openConnection();
+    }, delay);
+    this.emit(SocketKit.Event.RECONNECTING, {attempt, delay});
+  }
+  /*
+   * @summary Cancel a pending reconnection attempt.
+   * @ignore
+   * @private
+   */
+  cancelReconnect() {
+    if (this.reconnectState.timeout)
+      clearTimeout(this.reconnectState.timeout);
+    this.reconnectState.timeout = null;
+  }
   /*
    * @summary Bind events connection related events.`
    * @ignore
    * @private
    */
   bindEvents() {
-    this.client.on(SocketKit.LineClient.Event.CONNECTED, () => {
+    this.client.on(Transport.Event.CONNECTED, () => {
+      // A handshake that was in progress when `disconnect` was called
+      if (this.isManuallyDisconnected)
+        return this.client.disconnect();
+      const attempts = this.reconnectState.attempt;
+      this.reconnectState.attempt = 0;
+      this.authState.attempt = 0;
       this.isConnected = true;
+      this.instrumentation.increment(Instrumentation.Counter.CONNECTS);
+      this.logger.info('Connected', {attempts});
+      if (this.queue)
+        this.queue.setConnected(true);
       this.emit(SocketKit.Event.CONNECTED);
+      this.Clients
+        .getCurrent()
+        .then(client => this.Rooms.setCurrentClient(client && client.uniqueClientKey))
+        .catch(() => {});
+      if (attempts > 0)
+        this.emit(SocketKit.Event.RECONNECTED, {attempts});
     });
-    this.client.on(SocketKit.LineClient.Event.DISCONNECTED, (code, reason) => {
+    this.client.on(Transport.Event.DISCONNECTED, (code, reason) => {
       this.isConnected = false;
+      if (this.queue)
+        this.queue.setConnected(false);
+      const closeCode = code && typeof code === 'object' ? code.code : code;
+      this.instrumentation.increment(Instrumentation.Counter.DISCONNECTS);
+      this.logger.info('Disconnected', {code: closeCode});
       this.emit(SocketKit.Event.DISCONNECTED, {code, reason});
+      if (this.authErrorCodes.indexOf(closeCode) > -1)
+        this.authState.isFailed = true;
+      if (this.isManuallyDisconnected)
+        return;
+      if (this.authState.isFailed)
+        return this.handleAuthFailure(new Errors.AuthError(`Token is rejected (code: ${closeCode})`));
+      if (this.reconnect)
+        this.scheduleReconnect();
     });
-    this.client.on(SocketKit.LineClient.Event.ERROR, error => {
-      this.emit(SocketKit.Event.ERROR, error);
+    this.client.on(SharedTransport.Event.LEADERSHIP_CHANGED, ({isLeader}) => {
+      this.emit(SocketKit.Event.LEADERSHIP_CHANGED, {isLeader});
     });
-    this.client.on(SocketKit.LineClient.Event.CONNECTING_ERROR, error => {
-      this.emit(SocketKit.Event.CONNECTING_ERROR, error);
+    this.client.on(Transport.Event.ERROR, error => {
+      const socketKitError = Errors.toSocketKitError(error);
+      this.instrumentation.increment(Instrumentation.Counter.ERRORS);
+      this.logger.error(`Transport error: ${socketKitError.message}`);
+      this.emit(SocketKit.Event.ERROR, socketKitError);
     });
+    this.client.on(Transport.Event.CONNECTING_ERROR, error => {
+      const socketKitError = Errors.toSocketKitError(error);
+      this.logger.warn(`Could not connect: ${socketKitError.message}`);
+      if (socketKitError instanceof Errors.AuthError)
+        this.authState.isFailed = true;
+      this.emit(SocketKit.Event.CONNECTING_ERROR, socketKitError);
+    });
+  }
+  /**
+   * @summary Generate a key pair for end-to-end encrypted rooms. Save `publicKey` in the client's
+   *          `e2ePublicKey` property and keep `privateKey` on the device.
+   * @param {Crypto} [crypto=SocketKit.WebCrypto] WebCrypto implementation
+   * @return {Promise<{publicKey: Object, privateKey: Object}>} Keys as JWK
+   *
+   * @example
+   * const {publicKey, privateKey} = await SocketKit.generateKeyPair();
+   * await socketkit.Clients.update('user-1', {properties: Object.assign({}, properties, {e2ePublicKey: publicKey})});
+   */
+  static generateKeyPair(crypto = SocketKit.WebCrypto) {
+    return e2eCrypto.generateKeyPair(crypto);
+  }
+  /**
+   * @summary Whether this tab owns the connection. Always `true` unless `options.shared` is set; use it to show
+   *          notifications from a single tab.
+   * @return {Boolean}
+   *
+   * @example
+   * socketkit.Rooms.on(SocketKit.ChatEvent.MESSAGE_RECEIVED, message => {
+   *   if (socketkit.isLeader())
+   *     notify(message);
+   * });
+   */
+  isLeader() {
+    return !this.shared || !!(this.client && this.client.isLeader);
+  }
+  /**
+   * @summary Get request latency and payload size histograms per message name, and connection counters.
+   *          Requests are only measured with the `instrumentation` option.
+   * @return {{counters: Object<string, Number>, requests: Object<string, Object>}}
+   *
+   * @example
+   * const {latency} = socketkit.getMetrics().requests.get_messages;
+   * console.log('get_messages p95', latency.p95, 'ms');
+   */
+  getMetrics() {
+    return this.instrumentation.getSnapshot();
   }
   /**
-   * @summary Returns the line client.
-   * @return {LineClient} Line client.
+   * @summary Returns the transport, a line client unless `options.transport` is given.
+   * @return {Transport} Transport.
    */
   getClient() {
     return this.client;
@@ -108,14 +408,74 @@ class SocketKit extends EventEmitterExtra {
  * instance.on(SocketKit.Event.DISCONNECTED, () => console.info('Disconnected'));
  * instance.on(SocketKit.Event.ERROR, (error) => console.info('Error occurred', error));
  * instance.on(SocketKit.Event.CONNECTING_ERROR, (error) => console.info('Error occurred', error));
+ * instance.on(SocketKit.Event.RECONNECTING, ({attempt, delay}) => console.info('Reconnecting', attempt, delay));
+ * instance.on(SocketKit.Event.RECONNECTED, ({attempts}) => console.info('Reconnected after', attempts));
+ * instance.on(SocketKit.Event.RECONNECT_FAILED, ({attempts}) => console.info('Gave up after', attempts));
+ * instance.on(SocketKit.Event.AUTH_FAILED, ({error}) => console.info('Sign in again', error));
+ * instance.on(SocketKit.Event.LEADERSHIP_CHANGED, ({isLeader}) => console.info('Owns the connection', isLeader));
  */
 SocketKit.Event = {
   CONNECTED: 'connected',
   DISCONNECTED: 'disconnected',
   ERROR: 'error',
-  CONNECTING_ERROR: 'connecting_error'
+  CONNECTING_ERROR: 'connecting_error',
+  RECONNECTING: 'reconnecting',
+  RECONNECTED: 'reconnected',
+  RECONNECT_FAILED: 'reconnect_failed',
+  AUTH_FAILED: 'auth_failed',
+  LEADERSHIP_CHANGED: 'leadership_changed'
+};
+/**
+ * @summary Default close codes treated as an expired or invalid token
+ * @static
+ * @readonly
+ * @type {Array<Number>}
+ */
+SocketKit.AuthErrorCodes = [4001, 4003];
+/**
+ * @static
+ * @readonly
+ * @type {Object}
+ */
+SocketKit.DefaultReconnectOptions = {
+  initialDelay: 1000,
+  multiply: 2,
+  maxDelay: 30000,
+  jitter: 0.5,
+  maxAttempts: Infinity
 };
 SocketKit.ChatEvent = RoomController.Events;
+SocketKit.PresenceStatus = ClientController.Status;
+SocketKit.RoomRole = RoomController.Role;
+SocketKit.RoomPermission = RoomController.Permission;
+SocketKit.OutboundQueue = OutboundQueue;
+SocketKit.Transport = Transport;
+SocketKit.SharedTransport = SharedTransport;
+SocketKit.Instrumentation = Instrumentation;
+SocketKit.Logger = Logger;
+SocketKit.LogLevel = Logger.Level;
+/**
+ * @summary Error classes, see `SocketKitError`
+ * @static
+ * @type {Object}
+ */
+SocketKit.Errors = {
+  SocketKitError: Errors.SocketKitError,
+  ValidationError: Errors.ValidationError,
+  AuthError: Errors.AuthError,
+  NotFoundError: Errors.NotFoundError,
+  PermissionError: Errors.PermissionError,
+  RateLimitError: Errors.RateLimitError,
+  TimeoutError: Errors.TimeoutError,
+  ConnectionError: Errors.ConnectionError,
+  AbortError: Errors.AbortError
+};
+SocketKit.RoomStore = require('./rooms/store');
+SocketKit.Room = require('./rooms/room');
+SocketKit.MemoryUploader = require('./uploads/memory-uploader');
+SocketKit.MemoryAdapter = require('./queue/adapters/memory');
+SocketKit.LocalStorageAdapter = require('./queue/adapters/local-storage');
 SocketKit.LineClient = require('line-socket/src/client/client-web');
+SocketKit.WebCrypto = typeof crypto !== 'undefined' ? crypto : null;
 exports.SocketKit = SocketKit;
 exports.Event = SocketKit.Event;
@@ -0,0 +1,60 @@
+class Histogram {
+  /**
+   * @class Histogram
+   * @summary Counts values into fixed buckets, like a Prometheus histogram.
+   *
+   * @param {!Array<Number>} buckets Upper bounds of the buckets in ascending order. Values above the last bound
+   *                                 are counted in an extra `Infinity` bucket.
+   */
+  constructor(buckets) {
+    this.bounds = buckets.concat(Infinity);
+    this.counts = this.bounds.map(() => 0);
+    this.count = 0;
+    this.sum = 0;
+    this.min = null;
+    this.max = null;
+  }
+  /**
+   * @summary Record a value
+   * @param {!Number} value Value
+   */
+  record(value) {
+    const index = this.bounds.findIndex(bound => value <= bound);
+    this.counts[index]++;
+    this.count++;
+    this.sum += value;
+    this.min = this.min === null ? value : Math.min(this.min, value);
+    this.max = this.max === null ? value : Math.max(this.max, value);
+  }
+  /**
+   * @summary Estimate a percentile as the upper bound of the bucket it falls in, capped by the maximum value
+   * @param {!Number} percentile Percentile between 0 and 1
+   * @return {?Number} `null` if nothing was recorded
+   */
+  percentile(percentile) {
+    if (!this.count)
+      return null;
+    const rank = percentile * this.count;
+    let seen = 0;
+    const index = this.counts.findIndex(count => (seen += count) >= rank);
+    return Math.min(this.bounds[index], this.max);
+  }
+  /**
+   * @summary Get a plain copy of the histogram
+   * @return {{count: Number, sum: Number, min: ?Number, max: ?Number, p50: ?Number, p95: ?Number,
+   *           p99: ?Number, buckets: Array<{le: Number, count: Number}>}} Bucket counts are not cumulative
+   */
+  toJSON() {
+    return {
+      count: this.count,
+      sum: this.sum,
+      min: this.min,
+      max: this.max,
+      p50: this.percentile(0.5),
+      p95: this.percentile(0.95),
+      p99: this.percentile(0.99),
+      buckets: this.bounds.map((le, index) => ({le, count: this.counts[index]}))
+    };
+  }
+}
+module.exports = Histogram;
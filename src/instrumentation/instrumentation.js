@@ -0,0 +1,254 @@
+const Logger = require('./logger');
+const Histogram = require('./histogram');
+const now = () => typeof performance !== 'undefined' ? performance.now() : Date.now();
+const measureSize = payload => {
+  if (payload === undefined)
+    return 0;
+  try {
+    const json = JSON.stringify(payload);
+    if (json === undefined)
+      return 0;
+    return typeof TextEncoder !== 'undefined' ? new TextEncoder().encode(json).length : json.length;
+  } catch (error) {
+    return 0;
+  }
+};
+/**
+ * @summary OpenTelemetry `SpanStatusCode.ERROR`
+ * @ignore
+ */
+const SPAN_STATUS_ERROR = 2;
+class Instrumentation {
+  /**
+   * @class Instrumentation
+   * @summary Logging, metrics and tracing around every request the SDK sends. Create it through the
+   *          `instrumentation` option of `SocketKit`.
+   *
+   * Every `send` and `sendWithoutResponse` of the transport is measured: latency and request and response
+   * sizes (JSON bytes) go into per message histograms, hooks are called before and after it, and with a tracer
+   * it runs in its own span.
+   *
+   * @param {Object} [options={}] options
+   * @param {Object} [options.logger=console] Log target with `debug`, `info`, `warn` and `error` methods
+   * @param {string} [options.logLevel='warn'] Minimum level logged, one of `SocketKit.LogLevel`
+   * @param {Object} [options.tracer] OpenTelemetry style tracer, `startSpan(name, {attributes})` must return a span
+   *                                  with `setAttribute`, `setStatus`, `recordException` and `end`
+   * @param {Function} [options.onRequest] Called with a {@link RequestContext} before a request is sent
+   * @param {Function} [options.onResponse] Called with a {@link RequestContext} after it resolves or rejects
+   * @param {Number} [options.slowRequestThreshold=0] Log a warning for requests slower than this many
+   *                                                  milliseconds, `0` to disable
+   * @param {Array<Number>} [options.latencyBuckets] Latency histogram bounds in milliseconds
+   * @param {Array<Number>} [options.sizeBuckets] Payload size histogram bounds in bytes
+   *
+   * @example
+   *
+   * const socketkit = new SocketKit({
+   *   token: 'abc',
+   *   accountId: 1,
+   *   instrumentation: {
+   *     logLevel: SocketKit.LogLevel.INFO,
+   *     tracer: opentelemetry.trace.getTracer('socketkit'),
+   *     slowRequestThreshold: 1000,
+   *     onResponse: ({name, duration, error}) => statsd.timing(`socketkit.${name}`, duration)
+   *   }
+   * });
+   *
+   * setInterval(() => report(socketkit.getMetrics().requests.get_messages), 60000);
+   */
+  constructor({
+    logger = console,
+    logLevel = Logger.Level.WARN,
+    tracer = null,
+    onRequest = null,
+    onResponse = null,
+    slowRequestThreshold = 0,
+    latencyBuckets = Instrumentation.DefaultLatencyBuckets,
+    sizeBuckets = Instrumentation.DefaultSizeBuckets
+  } = {}) {
+    this.logger = new Logger({logger, level: logLevel});
+    this.tracer = tracer;
+    this.hooks = {onRequest, onResponse};
+    this.slowRequestThreshold = slowRequestThreshold;
+    this.latencyBuckets = latencyBuckets;
+    this.sizeBuckets = sizeBuckets;
+    this.reset();
+  }
+  /**
+   * @summary Measure every request sent through a transport
+   * @param {!Transport} client Transport
+   */
+  instrumentTransport(client) {
+    ['send', 'sendWithoutResponse'].forEach(method => {
+      const send = client[method];
+      client[method] = (name, payload) => this.measure(name, payload, () => send.call(client, name, payload));
+    });
+  }
+  /**
+   * @summary Run a request with hooks, metrics, logs and a span
+   * @private
+   * @ignore
+   * @param {!string} name Message name
+   * @param {*} payload Message payload
+   * @param {!Function} send Sends the request, returns a promise
+   * @return {Promise}
+   */
+  measure(name, payload, send) {
+    const context = {name, payload, requestSize: measureSize(payload), span: null, startedAt: Date.now()};
+    if (this.tracer)
+      context.span = this.tracer.startSpan(`socketkit ${name}`, {
+        attributes: {'socketkit.message.name': name, 'socketkit.request.size': context.requestSize}
+      });
+    this.callHook('onRequest', context);
+    this.logger.debug(`Sending ${name}`, {requestSize: context.requestSize});
+    const start = now();
+    const finish = (error, response) => {
+      Object.assign(context, {duration: now() - start, error, response, responseSize: measureSize(response)});
+      this.recordRequest(context);
+      this.endSpan(context);
+      this.callHook('onResponse', context);
+    };
+    return new Promise(resolve => resolve(send())).then(response => {
+      finish(null, response);
+      return response;
+    }, error => {
+      finish(error);
+      throw error;
+    });
+  }
+  /**
+   * @summary Update the metrics and logs of a finished request
+   * @private
+   * @ignore
+   * @param {RequestContext} context Request context
+   */
+  recordRequest({name, duration, requestSize, responseSize, error}) {
+    if (!this.metrics.requests[name])
+      this.metrics.requests[name] = {
+        count: 0,
+        errors: 0,
+        latency: new Histogram(this.latencyBuckets),
+        requestSize: new Histogram(this.sizeBuckets),
+        responseSize: new Histogram(this.sizeBuckets)
+      };
+    const metrics = this.metrics.requests[name];
+    metrics.count++;
+    metrics.latency.record(duration);
+    metrics.requestSize.record(requestSize);
+    metrics.responseSize.record(responseSize);
+    const fields = {duration: Math.round(duration), requestSize, responseSize};
+    if (error) {
+      metrics.errors++;
+      this.logger.info(`${name} failed: ${error.message}`, fields);
+    } else
+      this.logger.debug(`${name} succeeded`, fields);
+    if (this.slowRequestThreshold && duration > this.slowRequestThreshold)
+      this.logger.warn(`${name} took ${Math.round(duration)}ms`, fields);
+  }
+  /**
+   * @summary Finish the span of a request
+   * @private
+   * @ignore
+   * @param {RequestContext} context Request context
+   */
+  endSpan({span, responseSize, error}) {
+    if (!span)
+      return;
+    try {
+      span.setAttribute('socketkit.response.size', responseSize);
+      if (error) {
+        span.recordException(error);
+        span.setStatus({code: SPAN_STATUS_ERROR, message: error.message});
+      }
+      span.end();
+    } catch (spanError) {
+      this.logger.error(`Tracer failed: ${spanError.message}`);
+    }
+  }
+  /**
+   * @summary Call a hook, logging what it throws instead of failing the request
+   * @private
+   * @ignore
+   * @param {!string} name Hook name
+   * @param {RequestContext} context Request context
+   */
+  callHook(name, context) {
+    if (!this.hooks[name])
+      return;
+    try {
+      this.hooks[name](context);
+    } catch (error) {
+      this.logger.error(`${name} hook failed: ${error.message}`);
+    }
+  }
+  /**
+   * @summary Increment a counter, one of `Instrumentation.Counter`
+   * @param {!string} counter Counter name
+   */
+  increment(counter) {
+    this.metrics.counters[counter] = (this.metrics.counters[counter] || 0) + 1;
+  }
+  /**
+   * @summary Get a plain copy of the metrics
+   * @return {{counters: Object<string, Number>, requests: Object<string, {count: Number, errors: Number,
+   *           latency: Object, requestSize: Object, responseSize: Object}>}} Histograms as `Histogram#toJSON()`
+   */
+  getSnapshot() {
+    const requests = {};
+    Object.keys(this.metrics.requests).forEach(name => {
+      const {count, errors, latency, requestSize, responseSize} = this.metrics.requests[name];
+      requests[name] = {
+        count,
+        errors,
+        latency: latency.toJSON(),
+        requestSize: requestSize.toJSON(),
+        responseSize: responseSize.toJSON()
+      };
+    });
+    return {counters: Object.assign({}, this.metrics.counters), requests};
+  }
+  /**
+   * @summary Clear every metric, for instance after exporting them
+   */
+  reset() {
+    const counters = {};
+    Object.keys(Instrumentation.Counter).forEach(key => counters[Instrumentation.Counter[key]] = 0);
+    this.metrics = {counters, requests: {}};
+  }
+}
+/**
+ * @typedef {Object} RequestContext
+ * @property {string} name Message name
+ * @property {*} payload Message payload
+ * @property {Number} requestSize Payload size in JSON bytes
+ * @property {Number} startedAt Timestamp the request started at
+ * @property {?Object} span Span of the request if there is a tracer
+ * @property {Number} [duration] Latency in milliseconds, set after the response
+ * @property {*} [response] Response
+ * @property {Number} [responseSize] Response size in JSON bytes
+ * @property {?Error} [error] Rejection reason
+ */
+/**
+ * @summary Connection counters
+ * @static
+ * @readonly
+ * @enum {string}
+ */
+Instrumentation.Counter = {
+  CONNECTS: 'connects',
+  DISCONNECTS: 'disconnects',
+  RECONNECTS: 'reconnects',
+  RECONNECT_FAILURES: 'reconnectFailures',
+  AUTH_FAILURES: 'authFailures',
+  ERRORS: 'errors'
+};
+/**
+ * @static
+ * @type {Array<Number>}
+ */
+Instrumentation.DefaultLatencyBuckets = [5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000];
+/**
+ * @static
+ * @type {Array<Number>}
+ */
+Instrumentation.DefaultSizeBuckets = [64, 256, 1024, 4096, 16384, 65536, 262144, 1048576];
+module.exports = Instrumentation;
@@ -0,0 +1,96 @@
+class Logger {
+  /**
+   * @class Logger
+   * @summary Leveled logger writing to `console` or any object with `debug`, `info`, `warn` and `error` methods.
+   *
+   * @param {Object} [options={}] options
+   * @param {Object} [options.logger=console] Log target
+   * @param {string} [options.level='warn'] Minimum level written, one of `Logger.Level`
+   *
+   * @example
+   *
+   * const logger = new SocketKit.Logger({level: SocketKit.LogLevel.DEBUG});
+   * logger.debug('Sent', {name: 'get_messages'});
+   */
+  constructor({logger = console, level = Logger.Level.WARN} = {}) {
+    if (Logger.Levels.indexOf(level) === -1)
+      throw new Error(`level must be one of ${Logger.Levels.join(', ')}`);
+    this.logger = logger;
+    this.level = level;
+  }
+  /**
+   * @summary Whether messages of a level are written
+   * @param {!string} level Level
+   * @return {Boolean}
+   */
+  isEnabled(level) {
+    return Logger.Levels.indexOf(level) >= Logger.Levels.indexOf(this.level);
+  }
+  /**
+   * @summary Write a message if its level is enabled
+   * @param {!string} level Level
+   * @param {!string} message Message
+   * @param {Object} [fields] Structured fields
+   */
+  log(level, message, fields) {
+    if (level === Logger.Level.SILENT || !this.isEnabled(level))
+      return;
+    const write = this.logger[level] || this.logger.log;
+    if (fields === undefined)
+      write.call(this.logger, `[socketkit] ${message}`);
+    else
+      write.call(this.logger, `[socketkit] ${message}`, fields);
+  }
+  /**
+   * @summary Write a debug message
+   * @param {!string} message Message
+   * @param {Object} [fields] Structured fields
+   */
+  debug(message, fields) {
+    this.log(Logger.Level.DEBUG, message, fields);
+  }
+  /**
+   * @summary Write an info message
+   * @param {!string} message Message
+   * @param {Object} [fields] Structured fields
+   */
+  info(message, fields) {
+    this.log(Logger.Level.INFO, message, fields);
+  }
+  /**
+   * @summary Write a warning
+   * @param {!string} message Message
+   * @param {Object} [fields] Structured fields
+   */
+  warn(message, fields) {
+    this.log(Logger.Level.WARN, message, fields);
+  }
+  /**
+   * @summary Write an error
+   * @param {!string} message Message
+   * @param {Object} [fields] Structured fields
+   */
+  error(message, fields) {
+    this.log(Logger.Level.ERROR, message, fields);
+  }
+}
+/**
+ * @static
+ * @readonly
+ * @enum {string}
+ */
+Logger.Level = {
+  DEBUG: 'debug',
+  INFO: 'info',
+  WARN: 'warn',
+  ERROR: 'error',
+  SILENT: 'silent'
+};
+/**
+ * @summary Levels from the most to the least verbose
+ * @static
+ * @ignore
+ * @type {Array<string>}
+ */
+Logger.Levels = [Logger.Level.DEBUG, Logger.Level.INFO, Logger.Level.WARN, Logger.Level.ERROR, Logger.Level.SILENT];
+module.exports = Logger;
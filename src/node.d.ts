@@ -0,0 +1,103 @@
+// Type definitions for the socketkit-beta Node.js entry, which uses the Node.js line client and adds
+// `FileAdapter`, `DiskUploader` and `ConnectionPool`.
+
+import {
+  SocketKit as BaseSocketKit,
+  TypedEventEmitter,
+  SocketKitError,
+  SocketKitOptions,
+  QueueAdapter,
+  QueueEntry,
+  Uploader,
+  UploadFile,
+  RoomController,
+  ClientController
+} from './index';
+
+export * from './index';
+
+// Node.js only
+
+export declare class FileAdapter implements QueueAdapter {
+  constructor(options: {path: string});
+  load(): Promise<QueueEntry[]>;
+  save(entries: QueueEntry[]): Promise<void>;
+}
+
+export declare class DiskUploader implements Uploader {
+  constructor(options: {directory: string; chunkSize?: number});
+  upload(file: UploadFile, options?: {
+    onProgress?: (progress: {loaded: number; total: number}) => void;
+    signal?: AbortSignal;
+  }): Promise<{reference: string}>;
+}
+
+// Service mode
+
+export type RoutedRoomMethod = 'create' | 'findById' | 'findAll' | 'updateById' | 'deleteById' |
+  'sendMessageById' | 'sendMessageWithFiles' | 'getMessagesById' | 'editMessage' | 'deleteMessage' |
+  'addReaction' | 'removeReaction' | 'pinMessage' | 'unpinMessage' | 'markRead' | 'getMembers' |
+  'getOnlineMembers' | 'addMemberById' | 'updateMemberById' | 'removeMemberById';
+
+export type RoutedClientMethod = 'create' | 'upsert' | 'update' | 'delete' | 'findByKey' | 'getCurrent' |
+  'findAll' | 'findManyByKeys' | 'bulkUpsert' | 'bulkDelete' | 'syncFrom' | 'getPresence';
+
+/** Methods of a controller that run on the pooled connection of an account */
+export type AccountRouter<T, K extends keyof T> = {
+  [P in K]: T[P] extends (...args: infer A) => infer R ?
+    (...args: A) => Promise<R extends PromiseLike<infer U> ? U : R> :
+    never;
+};
+
+export interface ConnectionPoolOptions {
+  /** Returns the service token of an account, called before every (re)connect */
+  getToken: (accountId: number) => Promise<string> | string;
+  /** Milliseconds a connection stays open without calls, `0` to keep connections until `shutdown` */
+  idleTimeout?: number;
+  /** Milliseconds to wait for a connection before rejecting */
+  connectTimeout?: number;
+  /** `SocketKit` options of every connection */
+  options?: Partial<Omit<SocketKitOptions, 'accountId' | 'getToken'>>;
+}
+
+export type ConnectionCloseReason = 'idle' | 'failed' | 'shutdown';
+
+export interface ConnectionPoolEventMap {
+  connection_opened: [{accountId: number}];
+  connection_closed: [{accountId: number; reason: ConnectionCloseReason}];
+  connection_failed: [{accountId: number; error: SocketKitError}];
+}
+
+export declare class ConnectionPool extends TypedEventEmitter<ConnectionPoolEventMap> {
+  constructor(options: ConnectionPoolOptions);
+  acquire(accountId: number): Promise<SocketKit>;
+  release(socketkit: SocketKit): void;
+  run<T>(accountId: number, fn: (socketkit: SocketKit) => T | PromiseLike<T>): Promise<T>;
+  account(accountId: number): {
+    accountId: number;
+    Rooms: AccountRouter<RoomController, RoutedRoomMethod>;
+    Clients: AccountRouter<ClientController, RoutedClientMethod>;
+  };
+  getAccountIds(): string[];
+  shutdown(options?: {timeout?: number}): Promise<boolean>;
+  static readonly Event: {
+    readonly CONNECTION_OPENED: 'connection_opened';
+    readonly CONNECTION_CLOSED: 'connection_closed';
+    readonly CONNECTION_FAILED: 'connection_failed';
+  };
+  static readonly CloseReason: {
+    readonly IDLE: 'idle';
+    readonly FAILED: 'failed';
+    readonly SHUTDOWN: 'shutdown';
+  };
+  static readonly RoutedMethods: {
+    readonly Rooms: ReadonlyArray<RoutedRoomMethod>;
+    readonly Clients: ReadonlyArray<RoutedClientMethod>;
+  };
+}
+
+export declare class SocketKit extends BaseSocketKit {
+  static FileAdapter: typeof FileAdapter;
+  static DiskUploader: typeof DiskUploader;
+  static ConnectionPool: typeof ConnectionPool;
+}
@@ -1,5 +1,12 @@
 const LineClient = require('line-socket/client-node');
 const {SocketKit} = require('./index');
 SocketKit.LineClient = LineClient;
+SocketKit.FileAdapter = require('./queue/adapters/file');
+SocketKit.DiskUploader = require('./uploads/disk-uploader');
+SocketKit.WebCrypto = require('crypto').webcrypto;
+SocketKit.ConnectionPool = require('./service/connection-pool');
 exports.SocketKit = SocketKit;
 exports.Event = SocketKit.Event;
+exports.ConnectionPool = SocketKit.ConnectionPool;
+exports.FileAdapter = SocketKit.FileAdapter;
+exports.DiskUploader = SocketKit.DiskUploader;
@@ -0,0 +1,46 @@
+const {ValidationError} = require('../../errors');
+const fs = require('fs');
+class FileAdapter {
+  /**
+   * @class FileAdapter
+   * @summary Keeps queued requests in a JSON file so they survive a process restart. Node.js only.
+   *
+   * @param {Object} [options={}] options
+   * @param {!string} options.path Path of the JSON file
+   */
+  constructor({path} = {}) {
+    if (!path)
+      throw new ValidationError(`path is required`);
+    this.path = path;
+  }
+  /**
+   * @summary Load persisted entries
+   * @return {Promise<Array<Object>>}
+   */
+  load() {
+    return new Promise((resolve, reject) => {
+      fs.readFile(this.path, 'utf8', (err, raw) => {
+        if (err && err.code === 'ENOENT')
+          return resolve([]);
+        if (err)
+          return reject(err);
+        try {
+          resolve(raw ? JSON.parse(raw) : []);
+        } catch (parseError) {
+          reject(parseError);
+        }
+      });
+    });
+  }
+  /**
+   * @summary Persist entries
+   * @param {Array<Object>} entries Queued entries
+   * @return {Promise}
+   */
+  save(entries) {
+    return new Promise((resolve, reject) => {
+      fs.writeFile(this.path, JSON.stringify(entries), 'utf8', err => err ? reject(err) : resolve());
+    });
+  }
+}
+module.exports = FileAdapter;
@@ -0,0 +1,46 @@
+const {ValidationError} = require('../../errors');
+class LocalStorageAdapter {
+  /**
+   * @class LocalStorageAdapter
+   * @summary Keeps queued requests in `localStorage` so they survive a page reload.
+   *
+   * @param {Object} [options={}] options
+   * @param {string} [options.key='socketkit:outbound-queue'] Storage key
+   * @param {Storage} [options.storage=localStorage] Storage implementation
+   */
+  constructor({key = 'socketkit:outbound-queue', storage = global.localStorage} = {}) {
+    if (!storage)
+      throw new ValidationError(`storage is required`);
+    this.key = key;
+    this.storage = storage;
+  }
+  /**
+   * @summary Load persisted entries
+   * @return {Promise<Array<Object>>}
+   */
+  load() {
+    try {
+      const raw = this.storage.getItem(this.key);
+      return Promise.resolve(raw ? JSON.parse(raw) : []);
+    } catch (err) {
+      return Promise.reject(err);
+    }
+  }
+  /**
+   * @summary Persist entries
+   * @param {Array<Object>} entries Queued entries
+   * @return {Promise}
+   */
+  save(entries) {
+    try {
+      if (entries.length)
+        this.storage.setItem(this.key, JSON.stringify(entries));
+      else
+        this.storage.removeItem(this.key);
+      return Promise.resolve();
+    } catch (err) {
+      return Promise.reject(err);
+    }
+  }
+}
+module.exports = LocalStorageAdapter;
@@ -0,0 +1,26 @@
+class MemoryAdapter {
+  /**
+   * @class MemoryAdapter
+   * @summary Keeps queued requests in memory. They are lost when the process exits.
+   */
+  constructor() {
+    this.entries = [];
+  }
+  /**
+   * @summary Load persisted entries
+   * @return {Promise<Array<Object>>}
+   */
+  load() {
+    return Promise.resolve(this.entries.slice());
+  }
+  /**
+   * @summary Persist entries
+   * @param {Array<Object>} entries Queued entries
+   * @return {Promise}
+   */
+  save(entries) {
+    this.entries = entries.slice();
+    return Promise.resolve();
+  }
+}
+module.exports = MemoryAdapter;
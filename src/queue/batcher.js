@@ -0,0 +1,89 @@
+const {ValidationError} = require('../errors');
+const compact = source => {
+  const result = {};
+  Object.keys(source || {}).forEach(key => {
+    if (source[key] !== undefined)
+      result[key] = source[key];
+  });
+  return result;
+};
+class Batcher {
+  /**
+   * @class Batcher
+   * @summary Merges high frequency requests. Requests with the same key waiting for the same flush are merged
+   *          into one, later fields winning, and every caller gets its result. Waiting requests are flushed
+   *          `interval` milliseconds after the first one, or once `maxSize` are waiting, and each merged request
+   *          is sent as a regular message.
+   * @ignore
+   *
+   * @param {Transport} client Transport
+   * @param {Object} [options={}] options
+   * @param {Number} [options.interval=50] Milliseconds to collect requests before flushing
+   * @param {Number} [options.maxSize=20] Waiting requests that flush immediately
+   */
+  constructor(client, {interval = 50, maxSize = 20} = {}) {
+    if (!(interval >= 0) || !(maxSize >= 1))
+      throw new ValidationError(`batching needs a non-negative interval and maxSize of at least 1`);
+    this.client = client;
+    this.interval = interval;
+    this.maxSize = maxSize;
+    this.pending = [];
+    this.timer = null;
+  }
+  /**
+   * @summary Add a request to the next flush
+   * @param {!string} key Merge key, e.g. `typing:1`
+   * @param {!string} name Message name
+   * @param {Object} payload Message payload
+   * @param {Object} [options={}] options
+   * @param {Boolean} [options.expectsResponse=true] Sent with `sendWithoutResponse` unless a merged caller
+   *                                                 expects a response
+   * @param {Function} [options.schedule] Called with the send of the merged request when it is flushed,
+   *                                      returns its promise. Lets a rate limiter delay it.
+   * @return {Promise}
+   */
+  add(key, name, payload, {expectsResponse = true, schedule = send => send()} = {}) {
+    return new Promise((resolve, reject) => {
+      const existing = this.pending.find(entry => entry.key === key && entry.name === name);
+      if (existing) {
+        existing.payload = Object.assign(existing.payload, compact(payload));
+        existing.expectsResponse = existing.expectsResponse || expectsResponse;
+        existing.callbacks.push({resolve, reject});
+        return;
+      }
+      this.pending.push({key, name, payload: compact(payload), expectsResponse, schedule,
+        callbacks: [{resolve, reject}]});
+      if (this.pending.length >= this.maxSize)
+        this.flush();
+      else if (!this.timer)
+        this.timer = setTimeout(() => this.flush(), this.interval);
+    });
+  }
+  /**
+   * @summary Send the waiting requests now
+   * @return {Promise}
+   */
+  flush() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    const entries = this.pending;
+    this.pending = [];
+    return Promise.all(entries.map(entry => this.send(entry)));
+  }
+  /**
+   * @summary Send a merged request and settle every caller merged into it
+   * @private
+   * @param {Object} entry Merged request
+   * @return {Promise}
+   */
+  send(entry) {
+    const settle = (error, result) => entry.callbacks.forEach(({resolve, reject}) =>
+      error ? reject(error) : resolve(result));
+    const send = () => entry.expectsResponse ?
+      this.client.send(entry.name, entry.payload) :
+      this.client.sendWithoutResponse(entry.name, entry.payload);
+    return new Promise(resolve => resolve(entry.schedule(send)))
+      .then(result => settle(null, result), error => settle(error));
+  }
+}
+module.exports = Batcher;
@@ -0,0 +1,178 @@
+const EventEmitterExtra = require('event-emitter-extra');
+const MemoryAdapter = require('./adapters/memory');
+const generateId = require('../utils/generate-id');
+class OutboundQueue extends EventEmitterExtra {
+  /**
+   * @class OutboundQueue
+   * @extends {EventEmitterExtra}
+   * @summary Holds outgoing requests while disconnected and flushes them in order after (re)connecting.
+   *
+   * @param {Object} [options={}] options
+   * @param {Object} [options.adapter=new MemoryAdapter()] Persistence adapter implementing `load()` and `save()`
+   *
+   * @example
+   *
+   * const socketkit = new SocketKit({
+   *   token: 'abc',
+   *   accountId: 1,
+   *   queue: {adapter: new SocketKit.LocalStorageAdapter()}
+   * });
+   *
+   * socketkit.queue.on(SocketKit.OutboundQueue.Event.SENT, ({entry, response}) => console.log('Sent', entry));
+   */
+  constructor({adapter = new MemoryAdapter()} = {}) {
+    super();
+    this.adapter = adapter;
+    this.client = null;
+    this.isConnected = false;
+    this.isFlushing = false;
+    this.entries = [];
+    this.deferreds = {};
+    this.ready = this.restore();
+  }
+  /**
+   * @summary Load entries left over from a previous session
+   * @private
+   * @ignore
+   * @return {Promise}
+   */
+  restore() {
+    return this.adapter
+      .load()
+      .then(entries => {
+        this.entries = entries.concat(this.entries);
+      })
+      .catch(error => this.emit(OutboundQueue.Event.ERROR, error));
+  }
+  /**
+   * @summary Set the line client requests are sent through
+   * @private
+   * @ignore
+   * @param {LineClient} client Line client
+   */
+  attach(client) {
+    this.client = client;
+  }
+  /**
+   * @summary Update connection state. Flushes the queue when connected.
+   * @private
+   * @ignore
+   * @param {Boolean} isConnected Connection state
+   * @return {Promise}
+   */
+  setConnected(isConnected) {
+    this.isConnected = isConnected;
+    if (isConnected)
+      return this.flush();
+    return Promise.resolve();
+  }
+  /**
+   * @summary Send a request right away or queue it until the connection is back.
+   *
+   * @param {!string} name Event name
+   * @param {Object} [payload={}] Request payload
+   * @param {Object} [options={}] options
+   * @param {Function} [options.onSend] Called every time the request goes out to the transport
+   * @param {Function} [options.onWait] Called when a request that went out waits in the queue again
+   *
+   * @return {Promise} Resolved with the server response once the request is delivered
+   */
+  send(name, payload = {}, {onSend = () => {}, onWait = () => {}} = {}) {
+    if (this.isConnected && !this.isFlushing && !this.entries.length) {
+      onSend();
+      return this.client.send(name, payload);
+    }
+    const entry = {id: generateId(), name, payload, createdAt: Date.now()};
+    const promise = new Promise((resolve, reject) => {
+      this.deferreds[entry.id] = {resolve, reject, onSend, onWait};
+    });
+    this.entries.push(entry);
+    this.persist();
+    this.emit(OutboundQueue.Event.QUEUED, entry);
+    if (this.isConnected)
+      this.flush();
+    return promise;
+  }
+  /**
+   * @summary Send queued requests in order. Stops at the first request that fails while disconnected.
+   * @async
+   */
+  async flush() {
+    await this.ready;
+    if (this.isFlushing || !this.client)
+      return;
+    this.isFlushing = true;
+    while (this.isConnected && this.entries.length) {
+      const entry = this.entries[0];
+      const deferred = this.deferreds[entry.id];
+      let response;
+      try {
+        if (deferred)
+          deferred.onSend();
+        response = await this.client.send(entry.name, entry.payload);
+      } catch (error) {
+        if (!this.isConnected) {
+          if (deferred)
+            deferred.onWait();
+          break;
+        }
+        this.settle(entry, error);
+        continue;
+      }
+      this.settle(entry, null, response);
+    }
+    this.isFlushing = false;
+  }
+  /**
+   * @summary Remove an entry and resolve or reject its pending promise
+   * @private
+   * @ignore
+   * @param {Object} entry Queued entry
+   * @param {?Error} error Error if the request failed
+   * @param {*} response Server response
+   */
+  settle(entry, error, response) {
+    this.entries.shift();
+    this.persist();
+    const deferred = this.deferreds[entry.id];
+    delete this.deferreds[entry.id];
+    if (error)
+      this.emit(OutboundQueue.Event.FAILED, {entry, error});
+    else
+      this.emit(OutboundQueue.Event.SENT, {entry, response});
+    if (deferred && error)
+      deferred.reject(error);
+    else if (deferred)
+      deferred.resolve(response);
+  }
+  /**
+   * @summary Write current entries through the adapter
+   * @private
+   * @ignore
+   * @return {Promise}
+   */
+  persist() {
+    return this.adapter
+      .save(this.entries)
+      .catch(error => this.emit(OutboundQueue.Event.ERROR, error));
+  }
+  /**
+   * @summary Get queued entries
+   * @return {Array<{id: string, name: string, payload: Object, createdAt: Number}>}
+   */
+  getEntries() {
+    return this.entries.slice();
+  }
+}
+/**
+ * @static
+ * @readonly
+ * @enum {string}
+ */
+OutboundQueue.Event = {
+  QUEUED: 'queued',
+  SENT: 'sent',
+  FAILED: 'failed',
+  ERROR: 'error'
+};
+module.exports = OutboundQueue;
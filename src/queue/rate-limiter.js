@@ -0,0 +1,162 @@
+const EventEmitterExtra = require('event-emitter-extra');
+const TokenBucket = require('./token-bucket');
+const {ValidationError, AbortError} = require('../errors');
+const NO_KEY = '';
+const validateBucket = (name, options) => {
+  if (!options)
+    return null;
+  if (!(options.capacity >= 1) || !(options.perSecond > 0))
+    throw new ValidationError(`${name} needs capacity of at least 1 and a positive perSecond`);
+  return options;
+};
+class RateLimiter extends EventEmitterExtra {
+  /**
+   * @class RateLimiter
+   * @extends {EventEmitterExtra}
+   * @summary Token bucket rate limiter with one bucket per connection and one per key (room). Sends over the limit
+   *          wait in a queue per key and go out in the order they were scheduled.
+   * @ignore
+   *
+   * @param {Object} [options={}] options
+   * @param {{capacity: Number, perSecond: Number}} [options.connection] Limit of every send
+   * @param {{capacity: Number, perSecond: Number}} [options.key] Limit of the sends of each key
+   */
+  constructor({connection, key} = {}) {
+    super();
+    this.connectionOptions = validateBucket('rateLimit.connection', connection);
+    this.keyOptions = validateBucket('rateLimit.room', key);
+    this.connection = this.connectionOptions ? new TokenBucket(this.connectionOptions) : null;
+    this.buckets = {};
+    this.queues = {};
+    this.total = 0;
+    this.sequence = 0;
+    this.timer = null;
+  }
+  /**
+   * @summary Run a send now if both buckets have a token, or queue it
+   * @param {?(Number|string)} key Key, a room id. Sends without key are only limited by the connection bucket.
+   * @param {!Function} run Starts the send, returns a promise
+   * @param {AbortSignal} [signal] Removes the send from the queue and rejects with `AbortError` when aborted
+   * @return {Promise}
+   */
+  schedule(key, run, signal) {
+    if (signal && signal.aborted)
+      return Promise.reject(new AbortError(`Request is aborted`));
+    return new Promise((resolve, reject) => {
+      const entry = {key, id: key === null || key === undefined ? NO_KEY : String(key), seq: this.sequence++};
+      const onAbort = () => {
+        if (this.remove(entry))
+          reject(new AbortError(`Request is aborted`));
+      };
+      entry.run = () => {
+        if (signal)
+          signal.removeEventListener('abort', onAbort);
+        new Promise(resolveRun => resolveRun(run())).then(resolve, reject);
+      };
+      if (signal)
+        signal.addEventListener('abort', onAbort);
+      this.queues[entry.id] = (this.queues[entry.id] || []).concat(entry);
+      this.total++;
+      this.pump();
+      entry.isWaiting = !!this.queues[entry.id] && this.queues[entry.id].indexOf(entry) > -1;
+      if (entry.isWaiting)
+        this.emitDepth(entry);
+    });
+  }
+  /**
+   * @summary Number of queued sends
+   * @param {(Number|string)} [key] Only count the sends of a key
+   * @return {Number}
+   */
+  getDepth(key) {
+    if (key === undefined)
+      return this.total;
+    const queue = this.queues[key === null ? NO_KEY : String(key)];
+    return queue ? queue.length : 0;
+  }
+  /**
+   * @summary Run every queued send that has tokens, then wait for the next token
+   * @private
+   */
+  pump() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    let wait = Infinity;
+    for (;;) {
+      const now = Date.now();
+      let next = null;
+      Object.keys(this.queues).forEach(id => {
+        const entry = this.queues[id][0];
+        const keyWait = id === NO_KEY ? 0 : this.getBucket(id).getWait(now);
+        if (keyWait > 0)
+          wait = Math.min(wait, keyWait);
+        else if (!next || entry.seq < next.seq)
+          next = entry;
+      });
+      if (!next)
+        break;
+      const connectionWait = this.connection ? this.connection.getWait(now) : 0;
+      if (connectionWait > 0) {
+        wait = Math.min(wait, connectionWait);
+        break;
+      }
+      if (this.connection)
+        this.connection.take();
+      if (next.id !== NO_KEY)
+        this.getBucket(next.id).take();
+      this.remove(next);
+      next.run();
+    }
+    if (wait !== Infinity)
+      this.timer = setTimeout(() => this.pump(), Math.ceil(wait));
+  }
+  /**
+   * @summary Get the bucket of a key, a pass-through bucket when keys are not limited
+   * @private
+   * @param {string} id Key
+   * @return {TokenBucket}
+   */
+  getBucket(id) {
+    if (!this.keyOptions)
+      return {getWait: () => 0, take: () => {}};
+    if (!this.buckets[id])
+      this.buckets[id] = new TokenBucket(this.keyOptions);
+    return this.buckets[id];
+  }
+  /**
+   * @summary Remove an entry from its queue. Only entries that had to wait emit the depth change.
+   * @private
+   * @param {Object} entry Queued entry
+   * @return {Boolean} Whether it was still queued
+   */
+  remove(entry) {
+    const queue = this.queues[entry.id];
+    const index = queue ? queue.indexOf(entry) : -1;
+    if (index === -1)
+      return false;
+    queue.splice(index, 1);
+    if (!queue.length)
+      delete this.queues[entry.id];
+    this.total--;
+    if (entry.isWaiting)
+      this.emitDepth(entry);
+    return true;
+  }
+  /**
+   * @summary Emit the queue depth of an entry's key
+   * @private
+   * @param {Object} entry Entry whose queue changed
+   */
+  emitDepth(entry) {
+    this.emit(RateLimiter.Event.QUEUE_CHANGED, {key: entry.key, depth: this.getDepth(entry.key), total: this.total});
+  }
+}
+/**
+ * @static
+ * @readonly
+ * @enum {string}
+ */
+RateLimiter.Event = {
+  QUEUE_CHANGED: 'queue_changed'
+};
+module.exports = RateLimiter;
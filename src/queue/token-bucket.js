@@ -0,0 +1,44 @@
+class TokenBucket {
+  /**
+   * @class TokenBucket
+   * @summary Allows bursts of `capacity` sends, refilled at `perSecond` tokens per second.
+   * @ignore
+   *
+   * @param {Object} options options
+   * @param {!Number} options.capacity Maximum burst
+   * @param {!Number} options.perSecond Tokens added per second
+   */
+  constructor({capacity, perSecond}) {
+    this.capacity = capacity;
+    this.perSecond = perSecond;
+    this.tokens = capacity;
+    this.updatedAt = Date.now();
+  }
+  /**
+   * @summary Add the tokens earned since the last update. A timestamp taken before the bucket was created
+   *          earns nothing instead of taking tokens away.
+   * @param {Number} now Current timestamp
+   */
+  refill(now) {
+    if (now <= this.updatedAt)
+      return;
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this.updatedAt) * this.perSecond / 1000);
+    this.updatedAt = now;
+  }
+  /**
+   * @summary Milliseconds until a token is available, `0` if one is available now
+   * @param {Number} now Current timestamp
+   * @return {Number}
+   */
+  getWait(now) {
+    this.refill(now);
+    return this.tokens >= 1 ? 0 : (1 - this.tokens) * 1000 / this.perSecond;
+  }
+  /**
+   * @summary Use a token
+   */
+  take() {
+    this.tokens -= 1;
+  }
+}
+module.exports = TokenBucket;
@@ -1,8 +1,46 @@
-const EventEmitterExtra = require('event-emitter-extra');
-class RoomsController extends EventEmitterExtra {
+const Controller = require('../controller');
+const Transport = require('../transport/transport');
+const {ValidationError, PermissionError} = require('../errors');
+const {Role, Permission, RolePermissions, getPermissions} = require('./roles');
+const generateId = require('../utils/generate-id');
+const TypingTracker = require('./typing-tracker');
+const {RoomEventType, parseRoomEvent} = require('./room-event');
+const RoomStore = require('./store');
+const Room = require('./room');
+const PageIterator = require('../utils/page-iterator');
+const toList = require('../utils/to-list');
+const {readFile} = require('../uploads/file-metadata');
+const RoomEncryption = require('../e2e/room-encryption');
+const RateLimiter = require('../queue/rate-limiter');
+const ClientEvents = require('../clients/controller').Events;
+const ENCRYPTED_EVENT_TYPES = [RoomEventType.MESSAGE, RoomEventType.MESSAGE_EDITED];
+class RoomsController extends Controller {
   /**
    * @class RoomController
+   * @extends {Controller}
    * @param  {LineClient} client Line client
+   * @param  {Object} [options={}] options
+   * @param  {OutboundQueue} [options.queue] Outbound queue used while disconnected
+   * @param  {RequestOptions} [options.requestOptions={}] Defaults for every request
+   * @param  {Object} [options.typingOptions={}] Typing indicator options
+   * @param  {Number} [options.typingOptions.throttle=3000] Minimum interval between outgoing typing notifications
+   * @param  {Number} [options.typingOptions.timeout=5000] Typing state expiry in milliseconds
+   * @param  {Object} [options.uploader] Uploader used by `sendMessageWithFiles`, see `MemoryUploader`
+   * @param  {Object} [options.e2e] End-to-end encryption options, see `SocketKit`
+   * @param  {!Crypto} options.e2e.crypto WebCrypto implementation
+   * @param  {!Object} options.e2e.privateKey Private key of the current client as JWK
+   * @param  {!Object} options.e2e.publicKey Public key of the current client as JWK
+   * @param  {string} [options.e2e.publicKeyProperty='e2ePublicKey'] Client property holding the public key
+   * @param  {(Boolean|Object)} [options.rateLimit] Rate limit of writes, `true` for
+   *                                                `RoomController.DefaultRateLimit`
+   * @param  {{capacity: Number, perSecond: Number}} [options.rateLimit.connection] Limit of every write
+   * @param  {{capacity: Number, perSecond: Number}} [options.rateLimit.room] Limit of the writes of each room
+   * @param  {Batcher} [options.batcher] Merges typing and property updates
+   *
+   * @property {RoomStore} store Local copy of rooms, members and messages
+   * @property {?string} currentClientKey Unique key of the connected client, `null` for service connections.
+   *                                     Requests the client has no permission for are rejected with
+   *                                     `PermissionError` before they are sent.
    *
    * @example
    *
@@ -17,10 +55,35 @@ class RoomsController extends EventEmitterExtra {
    *   const rooms = socketkit.Rooms;
    * });
    */
-  constructor(client) {
-    super();
-    this.client = client;
+  constructor(client, {
+    queue = null,
+    requestOptions = {},
+    typingOptions = {},
+    uploader = null,
+    e2e = null,
+    rateLimit = null,
+    batcher = null
+  } = {}) {
+    super(client, {queue, requestOptions, batcher});
+    this.uploader = uploader;
+    this.typingOptions = Object.assign({}, RoomsController.DefaultTypingOptions, typingOptions);
+    this.outgoingTyping = {};
+    this.sentMessageIds = {};
+    this.messageIterators = new Set();
+    this.roomHandles = {};
+    this.currentClientKey = null;
+    this.typing = new TypingTracker({
+      timeout: this.typingOptions.timeout,
+      onChange: (roomId, members) => this.emit(RoomsController.Events.TYPING_CHANGED, {roomId, members})
+    });
+    this.store = new RoomStore();
+    this.encryption = e2e ? this.createEncryption(e2e) : null;
+    this.limiter = rateLimit ? this.createLimiter(rateLimit === true ? RoomsController.DefaultRateLimit : rateLimit) :
+      null;
+    this.incoming = Promise.resolve();
     this.bindEvents();
+    this.bindStore();
+    this.bindRoomHandles();
   }
   /**
    * @summary Bind necessary events
@@ -30,6 +93,19 @@ class RoomsController extends EventEmitterExtra {
   bindEvents() {
     this.client.on(RoomsController.InternalEvents.ROOM_EVENT, message => {
       this.emit(RoomsController.Events.ROOM_EVENT, message.payload);
+      const roomEvent = parseRoomEvent(message.payload);
+      if (!roomEvent)
+        return;
+      const name = RoomsController.RoomEventMap[roomEvent.type];
+      if (!this.encryption)
+        return this.emit(name, roomEvent.payload);
+      // Keep the order of events while messages are being decrypted
+      this.incoming = this.incoming
+        .then(() => ENCRYPTED_EVENT_TYPES.indexOf(roomEvent.type) > -1 ?
+          this.encryption.decryptMessage(roomEvent.payload) :
+          roomEvent.payload)
+        .then(payload => this.emit(name, payload))
+        .catch(error => this.emit(RoomsController.Events.ERROR, error));
     });
     this.client.on(RoomsController.InternalEvents.NEW_ROOM_CREATED, message => {
       this.emit(RoomsController.Events.NEW_ROOM_CREATED, message.payload);
@@ -40,16 +116,263 @@ class RoomsController extends EventEmitterExtra {
     this.client.on(RoomsController.InternalEvents.ROOM_UPDATED, message => {
       this.emit(RoomsController.Events.ROOM_UPDATED, message.payload);
     });
+    this.client.on(RoomsController.InternalEvents.ROOM_DELETED, message => {
+      this.emit(RoomsController.Events.ROOM_DELETED, message.payload);
+    });
+    this.client.on(RoomsController.InternalEvents.REMOVED_FROM_ROOM, message => {
+      this.emit(RoomsController.Events.REMOVED_FROM_ROOM, message.payload);
+    });
+    this.client.on(RoomsController.InternalEvents.PRESENCE_CHANGED, message => {
+      const {uniqueClientKey, status, lastSeenAt} = message.payload || {};
+      if (uniqueClientKey)
+        this.store.setPresence(uniqueClientKey, {status, lastSeenAt});
+    });
+    this.client.on(RoomsController.InternalEvents.TYPING, message => {
+      const {roomId, uniqueClientKey, isTyping} = message.payload || {};
+      if (roomId && uniqueClientKey)
+        this.typing.set(roomId, uniqueClientKey, isTyping);
+    });
+    // Typing states are not renewed while disconnected, ours are not sent again after reconnecting
+    this.client.on(Transport.Event.DISCONNECTED, () => {
+      Object.keys(this.outgoingTyping).forEach(roomId => clearTimeout(this.outgoingTyping[roomId].timeout));
+      this.outgoingTyping = {};
+      this.typing.clear();
+    });
+    this.on(RoomsController.Events.MESSAGE_RECEIVED, message => this.messageIterators.forEach(iterator => {
+      if (iterator.roomId == message.roomId)
+        iterator.seen[message.id] = true;
+    }));
+  }
+  /**
+   * @summary Re-emit room scoped events on the `Room` handles of their room. One listener per event serves
+   *          every handle.
+   * @private
+   * @ignore
+   */
+  bindRoomHandles() {
+    RoomsController.RoomScopedEvents.forEach(name => this.on(name, payload => {
+      const handles = payload && this.roomHandles[payload.roomId !== undefined ? payload.roomId : payload.id];
+      if (handles)
+        Array.from(handles).forEach(room => room.emit(name, payload));
+    }));
+  }
+  /**
+   * @summary Keep the store in sync with push events
+   * @private
+   * @ignore
+   */
+  bindStore() {
+    const setRoom = room => room && this.store.setRooms([room]);
+    const removeRoom = ({roomId} = {}) => this.store.removeRoom(roomId);
+    this.on(RoomsController.Events.NEW_ROOM_CREATED, setRoom);
+    this.on(RoomsController.Events.JOINED_TO_ROOM, setRoom);
+    this.on(RoomsController.Events.ROOM_UPDATED, setRoom);
+    this.on(RoomsController.Events.ROOM_DELETED, removeRoom);
+    this.on(RoomsController.Events.REMOVED_FROM_ROOM, removeRoom);
+    this.on(RoomsController.Events.MESSAGE_RECEIVED, message => {
+      this.store.setMessages(message.roomId, [message]);
+      if (this.sentMessageIds[message.clientMessageId])
+        delete this.sentMessageIds[message.clientMessageId];
+      else
+        this.setUnreadCount(message.roomId, this.getUnreadCount(message.roomId) + 1);
+    });
+    this.on(RoomsController.Events.MESSAGE_EDITED, message => this.store.setMessages(message.roomId, [message]));
+    this.on(RoomsController.Events.MESSAGE_DELETED, ({roomId, id}) => this.store.removeMessage(roomId, id));
+    this.on(RoomsController.Events.MESSAGE_PINNED, ({roomId, id, isPinned}) => {
+      this.store.patchMessage(roomId, id, {isPinned});
+    });
+    this.on(RoomsController.Events.REACTIONS_CHANGED, ({roomId, id, reactions}) => {
+      this.store.patchMessage(roomId, id, {reactions});
+    });
+    this.on(RoomsController.Events.READ_RECEIPT, ({roomId, uniqueClientKey, messageId, readAt}) => {
+      this.store.setMember(roomId, {uniqueClientKey, lastReadMessageId: messageId, readAt});
+    });
+    this.on(RoomsController.Events.MEMBER_JOINED, ({roomId, ...member}) => this.store.setMember(roomId, member));
+    this.on(RoomsController.Events.MEMBER_PERMISSIONS_CHANGED, ({roomId, ...member}) => {
+      this.store.setMember(roomId, member);
+    });
+    this.on(RoomsController.Events.MEMBER_LEFT, ({roomId, uniqueClientKey}) => {
+      this.store.removeMember(roomId, uniqueClientKey);
+    });
+    this.on(RoomsController.Events.ROOM_PROPERTIES_CHANGED, ({roomId, ...fields}) => {
+      this.store.patchRoom(roomId, fields);
+    });
+  }
+  /**
+   * @summary Create the end-to-end encryption helper
+   * @private
+   * @ignore
+   * @param {Object} options E2E options
+   * @return {RoomEncryption}
+   */
+  createEncryption({crypto, privateKey, publicKey, publicKeyProperty = 'e2ePublicKey'}) {
+    return new RoomEncryption({
+      crypto,
+      privateKey,
+      publicKey,
+      getCurrentClientKey: async () => {
+        if (!this.currentClientKey) {
+          const client = await this.read(ClientEvents.GET_CURRENT_CLIENT);
+          this.setCurrentClient(client && client.uniqueClientKey);
+        }
+        return this.currentClientKey;
+      },
+      getPublicKey: async uniqueClientKey => {
+        const client = await this.read(ClientEvents.GET_CLIENT, {uniqueClientKey});
+        const key = client && client.properties && client.properties[publicKeyProperty];
+        if (!key)
+          throw new ValidationError(`Client ${uniqueClientKey} has no ${publicKeyProperty} property`);
+        return key;
+      },
+      getRoom: async (roomId, {refresh = false} = {}) => {
+        if (refresh || !this.store.select(RoomStore.Selectors.room(roomId)))
+          await this.findById(roomId);
+        return {
+          room: this.store.select(RoomStore.Selectors.room(roomId)),
+          members: this.store.select(RoomStore.Selectors.members(roomId))
+        };
+      }
+    });
+  }
+  /**
+   * @summary Create the rate limiter of writes
+   * @private
+   * @ignore
+   * @param {Object} options Rate limit options
+   * @return {RateLimiter}
+   */
+  createLimiter({connection, room}) {
+    const limiter = new RateLimiter({connection, key: room});
+    limiter.on(RateLimiter.Event.QUEUE_CHANGED, ({key, depth, total}) =>
+      this.emit(RoomsController.Events.SEND_QUEUE_CHANGED, {roomId: key, depth, total}));
+    return limiter;
+  }
+  /**
+   * @summary Send a request, waiting in the rate limiter first if it is a write. Reads are not limited, and
+   *          batched requests wait once merged, see `scheduleBatched`. Timeouts do not apply while the request
+   *          waits.
+   * @private
+   * @ignore
+   * @param {!string} name Event name
+   * @param {Object} [payload] Payload
+   * @param {RequestOptions} [requestOptions={}] Per call options
+   * @param {Object} [flags={}] flags, see `Controller#request`
+   * @return {Promise}
+   */
+  request(name, payload, requestOptions = {}, flags = {}) {
+    if (!this.limiter || flags.isIdempotent || (this.batcher && flags.batchKey))
+      return super.request(name, payload, requestOptions, flags);
+    return this.limiter.schedule(payload && payload.roomId, () => super.request(name, payload, requestOptions, flags),
+      this.getRequestOptions(requestOptions).signal);
+  }
+  /**
+   * @summary Send a request through the outbound queue, see `Controller#sendQueued`. Writes wait in the
+   *          rate limiter before they are queued.
+   * @private
+   * @ignore
+   * @param {!string} name Event name
+   * @param {Object} payload Payload
+   * @param {RequestOptions} [requestOptions={}] Per call options
+   * @return {Promise}
+   */
+  sendQueued(name, payload, requestOptions = {}) {
+    if (!this.limiter || !this.queue)
+      return super.sendQueued(name, payload, requestOptions);
+    return this.limiter.schedule(payload && payload.roomId, () => super.sendQueued(name, payload, requestOptions),
+      this.getRequestOptions(requestOptions).signal);
+  }
+  /**
+   * @summary Send a merged request through the rate limiter, taking a token of its room and the connection
+   * @private
+   * @ignore
+   * @param {Object} payload Payload of the merged request
+   * @param {!Function} send Sends the merged request
+   * @return {Promise}
+   */
+  scheduleBatched(payload, send) {
+    if (!this.limiter)
+      return send();
+    return this.limiter.schedule(payload && payload.roomId, send);
+  }
+  /**
+   * @summary Get the number of writes waiting for the rate limit
+   *
+   * @param  {Number} [roomId] Only count the writes of a room
+   * @return {Number}
+   *
+   * @example
+   *
+   * socketkit.Rooms.on(SocketKit.ChatEvent.SEND_QUEUE_CHANGED, ({roomId, depth}) => {
+   *   renderSending(roomId, depth > 0);
+   * });
+   *
+   * socketkit.Rooms.getSendQueueDepth(1);
+   */
+  getSendQueueDepth(roomId) {
+    return this.limiter ? this.limiter.getDepth(roomId) : 0;
+  }
+  /**
+   * @summary Set the client whose permissions are checked before sending
+   * @private
+   * @ignore
+   * @param {?string} uniqueClientKey Unique client key
+   */
+  setCurrentClient(uniqueClientKey) {
+    this.currentClientKey = uniqueClientKey || null;
+  }
+  /**
+   * @summary Check whether the current client has a permission in a room. Unknown rooms, members and service
+   *          connections pass, the server has the last word.
+   * @private
+   * @ignore
+   * @param {!Number} roomId Room id
+   * @param {!string} permission One of `RoomController.Permission`
+   * @return {?PermissionError} Error to reject with
+   */
+  checkPermission(roomId, permission) {
+    const members = this.currentClientKey && this.store.select(RoomStore.Selectors.members(roomId));
+    const member = members && members[this.currentClientKey];
+    if (!member || getPermissions(member).indexOf(permission) > -1)
+      return null;
+    return new PermissionError(`"${permission}" permission is required in room ${roomId}`);
+  }
+  /**
+   * @summary Get a handle of a room with its own emitter and the room methods bound to it. Every call returns
+   *          a new handle, dispose it when it is not needed anymore.
+   *
+   * @param  {!Number} roomId Room id
+   *
+   * @return {Room}
+   *
+   * @example
+   *
+   * const room = socketkit.Rooms.room(1);
+   * room.on(SocketKit.ChatEvent.MESSAGE_RECEIVED, message => console.log('Message', message));
+   * room.send({text: 'Hello'});
+   * room.dispose();
+   */
+  room(roomId) {
+    if (!roomId)
+      throw new ValidationError(`roomId is required`);
+    const handles = this.roomHandles[roomId] || (this.roomHandles[roomId] = new Set());
+    const room = new Room(this, roomId, () => {
+      handles.delete(room);
+      if (!handles.size && this.roomHandles[roomId] === handles)
+        delete this.roomHandles[roomId];
+    });
+    handles.add(room);
+    return room;
   }
   /**
    * @summary Create a room
    *
    * @param  {!Object} payload Parameters for the method
    * @param  {!string} payload.title Title of the room
-   * @param  {Boolean} [isPrivate=false] payload.isPrivate If the room is private or not
-   * @param  {Boolean} [allowPostsByDefault=true] payload.allowPostsByDefault
-   *                                              Can participants post messages to room or not right away
-   * @param  {Object} [properties={}] payload.properties Additional properties for the room
+   * @param  {Boolean} [payload.isPrivate=false] If the room is private or not
+   * @param  {Boolean} [payload.allowPostsByDefault=true] Can participants post messages to room or not right away
+   * @param  {Object} [payload.properties={}] Additional properties for the room
+   * @param  {Boolean} [payload.isEncrypted=false] Encrypt messages end-to-end, needs the `e2e` option
+   * @param  {RequestOptions} [requestOptions={}] Timeout, cancellation and retry options
    *
    * @return {Promise}
    *
@@ -73,15 +396,24 @@ class RoomsController extends EventEmitterExtra {
    *     });
    * });
    */
-  create({title, isPrivate = false, allowPostsByDefault = true, properties = {}} = {}) {
+  create({title, isPrivate = false, allowPostsByDefault = true, properties = {}, isEncrypted = false} = {},
+    requestOptions = {}) {
     if (!title)
-      return Promise.reject(new Error(`title is required`));
-    return this.client.send(RoomsController.InternalEvents.CREATE_ROOM, {
-      title,
-      private: isPrivate,
-      allowPostsByDefault,
-      properties
-    });
+      return Promise.reject(new ValidationError(`title is required`));
+    const payload = {title, private: isPrivate, allowPostsByDefault, properties};
+    if (!isEncrypted)
+      return this.request(RoomsController.InternalEvents.CREATE_ROOM, payload, requestOptions);
+    if (!this.encryption)
+      return Promise.reject(new ValidationError(`e2e option is required for encrypted rooms`));
+    return this.encryption
+      .createRoom(properties)
+      .then(({properties, roomKey}) => this
+        .request(RoomsController.InternalEvents.CREATE_ROOM, Object.assign(payload, {properties}), requestOptions)
+        .then(room => {
+          if (room && room.id)
+            this.encryption.setRoomKey(room.id, roomKey);
+          return room;
+        }));
   }
   /**
    * @summary Send a message to room
@@ -92,6 +424,9 @@ class RoomsController extends EventEmitterExtra {
    * @param  {Object} payload.properties Message properties
    * @param  {Array<{reference: !String, type: String, name: String, size: Number, length: Number}>}
    *                                     payload.properties.attachments File Attachments sent with the message
+   * @param  {string} [payload.clientMessageId] Client generated id, lets the server drop duplicate deliveries.
+   *                                           Generated when omitted.
+   * @param  {RequestOptions} [requestOptions={}] Timeout, cancellation and retry options
    * @return {Promise}
    *
    * @example
@@ -109,27 +444,396 @@ class RoomsController extends EventEmitterExtra {
    *     .sendMessageById(1, {text: 'Jarvis is ready.', properties: {isCool: true}});
    * });
    */
-  sendMessageById(roomId, {text, properties = {} = {}}) {
+  sendMessageById(roomId, {text, properties = {}, clientMessageId = generateId()} = {}, requestOptions = {}) {
     if (!roomId)
-      return Promise.reject(new Error(`roomId is required`));
+      return Promise.reject(new ValidationError(`roomId is required`));
     if (!text)
-      return Promise.reject(new Error(`text is required`));
-    return this.client.send(RoomsController.InternalEvents.SEND_MESSAGE_TO_ROOM, {roomId, text, properties});
+      return Promise.reject(new ValidationError(`text is required`));
+    const permissionError = this.checkPermission(roomId, Permission.POST);
+    if (permissionError)
+      return Promise.reject(permissionError);
+    this.trackSentMessage(clientMessageId);
+    const payload = {roomId, text, properties, clientMessageId};
+    const send = payload => this.sendQueued(RoomsController.InternalEvents.SEND_MESSAGE_TO_ROOM, payload,
+      requestOptions);
+    const sent = !this.encryption ? send(payload) : this.encryption
+      .encryptMessage(roomId, payload)
+      .then(send)
+      .then(message => this.encryption.decryptMessage(message));
+    return sent.then(message => {
+      if (this.sentMessageIds[clientMessageId])
+        this.sentMessageIds[clientMessageId] = Date.now();
+      return message;
+    }, error => {
+      delete this.sentMessageIds[clientMessageId];
+      throw error;
+    });
+  }
+  /**
+   * @summary Remember a sent message so its echo is not counted as unread. Entries are removed when the echo
+   *          arrives, when the send fails, or `SentMessageTTL` after delivery when no echo comes.
+   * @private
+   * @ignore
+   * @param {string} clientMessageId Client message id
+   */
+  trackSentMessage(clientMessageId) {
+    const now = Date.now();
+    Object.keys(this.sentMessageIds)
+      .filter(id => this.sentMessageIds[id] !== true && now - this.sentMessageIds[id] > RoomsController.SentMessageTTL)
+      .forEach(id => delete this.sentMessageIds[id]);
+    this.sentMessageIds[clientMessageId] = true;
   }
   /**
-   * @summary Gets room information by room id.
+   * @summary Upload files and send a message with them attached. Name, MIME type, size and, in browsers,
+   *          audio/video length are filled in. Emits `UPLOAD_PROGRESS` while uploading.
+   *
+   * @param  {!Number} roomId Room id
+   * @param  {!Object} [payload={}] payload Parameters for the method
+   * @param  {!string} payload.text Message to be sent to the room
+   * @param  {!Array<Blob|Buffer|ReadableStream|{data: *, name: string, type: string, length: Number}>} payload.files
+   *                                     Files to upload
+   * @param  {Object} [payload.properties={}] Message properties
+   * @param  {RequestOptions} [requestOptions={}] Timeout, cancellation and retry options
+   *
+   * @return {Promise}
+   *
+   * @example
+   *
+   * const socketkit = new SocketKit({
+   *   token: 'abc',
+   *   accountId: 1,
+   *   uploader: myUploader
+   * });
+   *
+   * socketkit.connect();
+   *
+   * socketkit.Rooms.on(SocketKit.ChatEvent.UPLOAD_PROGRESS, ({name, loaded, total}) => {
+   *   console.log('Uploading', name, loaded / total);
+   * });
+   *
+   * socketkit.on(SocketKit.Event.CONNECTED, () => {
+   *   socketkit
+   *     .Rooms
+   *     .sendMessageWithFiles(1, {text: 'Holiday photos', files: input.files});
+   * });
+   */
+  async sendMessageWithFiles(roomId, {text, files, properties = {}} = {}, requestOptions = {}) {
+    if (!roomId)
+      throw new ValidationError(`roomId is required`);
+    if (!text)
+      throw new ValidationError(`text is required`);
+    if (!files || !files.length)
+      throw new ValidationError(`files is required`);
+    if (!this.uploader)
+      throw new ValidationError(`uploader is required`);
+    const permissionError = this.checkPermission(roomId, Permission.POST);
+    if (permissionError)
+      throw permissionError;
+    const clientMessageId = generateId();
+    const attachments = await Promise.all(Array.from(files).map(async (input, index) => {
+      const file = await readFile(input, index);
+      const onProgress = ({loaded, total}) => this.emit(RoomsController.Events.UPLOAD_PROGRESS, {
+        roomId,
+        clientMessageId,
+        index,
+        name: file.name,
+        loaded,
+        total
+      });
+      const {reference} = await this.uploader.upload(file, {onProgress, signal: requestOptions.signal});
+      const attachment = {reference, type: file.type, name: file.name, size: file.size};
+      if (file.length !== null && file.length !== undefined)
+        attachment.length = file.length;
+      return attachment;
+    }));
+    return this.sendMessageById(roomId, {
+      text,
+      properties: Object.assign({}, properties, {attachments}),
+      clientMessageId
+    }, requestOptions);
+  }
+  /**
+   * @summary Edit a message. The previous text is kept in the message's `editHistory`.
+   *
+   * @param  {!Number} roomId Room id
+   * @param  {!Number} messageId Message id
+   * @param  {!Object} [payload={}] payload Parameters for the method
+   * @param  {!string} payload.text New text of the message
+   * @param  {Object} [payload.properties] New message properties
+   * @param  {RequestOptions} [requestOptions={}] Timeout, cancellation and retry options
+   *
+   * @return {Promise}
+   *
+   * @example
+   *
+   * socketkit
+   *   .Rooms
+   *   .editMessage(1, 42, {text: 'Jarvis is ready, for real.'});
+   */
+  editMessage(roomId, messageId, {text, properties} = {}, requestOptions = {}) {
+    if (!roomId)
+      return Promise.reject(new ValidationError(`roomId is required`));
+    if (!messageId)
+      return Promise.reject(new ValidationError(`messageId is required`));
+    if (!text)
+      return Promise.reject(new ValidationError(`text is required`));
+    const payload = {roomId, messageId, text};
+    if (properties)
+      payload.properties = properties;
+    const edit = payload => this.request(RoomsController.InternalEvents.EDIT_MESSAGE, payload, requestOptions);
+    if (!this.encryption)
+      return edit(payload);
+    return this.encryption
+      .encryptMessage(roomId, payload)
+      .then(edit)
+      .then(message => this.encryption.decryptMessage(message));
+  }
+  /**
+   * @summary Delete a message
+   *
+   * @param  {!Number} roomId Room id
+   * @param  {!Number} messageId Message id
+   * @param  {RequestOptions} [requestOptions={}] Timeout, cancellation and retry options
+   *
+   * @return {Promise}
+   *
+   * @example
+   *
+   * socketkit
+   *   .Rooms
+   *   .deleteMessage(1, 42);
+   */
+  deleteMessage(roomId, messageId, requestOptions = {}) {
+    if (!roomId)
+      return Promise.reject(new ValidationError(`roomId is required`));
+    if (!messageId)
+      return Promise.reject(new ValidationError(`messageId is required`));
+    return this.request(RoomsController.InternalEvents.DELETE_MESSAGE, {roomId, messageId}, requestOptions);
+  }
+  /**
+   * @summary React to a message with an emoji
+   *
+   * @param  {!Number} roomId Room id
+   * @param  {!Number} messageId Message id
+   * @param  {!string} emoji Emoji
+   * @param  {RequestOptions} [requestOptions={}] Timeout, cancellation and retry options
+   *
+   * @return {Promise}
+   *
+   * @example
+   *
+   * socketkit
+   *   .Rooms
+   *   .addReaction(1, 42, '👍');
+   */
+  addReaction(roomId, messageId, emoji, requestOptions = {}) {
+    if (!roomId)
+      return Promise.reject(new ValidationError(`roomId is required`));
+    if (!messageId)
+      return Promise.reject(new ValidationError(`messageId is required`));
+    if (!emoji)
+      return Promise.reject(new ValidationError(`emoji is required`));
+    return this.request(RoomsController.InternalEvents.ADD_REACTION, {roomId, messageId, emoji}, requestOptions);
+  }
+  /**
+   * @summary Remove a reaction of the current client from a message
+   *
+   * @param  {!Number} roomId Room id
+   * @param  {!Number} messageId Message id
+   * @param  {!string} emoji Emoji
+   * @param  {RequestOptions} [requestOptions={}] Timeout, cancellation and retry options
+   *
+   * @return {Promise}
+   *
+   * @example
+   *
+   * socketkit
+   *   .Rooms
+   *   .removeReaction(1, 42, '👍');
+   */
+  removeReaction(roomId, messageId, emoji, requestOptions = {}) {
+    if (!roomId)
+      return Promise.reject(new ValidationError(`roomId is required`));
+    if (!messageId)
+      return Promise.reject(new ValidationError(`messageId is required`));
+    if (!emoji)
+      return Promise.reject(new ValidationError(`emoji is required`));
+    return this.request(RoomsController.InternalEvents.REMOVE_REACTION, {roomId, messageId, emoji}, requestOptions);
+  }
+  /**
+   * @summary Mark messages of a room as read up to and including `messageId`. Other members receive
+   *          `READ_RECEIPT` and the room's `unreadCount` is reset.
+   *
+   * @param  {!Number} roomId Room id
+   * @param  {!Number} messageId Last read message id
+   * @param  {RequestOptions} [requestOptions={}] Timeout, cancellation and retry options
+   *
+   * @return {Promise}
+   *
+   * @example
+   *
+   * socketkit.Rooms.on(SocketKit.ChatEvent.MESSAGE_RECEIVED, message => {
+   *   if (message.roomId === openRoomId)
+   *     socketkit.Rooms.markRead(message.roomId, message.id);
+   * });
+   */
+  markRead(roomId, messageId, requestOptions = {}) {
+    if (!roomId)
+      return Promise.reject(new ValidationError(`roomId is required`));
+    if (!messageId)
+      return Promise.reject(new ValidationError(`messageId is required`));
+    return this
+      .request(RoomsController.InternalEvents.MARK_READ, {roomId, messageId}, requestOptions)
+      .then(response => {
+        this.setUnreadCount(roomId, 0);
+        return response;
+      });
+  }
+  /**
+   * @summary Get the number of messages received in a room since it was last marked read. Counting starts
+   *          from the `unreadCount` the server sends with the room, or from `0`. Messages sent by this
+   *          instance are not counted.
+   *
+   * @param  {!Number} roomId Room id
+   *
+   * @return {Number}
+   *
+   * @example
+   *
+   * socketkit.Rooms.on(SocketKit.ChatEvent.UNREAD_COUNT_CHANGED, ({roomId, unreadCount}) => {
+   *   renderBadge(roomId, unreadCount);
+   * });
+   */
+  getUnreadCount(roomId) {
+    return this.store.select(RoomStore.Selectors.unreadCount(roomId));
+  }
+  /**
+   * @summary Store the unread counter of a known room and emit `UNREAD_COUNT_CHANGED`
+   * @private
+   * @ignore
+   * @param {!Number} roomId Room id
+   * @param {!Number} unreadCount Unread message count
+   */
+  setUnreadCount(roomId, unreadCount) {
+    const room = this.store.select(RoomStore.Selectors.room(roomId));
+    if (!room || room.unreadCount === unreadCount)
+      return;
+    this.store.patchRoom(roomId, {unreadCount});
+    this.emit(RoomsController.Events.UNREAD_COUNT_CHANGED, {roomId, unreadCount});
+  }
+  /**
+   * @summary Notify room members that the current client is typing. Repeated calls are throttled
+   *          and the typing state is cleared automatically when it is not renewed.
+   *
+   * @param  {!Number} roomId Room id
+   * @param  {Boolean} [isTyping=true] Typing state
+   *
+   * @return {Promise}
+   *
+   * @example
+   *
+   * const socketkit = new SocketKit({
+   *   token: 'abc',
+   *   accountId: 1
+   * });
+   *
+   * socketkit.connect();
+   *
+   * socketkit.on(SocketKit.Event.CONNECTED, () => {
+   *   input.addEventListener('input', () => socketkit.Rooms.setTyping(1, true));
+   *   input.addEventListener('blur', () => socketkit.Rooms.setTyping(1, false));
+   * });
+   */
+  setTyping(roomId, isTyping = true) {
+    if (!roomId)
+      return Promise.reject(new ValidationError(`roomId is required`));
+    const state = this.outgoingTyping[roomId];
+    if (state)
+      clearTimeout(state.timeout);
+    if (!isTyping) {
+      if (!state)
+        return Promise.resolve();
+      delete this.outgoingTyping[roomId];
+      return this.notify(RoomsController.InternalEvents.SET_TYPING, {roomId, isTyping: false}, `typing:${roomId}`);
+    }
+    const now = Date.now();
+    const isThrottled = state && now - state.sentAt < this.typingOptions.throttle;
+    this.outgoingTyping[roomId] = {
+      sentAt: isThrottled ? state.sentAt : now,
+      timeout: setTimeout(() => this.setTyping(roomId, false).catch(() => {}), this.typingOptions.timeout)
+    };
+    if (isThrottled)
+      return Promise.resolve();
+    return this.notify(RoomsController.InternalEvents.SET_TYPING, {roomId, isTyping: true}, `typing:${roomId}`);
+  }
+  /**
+   * @summary Get members currently typing in a room
+   *
+   * @param  {!Number} roomId Room id
+   *
+   * @return {Array<string>} Unique client keys of typing members
+   *
+   * @example
+   *
+   * socketkit.Rooms.on(SocketKit.ChatEvent.TYPING_CHANGED, ({roomId}) => {
+   *   console.log('Typing', socketkit.Rooms.getTypingMembers(roomId));
+   * });
+   */
+  getTypingMembers(roomId) {
+    return this.typing.get(roomId);
+  }
+  /**
+   * @summary Gets room information by room id. Members carry their read position as `lastReadMessageId`
+   *          and `readAt`.
    * @param {!Number} roomId Room id.
+   * @param {RequestOptions} [requestOptions={}] Timeout, cancellation and retry options
    * @return {Promise}
    */
-  findById(roomId) {
+  findById(roomId, requestOptions = {}) {
+    if (!roomId)
+      return Promise.reject(new ValidationError(`roomId is required`));
+    return this
+      .read(RoomsController.InternalEvents.GET_ROOM_INFO, {roomId}, requestOptions)
+      .then(room => {
+        if (room)
+          this.store.setRooms([room]);
+        return room;
+      });
+  }
+  /**
+   * @summary Get members of a room that are online or away. Their presence is merged into the store's
+   *          members, and kept up to date by `presence_changed` pushes afterwards.
+   *
+   * @param  {!Number} roomId Room id
+   * @param  {RequestOptions} [requestOptions={}] Timeout, cancellation and retry options
+   *
+   * @return {Promise<Array<PresencePayload>>}
+   *
+   * @example
+   *
+   * socketkit
+   *   .Rooms
+   *   .getOnlineMembers(1)
+   *   .then(members => console.log('Online', members.map(member => member.uniqueClientKey)));
+   */
+  getOnlineMembers(roomId, requestOptions = {}) {
     if (!roomId)
-      return Promise.reject(new Error(`roomId is required`));
-    return this.client.send(RoomsController.Events.GET_ROOM_INFO, {roomId});
+      return Promise.reject(new ValidationError(`roomId is required`));
+    return this
+      .read(RoomsController.InternalEvents.GET_ONLINE_MEMBERS, {roomId}, requestOptions)
+      .then(result => {
+        const members = toList(result, 'members');
+        members.forEach(({uniqueClientKey, status, lastSeenAt}) => {
+          this.store.setPresence(uniqueClientKey, {status, lastSeenAt});
+        });
+        return members;
+      });
   }
   /**
    * @summary Get rooms
    *
    * @param  {object} [options={}] options Options for pagination
+   * @param  {RequestOptions} [requestOptions={}] Timeout, cancellation and retry options
    *
    * @return {Promise}
    *
@@ -149,10 +853,14 @@ class RoomsController extends EventEmitterExtra {
    *     .then(rooms => console.log('Rooms', rooms));
    * });
    */
-  findAll(options = {}) {
-    return this.client
-      .send(RoomsController.InternalEvents.GET_CLIENT_ROOMS, {
+  findAll(options = {}, requestOptions = {}) {
+    return this
+      .read(RoomsController.InternalEvents.GET_CLIENT_ROOMS, {
         pagination: options
+      }, requestOptions)
+      .then(rooms => {
+        this.store.setRooms(rooms);
+        return rooms;
       });
   }
   /**
@@ -160,8 +868,9 @@ class RoomsController extends EventEmitterExtra {
    *
    * @param  {!Number} roomId Room id
    * @param  {?Date} [options={}] options Pagination options.
+   * @param  {RequestOptions} [requestOptions={}] Timeout, cancellation and retry options
    *
-   * @return {Promise}
+   * @return {Promise<Array<MessagePayload>>} Messages, decrypted in end-to-end encrypted rooms
    *
    * @example
    *
@@ -179,11 +888,93 @@ class RoomsController extends EventEmitterExtra {
    *     .then(messages => console.log('Messages', messages));
    * });
    */
-  getMessagesById(roomId, options = {}) {
+  getMessagesById(roomId, options = {}, requestOptions = {}) {
+    if (!roomId)
+      return Promise.reject(new ValidationError(`roomId is required`));
+    return this
+      .read(RoomsController.InternalEvents.GET_MESSAGES, {roomId, pagination: options}, requestOptions)
+      .then(result => {
+        const messages = toList(result, 'messages');
+        if (!this.encryption)
+          return messages;
+        return Promise.all(messages.map(message => this.encryption.decryptMessage(message)));
+      })
+      .then(messages => {
+        this.store.setMessages(roomId, messages);
+        return messages;
+      });
+  }
+  /**
+   * @summary Iterate over all rooms of the client, fetching pages as they are consumed
+   *
+   * @param  {Object} [options={}] options
+   * @param  {Number} [options.pageSize=50] Rooms requested per page
+   * @param  {RequestOptions} [requestOptions={}] Options for every page request
+   *
+   * @return {AsyncIterator<Object>}
+   *
+   * @example
+   *
+   * for await (const room of socketkit.Rooms.iterateAll({pageSize: 20}))
+   *   console.log('Room', room);
+   */
+  iterateAll({pageSize = 50} = {}, requestOptions = {}) {
+    return new PageIterator({
+      cursor: 0,
+      fetchPage: offset => this
+        .findAll({limit: pageSize, offset}, requestOptions)
+        .then(result => {
+          const items = toList(result, 'rooms');
+          return {items, cursor: items.length < pageSize ? null : offset + items.length};
+        })
+    });
+  }
+  /**
+   * @summary Iterate over the message history of a room. Pages backwards from `before` (or the latest message)
+   *          unless `after` is given. Messages that already arrived through `MESSAGE_RECEIVED` while paging
+   *          are not yielded again.
+   *
+   * @param  {!Number} roomId Room id
+   * @param  {Object} [options={}] options
+   * @param  {Number} [options.before] Start from messages older than this message id
+   * @param  {Number} [options.after] Start from messages newer than this message id and page forwards
+   * @param  {Number} [options.pageSize=50] Messages requested per page
+   * @param  {RequestOptions} [requestOptions={}] Options for every page request
+   *
+   * @return {AsyncIterator<Object>}
+   *
+   * @example
+   *
+   * for await (const message of socketkit.Rooms.iterateMessages(1, {pageSize: 100}))
+   *   exported.push(message);
+   */
+  iterateMessages(roomId, {before, after, pageSize = 50} = {}, requestOptions = {}) {
     if (!roomId)
-      return Promise.reject(new Error(`roomId is required`));
-    return this.client
-      .send(RoomsController.InternalEvents.GET_MESSAGES, {roomId, pagination: options});
+      throw new ValidationError(`roomId is required`);
+    const isForward = after !== undefined && after !== null;
+    const seen = {};
+    const iterator = {roomId, seen};
+    return new PageIterator({
+      cursor: isForward ? after : before,
+      filter: message => !seen[message.id] && (seen[message.id] = true),
+      onEnd: () => this.messageIterators.delete(iterator),
+      fetchPage: cursor => {
+        // Tracked from the first page on, so iterators that are never consumed are not kept
+        this.messageIterators.add(iterator);
+        const pagination = {limit: pageSize};
+        if (cursor !== undefined && cursor !== null)
+          pagination[isForward ? 'after' : 'before'] = cursor;
+        return this
+          .getMessagesById(roomId, pagination, requestOptions)
+          .then(items => {
+            if (items.length < pageSize)
+              return {items, cursor: null};
+            const ids = items.map(message => message.id);
+            const next = isForward ? Math.max(...ids) : Math.min(...ids);
+            return {items, cursor: next === cursor ? null : next};
+          });
+      }
+    });
   }
   /**
    * @summary Update a room
@@ -192,7 +983,9 @@ class RoomsController extends EventEmitterExtra {
    * @param  {Object}  payload
    * @param  {!Number} payload.roomId Room id
    * @param  {!string} payload.title New title of the room
-   * @param  {Object} [properties={}] payload.properties Additional properties
+   * @param  {Object} [payload.properties={}] Additional properties. They replace the current ones, except the
+   *                                           encryption properties of an encrypted room, which are kept.
+   * @param  {RequestOptions} [requestOptions={}] Timeout, cancellation and retry options
    *
    * @return {Promise}
    *
@@ -207,32 +1000,72 @@ class RoomsController extends EventEmitterExtra {
    *
    * socketkit.on(SocketKit.Event.CONNECTED, () => {
    *   socketkit
-   *     .getInstance()
-   *     .updateRoom(1, {
+   *     .Rooms
+   *     .updateById(1, {
    *       title: 'Edited title',
    *       properties: {link: 'https://socketkit.com'}
    *     });
    * });
    */
-  updateById(roomId, {title, properties = {}} = {}) {
+  updateById(roomId, {title, properties = {}} = {}, requestOptions = {}) {
     if (!roomId)
-      return Promise.reject(new Error(`roomId is required`));
+      return Promise.reject(new ValidationError(`roomId is required`));
     if (!title)
-      return Promise.reject(new Error(`title is required`));
-    return this.client.send(RoomsController.InternalEvents.UPDATE_ROOM, {roomId, title, properties});
+      return Promise.reject(new ValidationError(`title is required`));
+    const permissionError = this.checkPermission(roomId, Permission.EDIT_ROOM);
+    if (permissionError)
+      return Promise.reject(permissionError);
+    const update = properties => this.request(RoomsController.InternalEvents.UPDATE_ROOM, {roomId, title, properties},
+      requestOptions, {batchKey: `room:${roomId}`});
+    const room = this.store.select(RoomStore.Selectors.room(roomId));
+    properties = Object.assign({}, properties, RoomEncryption.getRoomProperties(room));
+    if (!this.encryption)
+      return update(properties);
+    return this.encryption.updateRoom(roomId, properties).then(update);
   }
   /**
-   * @todo Implement delete room by id functionality.
+   * @summary Delete a room
+   *
+   * @param  {!Number} roomId Room id
+   * @param  {RequestOptions} [requestOptions={}] Timeout, cancellation and retry options
+   *
+   * @return {Promise}
+   *
+   * @example
+   *
+   * const socketkit = new SocketKit({
+   *   token: 'abc',
+   *   accountId: 1
+   * });
+   *
+   * socketkit.connect();
+   *
+   * socketkit.on(SocketKit.Event.CONNECTED, () => {
+   *   socketkit
+   *     .Rooms
+   *     .deleteById(1);
+   * });
    */
-  deleteById() {}
+  deleteById(roomId, requestOptions = {}) {
+    if (!roomId)
+      return Promise.reject(new ValidationError(`roomId is required`));
+    const permissionError = this.checkPermission(roomId, Permission.EDIT_ROOM);
+    if (permissionError)
+      return Promise.reject(permissionError);
+    return this.request(RoomsController.InternalEvents.DELETE_ROOM, {roomId}, requestOptions);
+  }
   /**
    * @summary Add a participant to a room
    *
    * @param {!Number} roomId Room id
    * @param {!Object} [payload={}] payload Parameters for the method
    * @param {!Number} payload.targetUniqueClientKey Target client id
-   * @param {Boolean} payload.isAllowedToPost Optional PostMessage priviledge of the participant
-   * @param {Object} [properties={}] payload.properties Additional properties for the participant
+   * @param {string} [payload.role] Role of the participant, one of `RoomController.Role`. Requires `invite`
+   *                                permission, and `owner` to add another owner.
+   * @param {Boolean} payload.isAllowedToPost Optional PostMessage priviledge of the participant,
+   *                                          used when `role` is not given
+   * @param {Object} [payload.properties={}] Additional properties for the participant
+   * @param {RequestOptions} [requestOptions={}] Timeout, cancellation and retry options
    *
    * @return {Promise}
    *
@@ -250,31 +1083,43 @@ class RoomsController extends EventEmitterExtra {
    *     .Rooms
    *     .addMemberById(1, {
    *       targetUniqueClientKey: 15,
-   *       isAllowedToPost: false,
+   *       role: SocketKit.RoomRole.READ_ONLY,
    *       properties: {joinedDate: new Date()}
    *     })
    * });
    */
-  addMemberById(roomId, {targetUniqueClientKey, isAllowedToPost, properties = {}} = {}) {
+  addMemberById(roomId, {targetUniqueClientKey, role, isAllowedToPost, properties = {}} = {}, requestOptions = {}) {
     if (!roomId)
-      return Promise.reject(new Error(`roomId is required`));
+      return Promise.reject(new ValidationError(`roomId is required`));
     if (!targetUniqueClientKey)
-      return Promise.reject(new Error(`targetUniqueClientKey is required`));
-    return this.client.send(RoomsController.InternalEvents.ADD_PARTICIPANT, {
-      roomId,
-      targetUniqueClientKey,
-      isAllowedToPost,
-      properties
-    });
+      return Promise.reject(new ValidationError(`targetUniqueClientKey is required`));
+    const error = this.validateRole(role) || this.checkPermission(roomId, Permission.INVITE) ||
+      this.checkOwnerGrant(roomId, role);
+    if (error)
+      return Promise.reject(error);
+    const payload = {roomId, targetUniqueClientKey, isAllowedToPost, properties};
+    if (role)
+      payload.role = role;
+    const add = payload => this.request(RoomsController.InternalEvents.ADD_PARTICIPANT, payload, requestOptions);
+    if (!this.encryption)
+      return add(payload);
+    return this.encryption
+      .addMemberKey(roomId, targetUniqueClientKey, properties)
+      .then(properties => add(Object.assign(payload, {properties})));
   }
   /**
    * @summary Update a member of a room
    *
    * @param {!Number} roomId Room id
    * @param {!Object} [payload={}] payload Parameters for the method
-   * @param {!Number} payload.targetClientId Target client id
-   * @param {Boolean} payload.isAllowedToPost PostMessage priviledge of the member
-   * @param {Object} payload.properties Additional properties for the member
+   * @param {!Number} payload.targetUniqueClientKey Target client id
+   * @param {string} [payload.role] New role of the member, one of `RoomController.Role`. Changing it requires
+   *                                `remove` permission, and `owner` to grant or take `owner`.
+   * @param {Boolean} [payload.isAllowedToPost] PostMessage priviledge of the member. Requires `invite`
+   *                                            permission.
+   * @param {Object} [payload.properties] Additional properties for the member. Requires `invite` permission
+   *                                      unless members update their own properties.
+   * @param {RequestOptions} [requestOptions={}] Timeout, cancellation and retry options
    *
    * @return {Promise}
    *
@@ -282,8 +1127,7 @@ class RoomsController extends EventEmitterExtra {
    *
    * const socketkit = new SocketKit({
    *   token: 'abc',
-   *   accountId: 1,
-   *   type: Socketkit.ConnectionType.CLIENT
+   *   accountId: 1
    * });
    *
    * socketkit.connect();
@@ -293,27 +1137,191 @@ class RoomsController extends EventEmitterExtra {
    *     .Rooms
    *     .updateMemberById(1, {
    *       targetUniqueClientKey: 15,
-   *       isAllowedToPost: true,
+   *       role: SocketKit.RoomRole.MODERATOR,
    *       properties: {}
    *     });
    * });
    */
-  updateMemberById(roomId, {targetUniqueClientKey, isAllowedToPost, properties} = {}) {
+  updateMemberById(roomId, {targetUniqueClientKey, role, isAllowedToPost, properties} = {}, requestOptions = {}) {
     if (!roomId)
-      return Promise.reject(new Error(`roomId is required`));
+      return Promise.reject(new ValidationError(`roomId is required`));
     if (!targetUniqueClientKey)
-      return Promise.reject(new Error(`targetUniqueClientKey is required`));
-    return this.client.send(RoomsController.InternalEvents.UPDATE_PARTICIPANT, {
-      roomId,
-      targetUniqueClientKey,
-      isAllowedToPost,
-      properties
+      return Promise.reject(new ValidationError(`targetUniqueClientKey is required`));
+    const members = this.store.select(RoomStore.Selectors.members(roomId));
+    const target = members && members[targetUniqueClientKey];
+    const isRoleChanged = !!role && (!target || target.role !== role);
+    const isSelf = targetUniqueClientKey === this.currentClientKey;
+    const error = this.validateRole(role) ||
+      (isRoleChanged && (this.checkPermission(roomId, Permission.REMOVE) || this.checkOwnerGrant(roomId, role) ||
+        this.checkOwnerGrant(roomId, target && target.role))) ||
+      (isAllowedToPost !== undefined && this.checkPermission(roomId, Permission.INVITE)) ||
+      (properties !== undefined && !isSelf && this.checkPermission(roomId, Permission.INVITE));
+    if (error)
+      return Promise.reject(error);
+    const payload = {roomId, targetUniqueClientKey, isAllowedToPost, properties};
+    if (role)
+      payload.role = role;
+    return this.request(RoomsController.InternalEvents.UPDATE_PARTICIPANT, payload, requestOptions, {
+      batchKey: `member:${roomId}:${targetUniqueClientKey}`
     });
   }
   /**
-   * @todo Implement remove member by id.
+   * @summary Remove a member from a room
+   *
+   * @param {!Number} roomId Room id
+   * @param {!Object} [payload={}] payload Parameters for the method
+   * @param {!Number} payload.targetUniqueClientKey Target client id
+   * @param {RequestOptions} [requestOptions={}] Timeout, cancellation and retry options
+   *
+   * @return {Promise}
+   *
+   * @example
+   *
+   * const socketkit = new SocketKit({
+   *   token: 'abc',
+   *   accountId: 1
+   * });
+   *
+   * socketkit.connect();
+   *
+   * socketkit.on(SocketKit.Event.CONNECTED, () => {
+   *   socketkit
+   *     .Rooms
+   *     .removeMemberById(1, {targetUniqueClientKey: 15});
+   * });
+   */
+  removeMemberById(roomId, {targetUniqueClientKey} = {}, requestOptions = {}) {
+    if (!roomId)
+      return Promise.reject(new ValidationError(`roomId is required`));
+    if (!targetUniqueClientKey)
+      return Promise.reject(new ValidationError(`targetUniqueClientKey is required`));
+    if (targetUniqueClientKey !== this.currentClientKey) {
+      const permissionError = this.checkPermission(roomId, Permission.REMOVE);
+      if (permissionError)
+        return Promise.reject(permissionError);
+    }
+    return this.request(RoomsController.InternalEvents.REMOVE_PARTICIPANT, {
+      roomId,
+      targetUniqueClientKey
+    }, requestOptions);
+  }
+  /**
+   * @summary Get members of a room with their roles and permissions
+   *
+   * @param {!Number} roomId Room id
+   * @param {Object} [options={}] options
+   * @param {Object} [options.pagination={}] pagination
+   * @param {Number} [options.pagination.limit=50] Members per page
+   * @param {Number} [options.pagination.offset=0] Members to skip
+   * @param {RequestOptions} [requestOptions={}] Timeout, cancellation and retry options
+   *
+   * @return {Promise<Array<Object>>}
+   *
+   * @example
+   *
+   * socketkit
+   *   .Rooms
+   *   .getMembers(1, {pagination: {limit: 100}})
+   *   .then(members => members.filter(member => member.role === SocketKit.RoomRole.MODERATOR));
+   */
+  getMembers(roomId, {pagination = {}} = {}, requestOptions = {}) {
+    if (!roomId)
+      return Promise.reject(new ValidationError(`roomId is required`));
+    const {limit = 50, offset = 0} = pagination;
+    return this
+      .read(RoomsController.InternalEvents.GET_MEMBERS, {roomId, pagination: {limit, offset}}, requestOptions)
+      .then(result => {
+        const members = toList(result, 'members')
+          .map(member => Object.assign({}, member, {permissions: getPermissions(member)}));
+        this.store.setMembers(roomId, members);
+        return members;
+      });
+  }
+  /**
+   * @summary Pin a message to the room. Requires `pin` permission.
+   *
+   * @param {!Number} roomId Room id
+   * @param {!Number} messageId Message id
+   * @param {RequestOptions} [requestOptions={}] Timeout, cancellation and retry options
+   *
+   * @return {Promise}
+   *
+   * @example
+   *
+   * socketkit
+   *   .Rooms
+   *   .pinMessage(1, 42);
+   */
+  pinMessage(roomId, messageId, requestOptions = {}) {
+    return this.setPinned(roomId, messageId, true, requestOptions);
+  }
+  /**
+   * @summary Unpin a message. Requires `pin` permission.
+   *
+   * @param {!Number} roomId Room id
+   * @param {!Number} messageId Message id
+   * @param {RequestOptions} [requestOptions={}] Timeout, cancellation and retry options
+   *
+   * @return {Promise}
+   *
+   * @example
+   *
+   * socketkit
+   *   .Rooms
+   *   .unpinMessage(1, 42);
+   */
+  unpinMessage(roomId, messageId, requestOptions = {}) {
+    return this.setPinned(roomId, messageId, false, requestOptions);
+  }
+  /**
+   * @summary Pin or unpin a message
+   * @private
+   * @ignore
+   * @param {!Number} roomId Room id
+   * @param {!Number} messageId Message id
+   * @param {Boolean} isPinned Pin state
+   * @param {RequestOptions} requestOptions Timeout, cancellation and retry options
+   * @return {Promise}
+   */
+  setPinned(roomId, messageId, isPinned, requestOptions) {
+    if (!roomId)
+      return Promise.reject(new ValidationError(`roomId is required`));
+    if (!messageId)
+      return Promise.reject(new ValidationError(`messageId is required`));
+    const permissionError = this.checkPermission(roomId, Permission.PIN);
+    if (permissionError)
+      return Promise.reject(permissionError);
+    const name = isPinned ? RoomsController.InternalEvents.PIN_MESSAGE : RoomsController.InternalEvents.UNPIN_MESSAGE;
+    return this.request(name, {roomId, messageId}, requestOptions);
+  }
+  /**
+   * @summary Validate a role name
+   * @private
+   * @ignore
+   * @param {?string} role Role
+   * @return {?ValidationError} Error to reject with
    */
-  removeMemberById() {}
+  validateRole(role) {
+    if (role && !RolePermissions[role])
+      return new ValidationError(`role must be one of ${Object.keys(RolePermissions).join(', ')}`);
+    return null;
+  }
+  /**
+   * @summary Only owners can grant or take the owner role
+   * @private
+   * @ignore
+   * @param {!Number} roomId Room id
+   * @param {?string} role Role being granted or taken
+   * @return {?PermissionError} Error to reject with
+   */
+  checkOwnerGrant(roomId, role) {
+    const members = role === Role.OWNER && this.currentClientKey &&
+      this.store.select(RoomStore.Selectors.members(roomId));
+    const member = members && members[this.currentClientKey];
+    if (!member || member.role === Role.OWNER)
+      return null;
+    return new PermissionError(`Only owners can grant or take the owner role in room ${roomId}`);
+  }
 }
 /**
  * @summary InternalEvents
@@ -326,13 +1334,30 @@ RoomsController.InternalEvents = {
   NEW_ROOM_CREATED: 'new_room_created',
   JOINED_TO_ROOM: 'joined_to_room',
   ROOM_UPDATED: 'room_updated',
+  ROOM_DELETED: 'room_deleted',
+  REMOVED_FROM_ROOM: 'removed_from_room',
+  TYPING: 'typing',
+  PRESENCE_CHANGED: 'presence_changed',
   GET_CLIENT_ROOMS: 'get_client_rooms',
   GET_MESSAGES: 'get_messages',
+  GET_ROOM_INFO: 'get_room_info',
   SEND_MESSAGE_TO_ROOM: 'send_message_to_room',
   CREATE_ROOM: 'create_room',
   ADD_PARTICIPANT: 'add_participant',
   UPDATE_PARTICIPANT: 'update_participant',
-  UPDATE_ROOM: 'update_room'
+  UPDATE_ROOM: 'update_room',
+  DELETE_ROOM: 'delete_room',
+  REMOVE_PARTICIPANT: 'remove_participant',
+  SET_TYPING: 'set_typing',
+  EDIT_MESSAGE: 'edit_message',
+  DELETE_MESSAGE: 'delete_message',
+  ADD_REACTION: 'add_reaction',
+  REMOVE_REACTION: 'remove_reaction',
+  MARK_READ: 'mark_read',
+  GET_ONLINE_MEMBERS: 'get_online_members',
+  GET_MEMBERS: 'get_room_members',
+  PIN_MESSAGE: 'pin_message',
+  UNPIN_MESSAGE: 'unpin_message'
 };
 /**
  * @summary Events
@@ -344,10 +1369,129 @@ RoomsController.Events = {
   NEW_ROOM_CREATED: 'new_room_created',
   JOINED_TO_ROOM: 'joined_to_room',
   ROOM_UPDATED: 'room_updated',
+  ROOM_DELETED: 'room_deleted',
+  REMOVED_FROM_ROOM: 'removed_from_room',
   MESSAGE_RECEIVED: 'message_received',
+  MESSAGE_EDITED: 'message_edited',
+  MESSAGE_DELETED: 'message_deleted',
+  REACTIONS_CHANGED: 'reactions_changed',
+  MESSAGE_PINNED: 'message_pinned',
+  READ_RECEIPT: 'read_receipt',
+  UNREAD_COUNT_CHANGED: 'unread_count_changed',
+  MEMBER_JOINED: 'member_joined',
+  MEMBER_LEFT: 'member_left',
+  MEMBER_PERMISSIONS_CHANGED: 'member_permissions_changed',
+  ROOM_PROPERTIES_CHANGED: 'room_properties_changed',
   CLIENT_UPDATED: 'client_updated',
   ROOM_EVENT: 'room_event',
-  GET_ROOM_INFO: 'get_room_info',
-  SET_TYPING: 'set_typing'
+  TYPING_CHANGED: 'typing_changed',
+  UPLOAD_PROGRESS: 'upload_progress',
+  SEND_QUEUE_CHANGED: 'send_queue_changed',
+  ERROR: 'error'
+};
+/**
+ * @summary Events a `Room` handle re-emits for its room
+ * @type {Array<string>}
+ * @static
+ */
+RoomsController.RoomScopedEvents = [
+  RoomsController.Events.ROOM_UPDATED,
+  RoomsController.Events.ROOM_DELETED,
+  RoomsController.Events.REMOVED_FROM_ROOM,
+  RoomsController.Events.MESSAGE_RECEIVED,
+  RoomsController.Events.MESSAGE_EDITED,
+  RoomsController.Events.MESSAGE_DELETED,
+  RoomsController.Events.MESSAGE_PINNED,
+  RoomsController.Events.REACTIONS_CHANGED,
+  RoomsController.Events.READ_RECEIPT,
+  RoomsController.Events.UNREAD_COUNT_CHANGED,
+  RoomsController.Events.MEMBER_JOINED,
+  RoomsController.Events.MEMBER_LEFT,
+  RoomsController.Events.MEMBER_PERMISSIONS_CHANGED,
+  RoomsController.Events.ROOM_PROPERTIES_CHANGED,
+  RoomsController.Events.CLIENT_UPDATED,
+  RoomsController.Events.TYPING_CHANGED,
+  RoomsController.Events.UPLOAD_PROGRESS,
+  RoomsController.Events.SEND_QUEUE_CHANGED
+];
+/**
+ * @summary Maps `room_event` types to the events emitted for them.
+ *
+ * - `MESSAGE_RECEIVED` is emitted with a {@link MessagePayload}
+ * - `MESSAGE_EDITED` is emitted with a {@link MessagePayload}
+ * - `MESSAGE_DELETED` is emitted with a {@link MessageDeletedPayload}
+ * - `REACTIONS_CHANGED` is emitted with a {@link ReactionsChangedPayload}
+ * - `MESSAGE_PINNED` is emitted with a {@link MessagePinnedPayload}
+ * - `READ_RECEIPT` is emitted with a {@link ReadReceiptPayload}
+ * - `MEMBER_JOINED` is emitted with a {@link MemberJoinedPayload}
+ * - `MEMBER_LEFT` is emitted with a {@link MemberLeftPayload}
+ * - `MEMBER_PERMISSIONS_CHANGED` is emitted with a {@link MemberPermissionsChangedPayload}
+ * - `ROOM_PROPERTIES_CHANGED` is emitted with a {@link RoomPropertiesChangedPayload}
+ * - `CLIENT_UPDATED` is emitted with a {@link ClientUpdatedPayload}
+ *
+ * The raw payload is still emitted as `ROOM_EVENT`.
+ *
+ * @type {Object}
+ * @static
+ * @ignore
+ */
+RoomsController.RoomEventMap = {
+  [RoomEventType.MESSAGE]: RoomsController.Events.MESSAGE_RECEIVED,
+  [RoomEventType.MESSAGE_EDITED]: RoomsController.Events.MESSAGE_EDITED,
+  [RoomEventType.MESSAGE_DELETED]: RoomsController.Events.MESSAGE_DELETED,
+  [RoomEventType.REACTIONS_UPDATED]: RoomsController.Events.REACTIONS_CHANGED,
+  [RoomEventType.READ_RECEIPT]: RoomsController.Events.READ_RECEIPT,
+  [RoomEventType.MESSAGE_PINNED]: RoomsController.Events.MESSAGE_PINNED,
+  [RoomEventType.MEMBER_JOINED]: RoomsController.Events.MEMBER_JOINED,
+  [RoomEventType.MEMBER_LEFT]: RoomsController.Events.MEMBER_LEFT,
+  [RoomEventType.MEMBER_UPDATED]: RoomsController.Events.MEMBER_PERMISSIONS_CHANGED,
+  [RoomEventType.ROOM_UPDATED]: RoomsController.Events.ROOM_PROPERTIES_CHANGED,
+  [RoomEventType.CLIENT_UPDATED]: RoomsController.Events.CLIENT_UPDATED
 };
+/**
+ * @summary Default typing indicator options
+ * @type {Object}
+ * @static
+ */
+RoomsController.DefaultTypingOptions = {
+  throttle: 3000,
+  timeout: 5000
+};
+/**
+ * @summary Milliseconds a delivered message waits for its echo before it is forgotten
+ * @type {Number}
+ * @static
+ */
+RoomsController.SentMessageTTL = 60000;
+/**
+ * @summary Rate limit used with `rateLimit: true`. Bursts of 10 writes per connection and 5 per room,
+ *          then 5 writes per second per connection and 2 per room.
+ * @type {Object}
+ * @static
+ */
+RoomsController.DefaultRateLimit = {
+  connection: {capacity: 10, perSecond: 5},
+  room: {capacity: 5, perSecond: 2}
+};
+/**
+ * @summary Member roles
+ * @static
+ * @readonly
+ * @enum {string}
+ */
+RoomsController.Role = Role;
+/**
+ * @summary Member permissions
+ * @static
+ * @readonly
+ * @enum {string}
+ */
+RoomsController.Permission = Permission;
+/**
+ * @summary Permissions granted by each role
+ * @static
+ * @readonly
+ * @type {Object<string, Array<string>>}
+ */
+RoomsController.RolePermissions = RolePermissions;
 module.exports = RoomsController;
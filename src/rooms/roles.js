@@ -0,0 +1,53 @@
+/**
+ * @summary Member roles
+ * @enum {string}
+ */
+const Role = {
+  OWNER: 'owner',
+  MODERATOR: 'moderator',
+  MEMBER: 'member',
+  READ_ONLY: 'read_only'
+};
+
+/**
+ * @summary Member permissions
+ * @enum {string}
+ */
+const Permission = {
+  POST: 'post',
+  INVITE: 'invite',
+  REMOVE: 'remove',
+  EDIT_ROOM: 'edit_room',
+  PIN: 'pin'
+};
+
+/**
+ * @summary Permissions granted by each role
+ * @type {Object<string, Array<string>>}
+ */
+const RolePermissions = {
+  [Role.OWNER]: [Permission.POST, Permission.INVITE, Permission.REMOVE, Permission.EDIT_ROOM, Permission.PIN],
+  [Role.MODERATOR]: [Permission.POST, Permission.INVITE, Permission.REMOVE, Permission.PIN],
+  [Role.MEMBER]: [Permission.POST],
+  [Role.READ_ONLY]: []
+};
+
+/**
+ * @summary Permissions of a member. Uses the `permissions` the server sent, then the role, then the legacy
+ *          `isAllowedToPost` flag.
+ * @ignore
+ * @param {Object} member Member payload
+ * @return {Array<string>}
+ */
+function getPermissions(member) {
+  if (Array.isArray(member.permissions))
+    return member.permissions;
+  if (RolePermissions[member.role])
+    return RolePermissions[member.role];
+  return member.isAllowedToPost === false ? [] : [Permission.POST];
+}
+
+exports.Role = Role;
+exports.Permission = Permission;
+exports.RolePermissions = RolePermissions;
+exports.getPermissions = getPermissions;
@@ -0,0 +1,174 @@
+const {getPermissions} = require('./roles');
+/**
+ * @typedef {Object} MessagePayload
+ * @property {Number} id Message id
+ * @property {Number} roomId Room id
+ * @property {string} uniqueClientKey Sender's unique client key
+ * @property {string} text Message text
+ * @property {Object} properties Message properties
+ * @property {?string} clientMessageId Client generated id the message was sent with
+ * @property {string} createdAt Creation date
+ * @property {?string} editedAt Date of the last edit
+ * @property {Array<{text: string, editedAt: string}>} editHistory Previous versions of the text, oldest first
+ * @property {Object<string, {count: Number, uniqueClientKeys: Array<string>}>} reactions Reactions by emoji
+ * @property {Boolean} isPinned Whether the message is pinned
+ */
+/**
+ * @typedef {Object} MessagePinnedPayload
+ * @property {Number} roomId Room id
+ * @property {Number} id Message id
+ * @property {Boolean} isPinned Whether the message is pinned
+ */
+/**
+ * @typedef {Object} MessageDeletedPayload
+ * @property {Number} roomId Room id
+ * @property {Number} id Message id
+ */
+/**
+ * @typedef {Object} ReactionsChangedPayload
+ * @property {Number} roomId Room id
+ * @property {Number} id Message id
+ * @property {Object<string, {count: Number, uniqueClientKeys: Array<string>}>} reactions Reactions by emoji
+ */
+/**
+ * @typedef {Object} ReadReceiptPayload
+ * @property {Number} roomId Room id
+ * @property {string} uniqueClientKey Member's unique client key
+ * @property {Number} messageId Last message the member has read
+ * @property {string} readAt Date the receipt was sent
+ */
+/**
+ * @typedef {Object} MemberJoinedPayload
+ * @property {Number} roomId Room id
+ * @property {string} uniqueClientKey Member's unique client key
+ * @property {Boolean} isAllowedToPost PostMessage priviledge of the member
+ * @property {?string} role Member role, one of `RoomController.Role`
+ * @property {Array<string>} permissions Member permissions, see `RoomController.Permission`
+ * @property {Object} properties Member properties
+ */
+/**
+ * @typedef {Object} MemberLeftPayload
+ * @property {Number} roomId Room id
+ * @property {string} uniqueClientKey Member's unique client key
+ */
+/**
+ * @typedef {Object} MemberPermissionsChangedPayload
+ * @property {Number} roomId Room id
+ * @property {string} uniqueClientKey Member's unique client key
+ * @property {Boolean} [isAllowedToPost] PostMessage priviledge of the member, if it changed
+ * @property {?string} [role] Member role, one of `RoomController.Role`, if it changed
+ * @property {Array<string>} [permissions] Member permissions, see `RoomController.Permission`, if the role
+ *   or the permissions changed
+ */
+/**
+ * @typedef {Object} RoomPropertiesChangedPayload
+ * @property {Number} roomId Room id
+ * @property {string} [title] Room title, if it changed
+ * @property {Object} [properties] Room properties, if they changed
+ */
+/**
+ * @typedef {Object} ClientUpdatedPayload
+ * @property {?Number} roomId Room id the update was delivered through
+ * @property {string} uniqueClientKey Client's unique key
+ * @property {Object} properties Client properties
+ */
+
+/**
+ * @summary Types carried in the `type` field of `room_event` payloads
+ * @enum {string}
+ * @ignore
+ */
+const RoomEventType = {
+  MESSAGE: 'message',
+  MESSAGE_EDITED: 'message_edited',
+  MESSAGE_DELETED: 'message_deleted',
+  REACTIONS_UPDATED: 'reactions_updated',
+  READ_RECEIPT: 'read_receipt',
+  MESSAGE_PINNED: 'message_pinned',
+  MEMBER_JOINED: 'member_joined',
+  MEMBER_LEFT: 'member_left',
+  MEMBER_UPDATED: 'member_updated',
+  ROOM_UPDATED: 'room_updated',
+  CLIENT_UPDATED: 'client_updated'
+};
+
+const pick = (source, keys) => keys.reduce((result, key) => {
+  result[key] = source[key];
+  return result;
+}, {});
+
+const pickPresent = (source, keys) => pick(source, keys.filter(key => source[key] !== undefined));
+
+const parseMemberUpdate = (roomId, data) => Object.assign(
+  {roomId},
+  pickPresent(data, ['uniqueClientKey', 'isAllowedToPost']),
+  data.role !== undefined && {role: data.role || null},
+  (data.role !== undefined || data.permissions) && {permissions: getPermissions(data)}
+);
+
+const parseMember = (roomId, data) => Object.assign(
+  {roomId, role: data.role || null, permissions: getPermissions(data)},
+  pick(data, ['uniqueClientKey', 'isAllowedToPost'])
+);
+
+const parseMessage = (roomId, data) => Object.assign(
+  {roomId, properties: {}, clientMessageId: null, editedAt: null, editHistory: [], reactions: {}, isPinned: false},
+  pick(data, ['id', 'uniqueClientKey', 'text', 'createdAt']),
+  data.properties && {properties: data.properties},
+  data.clientMessageId && {clientMessageId: data.clientMessageId},
+  data.editedAt && {editedAt: data.editedAt},
+  data.editHistory && {editHistory: data.editHistory},
+  data.reactions && {reactions: data.reactions},
+  data.isPinned && {isPinned: true}
+);
+
+const parsers = {
+  [RoomEventType.MESSAGE]: parseMessage,
+  [RoomEventType.MESSAGE_EDITED]: parseMessage,
+  [RoomEventType.MESSAGE_DELETED]: (roomId, data) => Object.assign({roomId}, pick(data, ['id'])),
+  [RoomEventType.REACTIONS_UPDATED]: (roomId, data) => Object.assign(
+    {roomId, reactions: data.reactions || {}},
+    pick(data, ['id'])
+  ),
+  [RoomEventType.READ_RECEIPT]: (roomId, data) => Object.assign(
+    {roomId},
+    pick(data, ['uniqueClientKey', 'messageId', 'readAt'])
+  ),
+  [RoomEventType.MESSAGE_PINNED]: (roomId, data) => Object.assign(
+    {roomId, isPinned: !!data.isPinned},
+    pick(data, ['id'])
+  ),
+  [RoomEventType.MEMBER_JOINED]: (roomId, data) => Object.assign(
+    {properties: {}},
+    parseMember(roomId, data),
+    data.properties && {properties: data.properties}
+  ),
+  [RoomEventType.MEMBER_LEFT]: (roomId, data) => Object.assign({roomId}, pick(data, ['uniqueClientKey'])),
+  [RoomEventType.MEMBER_UPDATED]: parseMemberUpdate,
+  [RoomEventType.ROOM_UPDATED]: (roomId, data) => Object.assign({roomId}, pickPresent(data, ['title', 'properties'])),
+  [RoomEventType.CLIENT_UPDATED]: (roomId, data) => Object.assign(
+    {roomId: roomId || null, properties: {}},
+    pick(data, ['uniqueClientKey']),
+    data.properties && {properties: data.properties}
+  )
+};
+
+/**
+ * @summary Parse a raw `room_event` payload into a typed payload.
+ * @ignore
+ *
+ * @param {Object} payload Raw payload in `{roomId, type, data}` shape
+ *
+ * @return {?{type: string, payload: Object}} `null` if the type is unknown
+ */
+function parseRoomEvent(payload) {
+  if (!payload || !parsers[payload.type])
+    return null;
+  return {
+    type: payload.type,
+    payload: parsers[payload.type](payload.roomId, payload.data || {})
+  };
+}
+
+exports.RoomEventType = RoomEventType;
+exports.parseRoomEvent = parseRoomEvent;
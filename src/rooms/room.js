@@ -0,0 +1,157 @@
+const EventEmitterExtra = require('event-emitter-extra');
+class Room extends EventEmitterExtra {
+  /**
+   * @class Room
+   * @extends {EventEmitterExtra}
+   * @summary Handle of a single room. Re-emits the `RoomController` events of this room only, and exposes
+   *          the room methods without the `roomId` argument. Create it with `socketkit.Rooms.room(roomId)`
+   *          and call `dispose()` when the view showing it goes away.
+   *
+   * @param {RoomController} controller Room controller
+   * @param {!Number} roomId Room id
+   * @param {Function} [onDispose] Called with the handle when it is disposed. The controller uses it to stop
+   *                               re-emitting `RoomController.RoomScopedEvents` on the handle.
+   *
+   * @property {Number} roomId Room id
+   *
+   * @example
+   *
+   * const room = socketkit.Rooms.room(1);
+   *
+   * room.on(SocketKit.ChatEvent.MESSAGE_RECEIVED, message => render(message));
+   * room.on(SocketKit.ChatEvent.TYPING_CHANGED, ({members}) => renderTyping(members));
+   *
+   * room.send({text: 'Hello'});
+   *
+   * // later
+   * room.dispose();
+   */
+  constructor(controller, roomId, onDispose = () => {}) {
+    super();
+    this.controller = controller;
+    this.roomId = roomId;
+    this.onDispose = onDispose;
+    this.isDisposed = false;
+  }
+  /**
+   * @summary Send a message, see `RoomController#sendMessageById`
+   * @param {!Object} payload Message
+   * @param {RequestOptions} [requestOptions={}] Timeout, cancellation and retry options
+   * @return {Promise}
+   */
+  send(payload, requestOptions = {}) {
+    return this.controller.sendMessageById(this.roomId, payload, requestOptions);
+  }
+  /**
+   * @summary Upload files and send a message, see `RoomController#sendMessageWithFiles`
+   * @param {!Object} payload Message with `files`
+   * @param {RequestOptions} [requestOptions={}] Timeout, cancellation and retry options
+   * @return {Promise}
+   */
+  sendWithFiles(payload, requestOptions = {}) {
+    return this.controller.sendMessageWithFiles(this.roomId, payload, requestOptions);
+  }
+  /**
+   * @summary Get a page of messages, see `RoomController#getMessagesById`
+   * @param {Object} [options={}] Pagination options
+   * @param {RequestOptions} [requestOptions={}] Timeout, cancellation and retry options
+   * @return {Promise}
+   */
+  history(options = {}, requestOptions = {}) {
+    return this.controller.getMessagesById(this.roomId, options, requestOptions);
+  }
+  /**
+   * @summary Update the room, see `RoomController#updateById`
+   * @param {!Object} payload Title and properties
+   * @param {RequestOptions} [requestOptions={}] Timeout, cancellation and retry options
+   * @return {Promise}
+   */
+  update(payload, requestOptions = {}) {
+    return this.controller.updateById(this.roomId, payload, requestOptions);
+  }
+  /**
+   * @summary Add a member, see `RoomController#addMemberById`
+   * @param {!Object} payload Member
+   * @param {RequestOptions} [requestOptions={}] Timeout, cancellation and retry options
+   * @return {Promise}
+   */
+  addMember(payload, requestOptions = {}) {
+    return this.controller.addMemberById(this.roomId, payload, requestOptions);
+  }
+  /**
+   * @summary Update a member, see `RoomController#updateMemberById`
+   * @param {!Object} payload Member
+   * @param {RequestOptions} [requestOptions={}] Timeout, cancellation and retry options
+   * @return {Promise}
+   */
+  updateMember(payload, requestOptions = {}) {
+    return this.controller.updateMemberById(this.roomId, payload, requestOptions);
+  }
+  /**
+   * @summary Remove a member, see `RoomController#removeMemberById`
+   * @param {!Object} payload Member
+   * @param {RequestOptions} [requestOptions={}] Timeout, cancellation and retry options
+   * @return {Promise}
+   */
+  removeMember(payload, requestOptions = {}) {
+    return this.controller.removeMemberById(this.roomId, payload, requestOptions);
+  }
+  /**
+   * @summary Get members, see `RoomController#getMembers`
+   * @param {Object} [options={}] Pagination options
+   * @param {RequestOptions} [requestOptions={}] Timeout, cancellation and retry options
+   * @return {Promise}
+   */
+  getMembers(options = {}, requestOptions = {}) {
+    return this.controller.getMembers(this.roomId, options, requestOptions);
+  }
+  /**
+   * @summary Mark messages read, see `RoomController#markRead`
+   * @param {!Number} messageId Last read message id
+   * @param {RequestOptions} [requestOptions={}] Timeout, cancellation and retry options
+   * @return {Promise}
+   */
+  markRead(messageId, requestOptions = {}) {
+    return this.controller.markRead(this.roomId, messageId, requestOptions);
+  }
+  /**
+   * @summary Set the typing state, see `RoomController#setTyping`
+   * @param {Boolean} [isTyping=true] Typing state
+   * @return {Promise}
+   */
+  setTyping(isTyping = true) {
+    return this.controller.setTyping(this.roomId, isTyping);
+  }
+  /**
+   * @summary Get members currently typing
+   * @return {Array<string>}
+   */
+  getTypingMembers() {
+    return this.controller.getTypingMembers(this.roomId);
+  }
+  /**
+   * @summary Get the unread message count
+   * @return {Number}
+   */
+  getUnreadCount() {
+    return this.controller.getUnreadCount(this.roomId);
+  }
+  /**
+   * @summary Get the number of writes waiting for the rate limit
+   * @return {Number}
+   */
+  getSendQueueDepth() {
+    return this.controller.getSendQueueDepth(this.roomId);
+  }
+  /**
+   * @summary Stop forwarding events and remove every listener of the handle
+   */
+  dispose() {
+    if (this.isDisposed)
+      return;
+    this.isDisposed = true;
+    this.onDispose(this);
+    this.removeAllListeners();
+  }
+}
+module.exports = Room;
@@ -0,0 +1,275 @@
+const EventEmitterExtra = require('event-emitter-extra');
+const toList = require('../utils/to-list');
+const omitKey = (source, key) => {
+  const result = Object.assign({}, source);
+  delete result[key];
+  return result;
+};
+const compareMessages = (a, b) => {
+  const timeDiff = new Date(a.createdAt || 0) - new Date(b.createdAt || 0);
+  return timeDiff || (a.id > b.id ? 1 : a.id < b.id ? -1 : 0);
+};
+class RoomStore extends EventEmitterExtra {
+  /**
+   * @class RoomStore
+   * @extends {EventEmitterExtra}
+   * @summary Normalized local copy of rooms, members and messages. The state is never mutated in place,
+   *          so selectors can compare results by reference.
+   *
+   * @example
+   *
+   * const unsubscribe = socketkit.Rooms.store.subscribe(
+   *   state => state.rooms,
+   *   rooms => render(Object.values(rooms))
+   * );
+   */
+  constructor() {
+    super();
+    this.state = {rooms: {}, members: {}, messages: {}};
+    this.subscribers = new Set();
+    // Subscribers share one listener, event-emitter-extra throws above 10 listeners per event.
+    // `RoomController` fans events out to message iterators and room handles the same way.
+    this.on(RoomStore.Event.CHANGED, state => Array.from(this.subscribers).forEach(onChange => onChange(state)));
+  }
+  /**
+   * @summary Get the current state
+   * @return {{rooms: Object<Number, Object>, members: Object<Number, Object<string, Object>>,
+   *           messages: Object<Number, {ids: Array<Number>, byId: Object<Number, Object>}>}}
+   */
+  getState() {
+    return this.state;
+  }
+  /**
+   * @summary Run a selector against the current state
+   * @param {!Function} selector Receives the state
+   * @return {*} Selected value
+   */
+  select(selector) {
+    return selector(this.state);
+  }
+  /**
+   * @summary Listen for state changes
+   *
+   * @param {Function} [selector] Only call the listener when the selected value changes
+   * @param {!Function} listener Receives the selected value (or the state) and the previous one
+   *
+   * @return {Function} Unsubscribe function
+   */
+  subscribe(selector, listener) {
+    if (!listener) {
+      listener = selector;
+      selector = state => state;
+    }
+    let selected = selector(this.state);
+    const onChange = state => {
+      const next = selector(state);
+      if (next === selected)
+        return;
+      const previous = selected;
+      selected = next;
+      listener(next, previous);
+    };
+    this.subscribers.add(onChange);
+    return () => this.subscribers.delete(onChange);
+  }
+  /**
+   * @summary Replace part of the state and notify subscribers
+   * @private
+   * @ignore
+   * @param {Object} patch Top level keys to replace
+   */
+  update(patch) {
+    this.state = Object.assign({}, this.state, patch);
+    this.emit(RoomStore.Event.CHANGED, this.state);
+  }
+  /**
+   * @summary Add or update rooms. Rooms start with an `unreadCount` of `0` unless the server sends one.
+   * @param {Array<Object>|Object} result Rooms, or a server response holding `rooms`
+   */
+  setRooms(result) {
+    const rooms = toList(result, 'rooms');
+    if (!rooms.length)
+      return;
+    const nextRooms = Object.assign({}, this.state.rooms);
+    const nextMembers = Object.assign({}, this.state.members);
+    rooms.forEach(room => {
+      const {members, ...rest} = room;
+      nextRooms[room.id] = Object.assign({unreadCount: 0}, nextRooms[room.id], rest);
+      if (Array.isArray(members))
+        nextMembers[room.id] = members.reduce((result, member) => {
+          result[member.uniqueClientKey] = member;
+          return result;
+        }, {});
+    });
+    this.update({rooms: nextRooms, members: nextMembers});
+  }
+  /**
+   * @summary Merge fields into a known room
+   * @param {!Number} roomId Room id
+   * @param {Object} fields Fields to merge
+   */
+  patchRoom(roomId, fields) {
+    if (!this.state.rooms[roomId])
+      return;
+    const room = Object.assign({}, this.state.rooms[roomId], fields);
+    this.update({rooms: Object.assign({}, this.state.rooms, {[roomId]: room})});
+  }
+  /**
+   * @summary Remove a room with its members and messages
+   * @param {!Number} roomId Room id
+   */
+  removeRoom(roomId) {
+    if (!this.state.rooms[roomId] && !this.state.messages[roomId])
+      return;
+    this.update({
+      rooms: omitKey(this.state.rooms, roomId),
+      members: omitKey(this.state.members, roomId),
+      messages: omitKey(this.state.messages, roomId)
+    });
+  }
+  /**
+   * @summary Add or update a room member
+   * @param {!Number} roomId Room id
+   * @param {!Object} member Member with `uniqueClientKey`
+   */
+  setMember(roomId, member) {
+    const members = Object.assign({}, this.state.members[roomId]);
+    members[member.uniqueClientKey] = Object.assign({}, members[member.uniqueClientKey], member);
+    this.update({members: Object.assign({}, this.state.members, {[roomId]: members})});
+  }
+  /**
+   * @summary Add or update members of a room
+   * @param {!Number} roomId Room id
+   * @param {Array<Object>|Object} result Members, or a server response holding `members`
+   */
+  setMembers(roomId, result) {
+    const list = toList(result, 'members');
+    if (!list.length)
+      return;
+    const members = Object.assign({}, this.state.members[roomId]);
+    list.forEach(member => {
+      members[member.uniqueClientKey] = Object.assign({}, members[member.uniqueClientKey], member);
+    });
+    this.update({members: Object.assign({}, this.state.members, {[roomId]: members})});
+  }
+  /**
+   * @summary Remove a room member
+   * @param {!Number} roomId Room id
+   * @param {!string} uniqueClientKey Member key
+   */
+  removeMember(roomId, uniqueClientKey) {
+    const members = this.state.members[roomId];
+    if (!members || !members[uniqueClientKey])
+      return;
+    this.update({members: Object.assign({}, this.state.members, {[roomId]: omitKey(members, uniqueClientKey)})});
+  }
+  /**
+   * @summary Merge a presence update into the client's membership in every known room
+   * @param {!string} uniqueClientKey Client's unique key
+   * @param {Object} presence Presence fields, `status` and `lastSeenAt`
+   */
+  setPresence(uniqueClientKey, presence) {
+    const roomIds = Object.keys(this.state.members)
+      .filter(roomId => this.state.members[roomId][uniqueClientKey]);
+    if (!roomIds.length)
+      return;
+    const nextMembers = Object.assign({}, this.state.members);
+    roomIds.forEach(roomId => {
+      const member = Object.assign({}, nextMembers[roomId][uniqueClientKey], presence);
+      nextMembers[roomId] = Object.assign({}, nextMembers[roomId], {[uniqueClientKey]: member});
+    });
+    this.update({members: nextMembers});
+  }
+  /**
+   * @summary Add or update messages of a room, ordered by creation date
+   * @param {!Number} roomId Room id
+   * @param {Array<Object>|Object} result Messages, or a server response holding `messages`
+   */
+  setMessages(roomId, result) {
+    const messages = toList(result, 'messages');
+    if (!messages.length)
+      return;
+    const current = this.state.messages[roomId] || {ids: [], byId: {}};
+    const byId = Object.assign({}, current.byId);
+    messages.forEach(message => {
+      byId[message.id] = Object.assign({}, byId[message.id], message);
+    });
+    const ids = Object.keys(byId)
+      .map(id => byId[id])
+      .sort(compareMessages)
+      .map(message => message.id);
+    this.update({messages: Object.assign({}, this.state.messages, {[roomId]: {ids, byId}})});
+  }
+  /**
+   * @summary Merge fields into a known message
+   * @param {!Number} roomId Room id
+   * @param {!Number} messageId Message id
+   * @param {Object} fields Fields to merge
+   */
+  patchMessage(roomId, messageId, fields) {
+    const current = this.state.messages[roomId];
+    if (!current || !current.byId[messageId])
+      return;
+    const byId = Object.assign({}, current.byId, {
+      [messageId]: Object.assign({}, current.byId[messageId], fields)
+    });
+    this.update({messages: Object.assign({}, this.state.messages, {[roomId]: {ids: current.ids, byId}})});
+  }
+  /**
+   * @summary Remove a message
+   * @param {!Number} roomId Room id
+   * @param {!Number} messageId Message id
+   */
+  removeMessage(roomId, messageId) {
+    const current = this.state.messages[roomId];
+    if (!current || !current.byId[messageId])
+      return;
+    const entry = {
+      ids: current.ids.filter(id => id != messageId),
+      byId: omitKey(current.byId, messageId)
+    };
+    this.update({messages: Object.assign({}, this.state.messages, {[roomId]: entry})});
+  }
+  /**
+   * @summary Clear the store
+   */
+  reset() {
+    this.update({rooms: {}, members: {}, messages: {}});
+  }
+}
+/**
+ * @summary Selectors for common lookups
+ * @type {Object}
+ * @static
+ *
+ * @example
+ *
+ * const messages = socketkit.Rooms.store.select(RoomStore.Selectors.messages(1));
+ */
+RoomStore.Selectors = {
+  rooms: () => state => state.rooms,
+  room: roomId => state => state.rooms[roomId],
+  members: roomId => state => state.members[roomId],
+  unreadCount: roomId => state => state.rooms[roomId] ? state.rooms[roomId].unreadCount || 0 : 0,
+  messages: roomId => {
+    let lastEntry;
+    let lastResult = [];
+    return state => {
+      const entry = state.messages[roomId];
+      if (entry !== lastEntry) {
+        lastEntry = entry;
+        lastResult = entry ? entry.ids.map(id => entry.byId[id]) : [];
+      }
+      return lastResult;
+    };
+  }
+};
+/**
+ * @static
+ * @readonly
+ * @enum {string}
+ */
+RoomStore.Event = {
+  CHANGED: 'changed'
+};
+module.exports = RoomStore;
@@ -0,0 +1,56 @@
+class TypingTracker {
+  /**
+   * @class TypingTracker
+   * @summary Keeps track of members typing in each room and drops them after a timeout.
+   * @ignore
+   *
+   * @param {Object} [options={}] options
+   * @param {Number} [options.timeout=5000] Milliseconds after which a typing member is considered stale
+   * @param {Function} [options.onChange] Called with `(roomId, members)` when the typing members of a room change
+   */
+  constructor({timeout = 5000, onChange = () => {}} = {}) {
+    this.timeout = timeout;
+    this.onChange = onChange;
+    this.rooms = {};
+  }
+  /**
+   * @summary Mark a member as typing or not typing in a room
+   * @param {!Number} roomId Room id
+   * @param {!string} uniqueClientKey Member key
+   * @param {Boolean} isTyping Typing state
+   */
+  set(roomId, uniqueClientKey, isTyping) {
+    const room = this.rooms[roomId] || (this.rooms[roomId] = {});
+    const wasTyping = !!room[uniqueClientKey];
+    if (wasTyping)
+      clearTimeout(room[uniqueClientKey]);
+    if (isTyping)
+      room[uniqueClientKey] = setTimeout(() => this.set(roomId, uniqueClientKey, false), this.timeout);
+    else
+      delete room[uniqueClientKey];
+    if (!Object.keys(room).length)
+      delete this.rooms[roomId];
+    if (wasTyping !== !!isTyping)
+      this.onChange(roomId, this.get(roomId));
+  }
+  /**
+   * @summary Get members typing in a room
+   * @param {!Number} roomId Room id
+   * @return {Array<string>}
+   */
+  get(roomId) {
+    return Object.keys(this.rooms[roomId] || {});
+  }
+  /**
+   * @summary Stop all expiry timers and report every room that had typing members as empty
+   */
+  clear() {
+    const rooms = this.rooms;
+    this.rooms = {};
+    Object.keys(rooms).forEach(roomId => {
+      Object.keys(rooms[roomId]).forEach(key => clearTimeout(rooms[roomId][key]));
+      this.onChange(Number(roomId), []);
+    });
+  }
+}
+module.exports = TypingTracker;
@@ -0,0 +1,357 @@
+const EventEmitterExtra = require('event-emitter-extra');
+const {SocketKit} = require('../index');
+const RoomController = require('../rooms/controller');
+const ClientController = require('../clients/controller');
+const {ValidationError, TimeoutError, ConnectionError} = require('../errors');
+const methodsOf = Controller => Object.getOwnPropertyNames(Controller.prototype).filter(name => name !== 'constructor');
+class ConnectionPool extends EventEmitterExtra {
+  /**
+   * @class ConnectionPool
+   * @extends {EventEmitterExtra}
+   * @summary Service connections for many accounts. A connection is opened the first time an account is used,
+   *          shared by every call for that account, and closed after it has been idle for `idleTimeout`.
+   *
+   * @param {Object} options options
+   * @param {!Function} options.getToken Returns the service token of an account, `(accountId) => token` or a
+   *                                     promise of it. Called before every (re)connect.
+   * @param {Number} [options.idleTimeout=60000] Milliseconds a connection stays open without calls,
+   *                                             `0` to keep connections until `shutdown`
+   * @param {Number} [options.connectTimeout=10000] Milliseconds to wait for a connection before rejecting
+   * @param {Object} [options.options={}] `SocketKit` options of every connection, except `accountId`
+   *                                      and `getToken`
+   *
+   * @example
+   *
+   * const {ConnectionPool} = require('socketkit-beta/src/node');
+   *
+   * const pool = new ConnectionPool({
+   *   getToken: accountId => secrets.get(`socketkit-${accountId}`),
+   *   options: {endpoint: 'wss://ws.socketkit.com', requestOptions: {timeout: 5000}}
+   * });
+   *
+   * await pool.account(1).Clients.create({uniqueClientKey: 'user-1', token: 'user-1-token', properties: {}});
+   * await pool.account(2).Rooms.sendMessageById(5, {text: 'Maintenance at midnight'});
+   *
+   * process.on('SIGTERM', () => pool.shutdown().then(() => process.exit(0)));
+   */
+  constructor({getToken, idleTimeout = 60000, connectTimeout = 10000, options = {}} = {}) {
+    super();
+    if (typeof getToken !== 'function')
+      throw new ValidationError(`getToken is required`);
+    this.getToken = getToken;
+    this.idleTimeout = idleTimeout;
+    this.connectTimeout = connectTimeout;
+    this.options = options;
+    this.connections = {};
+    this.active = 0;
+    this.drainCallbacks = [];
+    this.shutdownPromise = null;
+  }
+  /**
+   * @summary Get the connection of an account, opening it if needed. The connection is kept open until it
+   *          is given back with `release`.
+   *
+   * @param {!Number} accountId Account id
+   * @return {Promise<SocketKit>} Connected instance
+   *
+   * @example
+   *
+   * const socketkit = await pool.acquire(1);
+   * try {
+   *   for await (const room of socketkit.Rooms.iterateAll())
+   *     await archive(room);
+   * } finally {
+   *   pool.release(socketkit);
+   * }
+   */
+  acquire(accountId) {
+    if (!accountId)
+      return Promise.reject(new ValidationError(`accountId is required`));
+    if (this.shutdownPromise)
+      return Promise.reject(new ConnectionError(`Connection pool is shut down`));
+    const entry = this.connections[accountId] || this.open(accountId);
+    clearTimeout(entry.idleTimer);
+    entry.users++;
+    this.active++;
+    return entry.ready.catch(error => {
+      this.releaseEntry(entry);
+      throw error;
+    });
+  }
+  /**
+   * @summary Give back a connection taken with `acquire`
+   * @param {!SocketKit} socketkit Instance returned by `acquire`
+   */
+  release(socketkit) {
+    const accountId = Object.keys(this.connections).find(id => this.connections[id].socketkit === socketkit);
+    if (accountId)
+      this.releaseEntry(this.connections[accountId]);
+  }
+  /**
+   * @summary Run a function with the connection of an account, releasing it when the returned promise settles
+   *
+   * @param {!Number} accountId Account id
+   * @param {!Function} fn Called with the connected `SocketKit` instance
+   * @return {Promise} Result of `fn`
+   *
+   * @example
+   *
+   * pool.run(1, socketkit => socketkit.Rooms.create({title: 'Support'}));
+   */
+  run(accountId, fn) {
+    return this.acquire(accountId).then(socketkit => {
+      const release = () => this.release(socketkit);
+      return new Promise(resolve => resolve(fn(socketkit))).then(result => {
+        release();
+        return result;
+      }, error => {
+        release();
+        throw error;
+      });
+    });
+  }
+  /**
+   * @summary Get `Rooms` and `Clients` of an account. The methods listed in `ConnectionPool.RoutedMethods` run
+   *          on the connection of the account and return a promise. The other methods throw; use `acquire` for
+   *          `room` handles, iterators, local state and event listeners.
+   *
+   * @param {!Number} accountId Account id
+   * @return {{accountId: Number, Rooms: Object, Clients: Object}}
+   *
+   * @example
+   *
+   * const account = pool.account(1);
+   * const room = await account.Rooms.create({title: 'Announcements'});
+   * await account.Rooms.sendMessageById(room.id, {text: 'Welcome'});
+   */
+  account(accountId) {
+    const route = (Controller, name) => methodsOf(Controller).reduce((router, method) => {
+      router[method] = ConnectionPool.RoutedMethods[name].indexOf(method) > -1 ?
+        (...args) => this.run(accountId, socketkit => socketkit[name][method](...args)) :
+        () => {
+          throw new ValidationError(`${name}.${method} is not available on pool.account(), ` +
+            `use pool.acquire(accountId) instead`);
+        };
+      return router;
+    }, {});
+    return {accountId, Rooms: route(RoomController, 'Rooms'), Clients: route(ClientController, 'Clients')};
+  }
+  /**
+   * @summary Account ids with an open or opening connection
+   * @return {Array<string>}
+   */
+  getAccountIds() {
+    return Object.keys(this.connections);
+  }
+  /**
+   * @summary Stop accepting calls, wait for the calls in progress, then close every connection
+   *
+   * @param {Object} [options={}] options
+   * @param {Number} [options.timeout=30000] Milliseconds to wait for calls in progress
+   * @return {Promise<Boolean>} Whether every call finished before the timeout
+   *
+   * @example
+   *
+   * process.on('SIGTERM', async () => {
+   *   await pool.shutdown({timeout: 10000});
+   *   process.exit(0);
+   * });
+   */
+  shutdown({timeout = 30000} = {}) {
+    if (this.shutdownPromise)
+      return this.shutdownPromise;
+    const closeAll = () => Promise.all(Object.keys(this.connections)
+      .map(id => this.close(this.connections[id], ConnectionPool.CloseReason.SHUTDOWN)));
+    this.shutdownPromise = this.drain(timeout).then(isDrained => closeAll().then(() => isDrained));
+    return this.shutdownPromise;
+  }
+  /**
+   * @summary Create and connect the instance of an account
+   * @private
+   * @ignore
+   * @param {Number} accountId Account id
+   * @return {Object} Connection entry
+   */
+  open(accountId) {
+    const socketkit = new SocketKit(Object.assign({}, this.options, {
+      accountId,
+      getToken: () => this.getToken(accountId)
+    }));
+    const entry = {accountId, socketkit, users: 0, idleTimer: null, isClosed: false};
+    this.connections[accountId] = entry;
+    entry.ready = new Promise((resolve, reject) => {
+      const onTimeout = () => this.fail(entry, new TimeoutError(`Could not connect in ${this.connectTimeout}ms`));
+      const timer = setTimeout(onTimeout, this.connectTimeout);
+      entry.reject = error => {
+        clearTimeout(timer);
+        reject(error);
+      };
+      socketkit.once(SocketKit.Event.CONNECTED, () => {
+        clearTimeout(timer);
+        resolve(socketkit);
+      });
+    });
+    entry.ready.catch(() => {});
+    socketkit.on(SocketKit.Event.AUTH_FAILED, ({error}) => this.fail(entry, error));
+    socketkit.on(SocketKit.Event.RECONNECT_FAILED, ({attempts}) =>
+      this.fail(entry, new ConnectionError(`Gave up reconnecting after ${attempts} attempts`)));
+    socketkit.connect();
+    this.emit(ConnectionPool.Event.CONNECTION_OPENED, {accountId});
+    return entry;
+  }
+  /**
+   * @summary Close a connection that can not be used anymore. The next call opens a new one.
+   * @private
+   * @ignore
+   * @param {Object} entry Connection entry
+   * @param {Error} error Reason
+   */
+  fail(entry, error) {
+    if (entry.isClosed)
+      return;
+    entry.reject(error);
+    this.emit(ConnectionPool.Event.CONNECTION_FAILED, {accountId: entry.accountId, error});
+    this.close(entry, ConnectionPool.CloseReason.FAILED);
+  }
+  /**
+   * @summary Give back a connection, closing it after `idleTimeout` when nothing uses it
+   * @private
+   * @ignore
+   * @param {Object} entry Connection entry
+   */
+  releaseEntry(entry) {
+    if (entry.isClosed || !entry.users)
+      return;
+    entry.users--;
+    this.active--;
+    if (!entry.users && this.idleTimeout > 0)
+      entry.idleTimer = setTimeout(() => this.close(entry, ConnectionPool.CloseReason.IDLE), this.idleTimeout);
+    if (!this.active)
+      this.drainCallbacks.splice(0).forEach(callback => callback(true));
+  }
+  /**
+   * @summary Wait until no connection is in use
+   * @private
+   * @ignore
+   * @param {Number} timeout Milliseconds to wait
+   * @return {Promise<Boolean>} `false` if the timeout passed first
+   */
+  drain(timeout) {
+    if (!this.active)
+      return Promise.resolve(true);
+    return new Promise(resolve => {
+      const timer = setTimeout(() => {
+        this.drainCallbacks.splice(this.drainCallbacks.indexOf(done), 1);
+        resolve(false);
+      }, timeout);
+      const done = isDrained => {
+        clearTimeout(timer);
+        resolve(isDrained);
+      };
+      this.drainCallbacks.push(done);
+    });
+  }
+  /**
+   * @summary Remove a connection from the pool and disconnect it
+   * @private
+   * @ignore
+   * @param {Object} entry Connection entry
+   * @param {string} reason One of `ConnectionPool.CloseReason`
+   * @return {Promise} Resolves when it is disconnected
+   */
+  close(entry, reason) {
+    if (entry.isClosed)
+      return Promise.resolve();
+    const {accountId, socketkit} = entry;
+    entry.isClosed = true;
+    clearTimeout(entry.idleTimer);
+    this.active -= entry.users;
+    entry.users = 0;
+    delete this.connections[accountId];
+    entry.reject(new ConnectionError(`Connection is closed`));
+    this.emit(ConnectionPool.Event.CONNECTION_CLOSED, {accountId, reason});
+    if (!this.active)
+      this.drainCallbacks.splice(0).forEach(callback => callback(true));
+    if (!socketkit.isConnected) {
+      // Stops reconnecting, and a handshake still in progress as soon as it completes
+      socketkit.disconnect();
+      return Promise.resolve();
+    }
+    return new Promise(resolve => {
+      socketkit.once(SocketKit.Event.DISCONNECTED, () => resolve());
+      socketkit.disconnect();
+    });
+  }
+}
+/**
+ * @static
+ * @readonly
+ * @enum {string}
+ *
+ * @example
+ * pool.on(ConnectionPool.Event.CONNECTION_OPENED, ({accountId}) => console.info('Opened', accountId));
+ * pool.on(ConnectionPool.Event.CONNECTION_CLOSED, ({accountId, reason}) => console.info('Closed', accountId, reason));
+ * pool.on(ConnectionPool.Event.CONNECTION_FAILED, ({accountId, error}) => console.error(accountId, error));
+ */
+ConnectionPool.Event = {
+  CONNECTION_OPENED: 'connection_opened',
+  CONNECTION_CLOSED: 'connection_closed',
+  CONNECTION_FAILED: 'connection_failed'
+};
+/**
+ * @summary Methods of `pool.account()` that run on the connection of the account. They all return a promise
+ *          and keep no state on the connection.
+ * @static
+ * @readonly
+ * @type {{Rooms: Array<string>, Clients: Array<string>}}
+ */
+ConnectionPool.RoutedMethods = {
+  Rooms: [
+    'create',
+    'findById',
+    'findAll',
+    'updateById',
+    'deleteById',
+    'sendMessageById',
+    'sendMessageWithFiles',
+    'getMessagesById',
+    'editMessage',
+    'deleteMessage',
+    'addReaction',
+    'removeReaction',
+    'pinMessage',
+    'unpinMessage',
+    'markRead',
+    'getMembers',
+    'getOnlineMembers',
+    'addMemberById',
+    'updateMemberById',
+    'removeMemberById'
+  ],
+  Clients: [
+    'create',
+    'upsert',
+    'update',
+    'delete',
+    'findByKey',
+    'getCurrent',
+    'findAll',
+    'findManyByKeys',
+    'bulkUpsert',
+    'bulkDelete',
+    'syncFrom',
+    'getPresence'
+  ]
+};
+/**
+ * @summary Reasons a connection is closed
+ * @static
+ * @readonly
+ * @enum {string}
+ */
+ConnectionPool.CloseReason = {
+  IDLE: 'idle',
+  FAILED: 'failed',
+  SHUTDOWN: 'shutdown'
+};
+module.exports = ConnectionPool;
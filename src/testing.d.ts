@@ -0,0 +1,24 @@
+// Type definitions for socketkit-beta/src/testing
+
+import {Transport, TransportFactory, TransportOptions} from './index';
+
+export declare class MockServer {
+  constructor(options?: {accounts?: {[accountId: number]: string}});
+  createTransport(): TransportFactory;
+  addClient(client: {accountId?: number; uniqueClientKey: string; token: string; properties?: {[key: string]: any}}):
+    {accountId: number; uniqueClientKey: string; token: string; properties: {[key: string]: any}};
+  dropAll(code?: number): void;
+}
+
+export declare class MockTransport extends Transport {
+  constructor(server: MockServer, url: string, options?: TransportOptions);
+  state: 'ready' | 'connecting' | 'connected' | 'disconnecting' | 'disconnected';
+  drop(code?: number, reason?: any): void;
+  static readonly State: {
+    readonly READY: 'ready';
+    readonly CONNECTING: 'connecting';
+    readonly CONNECTED: 'connected';
+    readonly DISCONNECTING: 'disconnecting';
+    readonly DISCONNECTED: 'disconnected';
+  };
+}
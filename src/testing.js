@@ -0,0 +1,4 @@
+const MockServer = require('./transport/mock-server');
+const MockTransport = require('./transport/mock-transport');
+exports.MockServer = MockServer;
+exports.MockTransport = MockTransport;
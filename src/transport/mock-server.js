@@ -0,0 +1,647 @@
+const MockTransport = require('./mock-transport');
+const RoomsController = require('../rooms/controller');
+const ClientController = require('../clients/controller');
+const {RoomEventType} = require('../rooms/room-event');
+const {Role, Permission, RolePermissions} = require('../rooms/roles');
+const RoomEvents = RoomsController.InternalEvents;
+const ClientEvents = ClientController.Events;
+const createError = (message, code, closeCode) => Object.assign(new Error(message), {code, closeCode});
+const clientId = (accountId, uniqueClientKey) => `${accountId}:${uniqueClientKey}`;
+const tryEach = (items, getKey, fn) => items.map(item => {
+  try {
+    return fn(item);
+  } catch (error) {
+    return {uniqueClientKey: getKey(item), error: {code: error.code, message: error.message}};
+  }
+});
+const setRole = (member, role) => Object.assign(member, {
+  role,
+  permissions: RolePermissions[role],
+  isAllowedToPost: RolePermissions[role].indexOf(Permission.POST) > -1
+});
+const createMember = (uniqueClientKey, role, properties = {}) => setRole({
+  uniqueClientKey,
+  properties,
+  lastReadMessageId: null,
+  readAt: null
+}, role);
+const serializeClient = ({uniqueClientKey, properties}) => ({uniqueClientKey, properties});
+const serializeRoom = room => ({
+  id: room.id,
+  title: room.title,
+  private: room.private,
+  allowPostsByDefault: room.allowPostsByDefault,
+  properties: room.properties,
+  members: Object.keys(room.members).map(key => room.members[key])
+});
+class MockServer {
+  /**
+   * @class MockServer
+   * @summary In-memory SocketKit server implementing the room and client protocol, for tests without network.
+   *
+   * Connections whose handshake token equals the account token act as the service, connections with
+   * a client token act as that client.
+   *
+   * @param {Object} [options={}] options
+   * @param {Object<Number, string>} [options.accounts={1: 'service-token'}] Account tokens by account id
+   *
+   * @example
+   *
+   * const {MockServer} = require('socketkit-beta/src/testing');
+   * const server = new MockServer({accounts: {1: 'abc'}});
+   * server.addClient({accountId: 1, uniqueClientKey: 'user-1', token: 'user-1-token'});
+   *
+   * const socketkit = new SocketKit({
+   *   token: 'user-1-token',
+   *   accountId: 1,
+   *   transport: server.createTransport()
+   * });
+   */
+  constructor({accounts = {1: 'service-token'}} = {}) {
+    this.accounts = accounts;
+    this.clients = {};
+    this.rooms = {};
+    this.messages = {};
+    this.presence = {};
+    this.transports = [];
+    this.lastId = 0;
+    this.handlers = {
+      [ClientEvents.ADD_CLIENT]: this.addClientHandler,
+      [ClientEvents.UPDATE_CLIENT]: this.updateClientHandler,
+      [ClientEvents.DELETE_CLIENT]: this.deleteClientHandler,
+      [ClientEvents.GET_CLIENT]: this.getClientHandler,
+      [ClientEvents.GET_CURRENT_CLIENT]: this.getCurrentClientHandler,
+      [ClientEvents.GET_CLIENTS]: this.getClientsHandler,
+      [ClientEvents.GET_CLIENTS_BY_KEYS]: this.getClientsByKeysHandler,
+      [ClientEvents.BULK_ADD_CLIENT]: this.bulkAddClientHandler,
+      [ClientEvents.BULK_DELETE_CLIENT]: this.bulkDeleteClientHandler,
+      [RoomEvents.CREATE_ROOM]: this.createRoomHandler,
+      [RoomEvents.UPDATE_ROOM]: this.updateRoomHandler,
+      [RoomEvents.DELETE_ROOM]: this.deleteRoomHandler,
+      [RoomEvents.GET_CLIENT_ROOMS]: this.getRoomsHandler,
+      [RoomEvents.GET_ROOM_INFO]: this.getRoomHandler,
+      [RoomEvents.ADD_PARTICIPANT]: this.addParticipantHandler,
+      [RoomEvents.UPDATE_PARTICIPANT]: this.updateParticipantHandler,
+      [RoomEvents.REMOVE_PARTICIPANT]: this.removeParticipantHandler,
+      [RoomEvents.SEND_MESSAGE_TO_ROOM]: this.sendMessageHandler,
+      [RoomEvents.GET_MESSAGES]: this.getMessagesHandler,
+      [RoomEvents.SET_TYPING]: this.setTypingHandler,
+      [RoomEvents.EDIT_MESSAGE]: this.editMessageHandler,
+      [RoomEvents.DELETE_MESSAGE]: this.deleteMessageHandler,
+      [RoomEvents.ADD_REACTION]: this.addReactionHandler,
+      [RoomEvents.REMOVE_REACTION]: this.removeReactionHandler,
+      [RoomEvents.MARK_READ]: this.markReadHandler,
+      [RoomEvents.GET_ONLINE_MEMBERS]: this.getOnlineMembersHandler,
+      [RoomEvents.GET_MEMBERS]: this.getMembersHandler,
+      [RoomEvents.PIN_MESSAGE]: this.pinMessageHandler,
+      [RoomEvents.UNPIN_MESSAGE]: this.unpinMessageHandler,
+      [ClientEvents.SET_PRESENCE]: this.setPresenceHandler,
+      [ClientEvents.GET_PRESENCE]: this.getPresenceHandler
+    };
+  }
+  /**
+   * @summary Create a transport factory to pass as `transport` option of `SocketKit`
+   * @return {Function}
+   */
+  createTransport() {
+    return (url, options) => new MockTransport(this, url, options);
+  }
+  /**
+   * @summary Add a client directly, bypassing the protocol
+   * @param {!Object} client Client
+   * @param {Number} [client.accountId=1] Account id
+   * @param {!string} client.uniqueClientKey Unique client key
+   * @param {!string} client.token Client token
+   * @param {Object} [client.properties={}] Client properties
+   * @return {Object} Stored client
+   */
+  addClient({accountId = 1, uniqueClientKey, token, properties = {}}) {
+    const client = {accountId, uniqueClientKey, token, properties};
+    this.clients[clientId(accountId, uniqueClientKey)] = client;
+    return client;
+  }
+  /**
+   * @summary Drop every connection, as if the network went away
+   * @param {Number} [code=1006] Close code
+   */
+  dropAll(code = 1006) {
+    this.transports.slice().forEach(transport => transport.drop(code));
+  }
+  /**
+   * @summary Authenticate a connecting transport
+   * @private
+   * @ignore
+   * @param {MockTransport} transport Transport
+   * @param {{accountId: Number, token: string}} payload Handshake payload
+   * @return {Object} Session
+   */
+  handshake(transport, {accountId, token} = {}) {
+    if (!this.accounts[accountId])
+      throw createError(`Account not found`, 'unauthorized', 4004);
+    const client = Object.keys(this.clients)
+      .map(key => this.clients[key])
+      .find(client => client.accountId == accountId && client.token === token);
+    const isService = this.accounts[accountId] === token;
+    if (!isService && !client)
+      throw createError(`Invalid token`, 'unauthorized', 4001);
+    this.transports.push(transport);
+    const session = {accountId, uniqueClientKey: isService ? null : client.uniqueClientKey, isService};
+    if (!isService)
+      this.setPresence(accountId, client.uniqueClientKey, ClientController.Status.ONLINE);
+    return session;
+  }
+  /**
+   * @summary Forget a disconnected transport
+   * @private
+   * @ignore
+   * @param {MockTransport} transport Transport
+   */
+  detach(transport) {
+    this.transports = this.transports.filter(item => item !== transport);
+    const session = transport.session;
+    if (!session || session.isService)
+      return;
+    const isStillConnected = this.transports.some(({session: other}) => other &&
+      other.accountId == session.accountId && other.uniqueClientKey === session.uniqueClientKey);
+    if (!isStillConnected)
+      this.setPresence(session.accountId, session.uniqueClientKey, ClientController.Status.OFFLINE);
+  }
+  /**
+   * @summary Get presence of a client
+   * @private
+   * @ignore
+   * @param {Number} accountId Account id
+   * @param {string} uniqueClientKey Unique client key
+   * @return {{uniqueClientKey: string, status: string, lastSeenAt: ?string}} Presence
+   */
+  getPresence(accountId, uniqueClientKey) {
+    return this.presence[clientId(accountId, uniqueClientKey)] ||
+      {uniqueClientKey, status: ClientController.Status.OFFLINE, lastSeenAt: null};
+  }
+  /**
+   * @summary Change presence of a client and push it to clients sharing a room with it
+   * @private
+   * @ignore
+   * @param {Number} accountId Account id
+   * @param {string} uniqueClientKey Unique client key
+   * @param {string} status Presence status
+   */
+  setPresence(accountId, uniqueClientKey, status) {
+    const presence = {uniqueClientKey, status, lastSeenAt: new Date().toISOString()};
+    this.presence[clientId(accountId, uniqueClientKey)] = presence;
+    const receivers = {};
+    Object.keys(this.rooms)
+      .map(id => this.rooms[id])
+      .filter(room => room.accountId == accountId && room.members[uniqueClientKey])
+      .forEach(room => Object.keys(room.members).forEach(key => receivers[key] = true));
+    delete receivers[uniqueClientKey];
+    this.push(accountId, Object.keys(receivers), ClientEvents.PRESENCE_CHANGED, presence);
+  }
+  /**
+   * @summary Handle a request
+   * @private
+   * @ignore
+   * @param {MockTransport} transport Transport
+   * @param {string} name Message name
+   * @param {Object} [payload={}] Message payload
+   * @return {*} Response
+   */
+  handle(transport, name, payload = {}) {
+    const handler = this.handlers[name];
+    if (!handler)
+      throw createError(`Unknown message "${name}"`, 'bad_request');
+    return handler.call(this, transport.session, payload);
+  }
+  /**
+   * @summary Push a message to connected clients of an account
+   * @private
+   * @ignore
+   * @param {Number} accountId Account id
+   * @param {Array<string>|null} uniqueClientKeys Receivers, `null` for service connections only
+   * @param {string} name Message name
+   * @param {*} payload Message payload
+   */
+  push(accountId, uniqueClientKeys, name, payload) {
+    this.transports
+      .filter(transport => transport.session && transport.session.accountId == accountId)
+      .filter(({session}) => session.isService || (uniqueClientKeys || []).indexOf(session.uniqueClientKey) > -1)
+      .forEach(transport => transport.push(name, payload));
+  }
+  /**
+   * @summary Push a `room_event` to the members of a room
+   * @private
+   * @ignore
+   * @param {Object} room Room
+   * @param {string} type Room event type
+   * @param {Object} data Event data
+   */
+  pushRoomEvent(room, type, data) {
+    this.push(room.accountId, Object.keys(room.members), RoomEvents.ROOM_EVENT, {roomId: room.id, type, data});
+  }
+  /**
+   * @summary Find a room the session can access
+   * @private
+   * @ignore
+   * @param {Object} session Session
+   * @param {Number} roomId Room id
+   * @return {Object} Room
+   */
+  getRoom(session, roomId) {
+    const room = this.rooms[roomId];
+    if (!room || room.accountId != session.accountId)
+      throw createError(`Room not found`, 'not_found');
+    if (!session.isService && !room.members[session.uniqueClientKey])
+      throw createError(`Not a member of the room`, 'forbidden');
+    return room;
+  }
+  /**
+   * @summary Ensure the session is the service or a member with a permission
+   * @private
+   * @ignore
+   * @param {Object} session Session
+   * @param {Object} room Room
+   * @param {string} permission Permission
+   */
+  requirePermission(session, room, permission) {
+    if (!session.isService && room.members[session.uniqueClientKey].permissions.indexOf(permission) === -1)
+      throw createError(`"${permission}" permission is required`, 'forbidden');
+  }
+  /**
+   * @summary Ensure the session is the service or an owner when the owner role is involved
+   * @private
+   * @ignore
+   * @param {Object} session Session
+   * @param {Object} room Room
+   * @param {string} role Role being granted or taken
+   */
+  requireOwnerGrant(session, room, role) {
+    if (role === Role.OWNER && !session.isService && room.members[session.uniqueClientKey].role !== Role.OWNER)
+      throw createError(`Only owners can grant or take the owner role`, 'forbidden');
+  }
+  /**
+   * @summary Find a client of the session's account
+   * @private
+   * @ignore
+   * @param {Object} session Session
+   * @param {string} uniqueClientKey Unique client key
+   * @return {Object} Client
+   */
+  getClient(session, uniqueClientKey) {
+    const client = this.clients[clientId(session.accountId, uniqueClientKey)];
+    if (!client)
+      throw createError(`Client not found`, 'not_found');
+    return client;
+  }
+  /**
+   * @summary Ensure the session is a service connection
+   * @private
+   * @ignore
+   * @param {Object} session Session
+   */
+  requireService(session) {
+    if (!session.isService)
+      throw createError(`Permission denied`, 'forbidden');
+  }
+  /**
+   * @summary Find a message of a room the session can access
+   * @private
+   * @ignore
+   * @param {Object} session Session
+   * @param {Number} roomId Room id
+   * @param {Number} messageId Message id
+   * @param {Boolean} [isOwnOnly=false] Only the sender or the service may access it
+   * @return {Object} Message
+   */
+  getMessage(session, roomId, messageId, isOwnOnly = false) {
+    this.getRoom(session, roomId);
+    const message = this.messages[roomId].find(message => message.id == messageId);
+    if (!message)
+      throw createError(`Message not found`, 'not_found');
+    if (isOwnOnly && !session.isService && message.uniqueClientKey !== session.uniqueClientKey)
+      throw createError(`Not the sender of the message`, 'forbidden');
+    return message;
+  }
+  addClientHandler(session, {uniqueClientKey, token, properties, upsert}) {
+    this.requireService(session);
+    if (!upsert && this.clients[clientId(session.accountId, uniqueClientKey)])
+      throw createError(`Client already exists`, 'validation');
+    return serializeClient(this.addClient({accountId: session.accountId, uniqueClientKey, token, properties}));
+  }
+  updateClientHandler(session, {uniqueClientKey, token, properties}) {
+    if (!session.isService && session.uniqueClientKey !== uniqueClientKey)
+      throw createError(`Permission denied`, 'forbidden');
+    const client = this.getClient(session, uniqueClientKey);
+    if (token)
+      client.token = token;
+    if (properties)
+      client.properties = properties;
+    return serializeClient(client);
+  }
+  deleteClientHandler(session, {uniqueClientKey}) {
+    this.requireService(session);
+    const client = this.getClient(session, uniqueClientKey);
+    delete this.clients[clientId(session.accountId, uniqueClientKey)];
+    return serializeClient(client);
+  }
+  getClientHandler(session, {uniqueClientKey}) {
+    return serializeClient(this.getClient(session, uniqueClientKey));
+  }
+  getCurrentClientHandler(session) {
+    if (session.isService)
+      return null;
+    return serializeClient(this.getClient(session, session.uniqueClientKey));
+  }
+  getClientsHandler(session, {pagination = {}, filter = {}, sort = {}}) {
+    this.requireService(session);
+    const {limit = 50, cursor} = pagination;
+    const offset = cursor ? Number(cursor) : 0;
+    const properties = filter.properties || {};
+    const matches = (client, key) => {
+      const expected = Array.isArray(properties[key]) ? properties[key] : [properties[key]];
+      return expected.indexOf(client.properties[key]) > -1;
+    };
+    const {by = 'uniqueClientKey', order = 'asc'} = sort;
+    const getValue = client => by === 'uniqueClientKey' ? client.uniqueClientKey : client.properties[by.slice(11)];
+    const clients = Object.keys(this.clients)
+      .map(key => this.clients[key])
+      .filter(client => client.accountId == session.accountId)
+      .filter(client => Object.keys(properties).every(key => matches(client, key)))
+      .sort((a, b) => {
+        const diff = getValue(a) > getValue(b) ? 1 : getValue(a) < getValue(b) ? -1 : 0;
+        return order === 'desc' ? -diff : diff;
+      });
+    const end = offset + limit;
+    return {
+      clients: clients.slice(offset, end).map(serializeClient),
+      nextCursor: end < clients.length ? String(end) : null
+    };
+  }
+  getClientsByKeysHandler(session, {uniqueClientKeys = []}) {
+    return {
+      clients: uniqueClientKeys
+        .map(key => this.clients[clientId(session.accountId, key)])
+        .filter(client => client)
+        .map(serializeClient)
+    };
+  }
+  bulkAddClientHandler(session, {clients = [], upsert}) {
+    this.requireService(session);
+    return {
+      results: tryEach(clients, client => client.uniqueClientKey, client => ({
+        uniqueClientKey: client.uniqueClientKey,
+        client: this.addClientHandler(session, Object.assign({}, client, {upsert}))
+      }))
+    };
+  }
+  bulkDeleteClientHandler(session, {uniqueClientKeys = []}) {
+    this.requireService(session);
+    return {
+      results: tryEach(uniqueClientKeys, key => key, uniqueClientKey => ({
+        uniqueClientKey,
+        client: this.deleteClientHandler(session, {uniqueClientKey})
+      }))
+    };
+  }
+  createRoomHandler(session, {title, private: isPrivate = false, allowPostsByDefault = true, properties = {}}) {
+    if (!title)
+      throw createError(`title is required`, 'validation');
+    const room = {
+      id: ++this.lastId,
+      accountId: session.accountId,
+      title,
+      private: isPrivate,
+      allowPostsByDefault,
+      properties,
+      members: {}
+    };
+    if (!session.isService)
+      room.members[session.uniqueClientKey] = createMember(session.uniqueClientKey, Role.OWNER);
+    this.rooms[room.id] = room;
+    this.messages[room.id] = [];
+    this.push(room.accountId, Object.keys(room.members), RoomEvents.NEW_ROOM_CREATED, serializeRoom(room));
+    return serializeRoom(room);
+  }
+  updateRoomHandler(session, {roomId, title, properties = {}}) {
+    const room = this.getRoom(session, roomId);
+    this.requirePermission(session, room, Permission.EDIT_ROOM);
+    room.title = title;
+    room.properties = properties;
+    this.push(room.accountId, Object.keys(room.members), RoomEvents.ROOM_UPDATED, serializeRoom(room));
+    this.pushRoomEvent(room, RoomEventType.ROOM_UPDATED, {title, properties});
+    return serializeRoom(room);
+  }
+  deleteRoomHandler(session, {roomId}) {
+    const room = this.getRoom(session, roomId);
+    this.requirePermission(session, room, Permission.EDIT_ROOM);
+    delete this.rooms[roomId];
+    delete this.messages[roomId];
+    this.push(room.accountId, Object.keys(room.members), RoomEvents.ROOM_DELETED, {roomId: room.id});
+    return {roomId: room.id};
+  }
+  getRoomsHandler(session, {pagination = {}}) {
+    const {limit = Infinity, offset = 0} = pagination;
+    return Object.keys(this.rooms)
+      .map(id => this.rooms[id])
+      .filter(room => room.accountId == session.accountId)
+      .filter(room => session.isService || room.members[session.uniqueClientKey])
+      .slice(offset, offset + limit)
+      .map(serializeRoom);
+  }
+  getRoomHandler(session, {roomId}) {
+    return serializeRoom(this.getRoom(session, roomId));
+  }
+  addParticipantHandler(session, {roomId, targetUniqueClientKey, role, isAllowedToPost, properties = {}}) {
+    const room = this.getRoom(session, roomId);
+    this.requirePermission(session, room, Permission.INVITE);
+    this.requireOwnerGrant(session, room, role);
+    this.getClient(session, targetUniqueClientKey);
+    if (room.members[targetUniqueClientKey])
+      throw createError(`Client is already a member`, 'validation');
+    if (role && !RolePermissions[role])
+      throw createError(`Unknown role`, 'validation');
+    const canPost = isAllowedToPost === undefined ? room.allowPostsByDefault : isAllowedToPost;
+    const member = createMember(targetUniqueClientKey, role || (canPost ? Role.MEMBER : Role.READ_ONLY), properties);
+    room.members[targetUniqueClientKey] = member;
+    this.pushRoomEvent(room, RoomEventType.MEMBER_JOINED, member);
+    this.push(room.accountId, [targetUniqueClientKey], RoomEvents.JOINED_TO_ROOM, serializeRoom(room));
+    return member;
+  }
+  updateParticipantHandler(session, {roomId, targetUniqueClientKey, role, isAllowedToPost, properties}) {
+    const room = this.getRoom(session, roomId);
+    const member = room.members[targetUniqueClientKey];
+    if (!member)
+      throw createError(`Member not found`, 'not_found');
+    if (role && !RolePermissions[role])
+      throw createError(`Unknown role`, 'validation');
+    if (role && role !== member.role) {
+      this.requirePermission(session, room, Permission.REMOVE);
+      this.requireOwnerGrant(session, room, role);
+      this.requireOwnerGrant(session, room, member.role);
+    }
+    if (isAllowedToPost !== undefined ||
+        (properties !== undefined && targetUniqueClientKey !== session.uniqueClientKey))
+      this.requirePermission(session, room, Permission.INVITE);
+    if (role)
+      setRole(member, role);
+    else if (isAllowedToPost !== undefined && (member.role === Role.MEMBER || member.role === Role.READ_ONLY))
+      setRole(member, isAllowedToPost ? Role.MEMBER : Role.READ_ONLY);
+    if (properties)
+      member.properties = properties;
+    this.pushRoomEvent(room, RoomEventType.MEMBER_UPDATED, member);
+    this.push(room.accountId, Object.keys(room.members), RoomEvents.ROOM_UPDATED, serializeRoom(room));
+    return member;
+  }
+  removeParticipantHandler(session, {roomId, targetUniqueClientKey}) {
+    const room = this.getRoom(session, roomId);
+    if (targetUniqueClientKey !== session.uniqueClientKey)
+      this.requirePermission(session, room, Permission.REMOVE);
+    const member = room.members[targetUniqueClientKey];
+    if (!member)
+      throw createError(`Member not found`, 'not_found');
+    this.pushRoomEvent(room, RoomEventType.MEMBER_LEFT, {uniqueClientKey: targetUniqueClientKey});
+    delete room.members[targetUniqueClientKey];
+    this.push(room.accountId, [targetUniqueClientKey], RoomEvents.REMOVED_FROM_ROOM, {roomId: room.id});
+    return member;
+  }
+  sendMessageHandler(session, {roomId, text, properties = {}, clientMessageId = null}) {
+    const room = this.getRoom(session, roomId);
+    this.requirePermission(session, room, Permission.POST);
+    const messages = this.messages[roomId];
+    const duplicate = clientMessageId && messages.find(message => message.clientMessageId === clientMessageId);
+    if (duplicate)
+      return duplicate;
+    const message = {
+      id: ++this.lastId,
+      roomId: room.id,
+      uniqueClientKey: session.uniqueClientKey,
+      text,
+      properties,
+      clientMessageId,
+      createdAt: new Date().toISOString(),
+      editedAt: null,
+      editHistory: [],
+      reactions: {},
+      isPinned: false
+    };
+    messages.push(message);
+    this.pushRoomEvent(room, RoomEventType.MESSAGE, message);
+    return message;
+  }
+  getMessagesHandler(session, {roomId, pagination = {}}) {
+    this.getRoom(session, roomId);
+    const {limit = 50, before, after} = pagination;
+    const messages = this.messages[roomId]
+      .filter(message => (before === undefined || message.id < before) && (after === undefined || message.id > after));
+    return after === undefined ? messages.slice(-limit) : messages.slice(0, limit);
+  }
+  getMembersHandler(session, {roomId, pagination = {}}) {
+    const room = this.getRoom(session, roomId);
+    const {limit = 50, offset = 0} = pagination;
+    return Object.keys(room.members).map(key => room.members[key]).slice(offset, offset + limit);
+  }
+  pinMessageHandler(session, {roomId, messageId}) {
+    return this.setPinned(session, roomId, messageId, true);
+  }
+  unpinMessageHandler(session, {roomId, messageId}) {
+    return this.setPinned(session, roomId, messageId, false);
+  }
+  /**
+   * @summary Pin or unpin a message
+   * @private
+   * @ignore
+   * @param {Object} session Session
+   * @param {Number} roomId Room id
+   * @param {Number} messageId Message id
+   * @param {Boolean} isPinned Pin state
+   * @return {Object} Message
+   */
+  setPinned(session, roomId, messageId, isPinned) {
+    const message = this.getMessage(session, roomId, messageId);
+    this.requirePermission(session, this.rooms[roomId], Permission.PIN);
+    message.isPinned = isPinned;
+    this.pushRoomEvent(this.rooms[roomId], RoomEventType.MESSAGE_PINNED, {id: message.id, isPinned});
+    return message;
+  }
+  editMessageHandler(session, {roomId, messageId, text, properties}) {
+    const message = this.getMessage(session, roomId, messageId, true);
+    message.editHistory.push({text: message.text, editedAt: message.editedAt || message.createdAt});
+    message.text = text;
+    message.editedAt = new Date().toISOString();
+    if (properties)
+      message.properties = properties;
+    this.pushRoomEvent(this.rooms[roomId], RoomEventType.MESSAGE_EDITED, message);
+    return message;
+  }
+  deleteMessageHandler(session, {roomId, messageId}) {
+    const message = this.getMessage(session, roomId, messageId, true);
+    this.messages[roomId] = this.messages[roomId].filter(item => item !== message);
+    this.pushRoomEvent(this.rooms[roomId], RoomEventType.MESSAGE_DELETED, {id: message.id});
+    return {roomId: message.roomId, id: message.id};
+  }
+  addReactionHandler(session, {roomId, messageId, emoji}) {
+    const message = this.getMessage(session, roomId, messageId);
+    const reaction = message.reactions[emoji] || {count: 0, uniqueClientKeys: []};
+    if (reaction.uniqueClientKeys.indexOf(session.uniqueClientKey) === -1)
+      message.reactions[emoji] = {
+        count: reaction.count + 1,
+        uniqueClientKeys: reaction.uniqueClientKeys.concat(session.uniqueClientKey)
+      };
+    this.pushRoomEvent(this.rooms[roomId], RoomEventType.REACTIONS_UPDATED, {
+      id: message.id,
+      reactions: Object.assign({}, message.reactions)
+    });
+    return message;
+  }
+  removeReactionHandler(session, {roomId, messageId, emoji}) {
+    const message = this.getMessage(session, roomId, messageId);
+    const reaction = message.reactions[emoji];
+    if (!reaction || reaction.uniqueClientKeys.indexOf(session.uniqueClientKey) === -1)
+      throw createError(`Reaction not found`, 'not_found');
+    const uniqueClientKeys = reaction.uniqueClientKeys.filter(key => key !== session.uniqueClientKey);
+    if (uniqueClientKeys.length)
+      message.reactions[emoji] = {count: uniqueClientKeys.length, uniqueClientKeys};
+    else
+      delete message.reactions[emoji];
+    this.pushRoomEvent(this.rooms[roomId], RoomEventType.REACTIONS_UPDATED, {
+      id: message.id,
+      reactions: Object.assign({}, message.reactions)
+    });
+    return message;
+  }
+  markReadHandler(session, {roomId, messageId}) {
+    if (session.isService)
+      throw createError(`Only clients have read positions`, 'validation');
+    const message = this.getMessage(session, roomId, messageId);
+    const member = this.rooms[roomId].members[session.uniqueClientKey];
+    member.lastReadMessageId = message.id;
+    member.readAt = new Date().toISOString();
+    const receipt = {uniqueClientKey: member.uniqueClientKey, messageId: message.id, readAt: member.readAt};
+    this.pushRoomEvent(this.rooms[roomId], RoomEventType.READ_RECEIPT, receipt);
+    return Object.assign({roomId: message.roomId}, receipt);
+  }
+  getOnlineMembersHandler(session, {roomId}) {
+    const room = this.getRoom(session, roomId);
+    return Object.keys(room.members)
+      .map(key => this.getPresence(session.accountId, key))
+      .filter(presence => presence.status !== ClientController.Status.OFFLINE);
+  }
+  setPresenceHandler(session, {status}) {
+    if (session.isService)
+      throw createError(`Only clients have presence`, 'validation');
+    this.setPresence(session.accountId, session.uniqueClientKey, status);
+    return this.getPresence(session.accountId, session.uniqueClientKey);
+  }
+  getPresenceHandler(session, {uniqueClientKeys = []}) {
+    return uniqueClientKeys.map(key => this.getPresence(session.accountId, key));
+  }
+  setTypingHandler(session, {roomId, isTyping}) {
+    const room = this.getRoom(session, roomId);
+    const receivers = Object.keys(room.members).filter(key => key !== session.uniqueClientKey);
+    this.push(room.accountId, receivers, RoomEvents.TYPING, {
+      roomId: room.id,
+      uniqueClientKey: session.uniqueClientKey,
+      isTyping: !!isTyping
+    });
+  }
+}
+module.exports = MockServer;
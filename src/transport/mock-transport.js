@@ -0,0 +1,133 @@
+const Transport = require('./transport');
+const {ConnectionError} = require('../errors');
+const defer = fn => setTimeout(fn, 0);
+class MockTransport extends Transport {
+  /**
+   * @class MockTransport
+   * @extends {Transport}
+   * @summary Transport connected to an in-process `MockServer`. Create it with `MockServer#createTransport()`.
+   *
+   * @param {MockServer} server Mock server
+   * @param {string} url Server endpoint, ignored
+   * @param {Object} [options={}] Transport options
+   */
+  constructor(server, url, options = {}) {
+    super(url, options);
+    this.server = server;
+    this.state = MockTransport.State.READY;
+    this.session = null;
+  }
+  /**
+   * @summary Connect to the mock server. The handshake runs asynchronously.
+   * @return {Boolean}
+   */
+  connect() {
+    if (this.state !== MockTransport.State.READY && this.state !== MockTransport.State.DISCONNECTED)
+      return false;
+    this.state = MockTransport.State.CONNECTING;
+    this.emit(Transport.Event.CONNECTING);
+    const payload = this.options.handshake && this.options.handshake.payload;
+    defer(() => {
+      if (this.state !== MockTransport.State.CONNECTING)
+        return;
+      try {
+        this.session = this.server.handshake(this, payload);
+      } catch (error) {
+        this.emit(Transport.Event.CONNECTING_ERROR, error);
+        return this.close({code: error.closeCode || 4000, reason: error.message});
+      }
+      this.state = MockTransport.State.CONNECTED;
+      this.emit(Transport.Event.CONNECTED);
+    });
+    return true;
+  }
+  /**
+   * @summary Disconnect from the mock server
+   * @param {Number} [code=1000] Close code
+   * @param {*} [reason] Close reason
+   * @return {Boolean}
+   */
+  disconnect(code = 1000, reason) {
+    if (this.state !== MockTransport.State.CONNECTING && this.state !== MockTransport.State.CONNECTED)
+      return false;
+    this.state = MockTransport.State.DISCONNECTING;
+    this.emit(Transport.Event.DISCONNECTING);
+    defer(() => this.close({code, reason}));
+    return true;
+  }
+  /**
+   * @summary Simulate an unexpected connection loss
+   * @param {Number} [code=1006] Close code
+   * @param {*} [reason] Close reason
+   */
+  drop(code = 1006, reason) {
+    if (this.state !== MockTransport.State.DISCONNECTED)
+      this.close({code, reason});
+  }
+  /**
+   * @summary Finish disconnection
+   * @private
+   * @ignore
+   * @param {{code: Number, reason: *}} closeEvent Close event
+   */
+  close(closeEvent) {
+    this.server.detach(this);
+    this.session = null;
+    this.state = MockTransport.State.DISCONNECTED;
+    this.emit(Transport.Event.DISCONNECTED, closeEvent);
+  }
+  /**
+   * @summary Send a message to the mock server
+   * @param {!string} name Message name
+   * @param {*} [payload] Message payload
+   * @return {Promise}
+   */
+  send(name, payload) {
+    if (this.state !== MockTransport.State.CONNECTED)
+      return Promise.reject(new ConnectionError(`Client is disconnected`));
+    return new Promise((resolve, reject) => defer(() => {
+      if (this.state !== MockTransport.State.CONNECTED)
+        return reject(new ConnectionError(`Client is disconnected`));
+      try {
+        resolve(this.server.handle(this, name, payload));
+      } catch (error) {
+        reject(error);
+      }
+    }));
+  }
+  /**
+   * @summary Send a message to the mock server without waiting for a response
+   * @param {!string} name Message name
+   * @param {*} [payload] Message payload
+   * @return {Promise}
+   */
+  sendWithoutResponse(name, payload) {
+    return this.send(name, payload).then(() => undefined);
+  }
+  /**
+   * @summary Deliver a pushed message
+   * @private
+   * @ignore
+   * @param {!string} name Message name
+   * @param {*} payload Message payload
+   */
+  push(name, payload) {
+    defer(() => {
+      if (this.state === MockTransport.State.CONNECTED)
+        this.emit(name, {name, payload});
+    });
+  }
+}
+/**
+ * @static
+ * @readonly
+ * @enum {string}
+ */
+MockTransport.State = {
+  READY: 'ready',
+  CONNECTING: 'connecting',
+  CONNECTED: 'connected',
+  DISCONNECTING: 'disconnecting',
+  DISCONNECTED: 'disconnected'
+};
+module.exports = MockTransport;
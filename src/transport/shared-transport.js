@@ -0,0 +1,514 @@
+const Transport = require('./transport');
+const Errors = require('../errors');
+const generateId = require('../utils/generate-id');
+const ErrorClasses = [
+  Errors.ValidationError,
+  Errors.AuthError,
+  Errors.NotFoundError,
+  Errors.PermissionError,
+  Errors.RateLimitError,
+  Errors.TimeoutError,
+  Errors.ConnectionError,
+  Errors.AbortError
+];
+const serializeError = error => ({
+  message: error && error.message,
+  code: error && error.code,
+  payload: error && error.payload,
+  isSocketKitError: error instanceof Errors.SocketKitError
+});
+const deserializeError = ({message, code, payload, isSocketKitError}) => {
+  const ErrorClass = isSocketKitError && ErrorClasses.find(errorClass => errorClass.code === code);
+  if (ErrorClass)
+    return new ErrorClass(message);
+  return Object.assign(new Error(message), {code, payload});
+};
+const serializeArgs = args => args.map(arg => arg instanceof Error ? {error: serializeError(arg)} : {value: arg});
+const deserializeArgs = args => args.map(arg => arg.error ? deserializeError(arg.error) : arg.value);
+const defer = fn => setTimeout(fn, 0);
+class SharedTransport extends Transport {
+  /**
+   * @class SharedTransport
+   * @extends {Transport}
+   * @summary Shares one connection between the browser tabs of the same origin. Tabs elect a leader over a
+   *          `BroadcastChannel`; only the leader opens the real transport. The other tabs send their requests
+   *          through the leader and receive its connection events and pushed messages.
+   *
+   * When the leader tab closes, disconnects or stops sending heartbeats, the remaining tabs elect a new leader
+   * which opens the connection. A hidden page (`pagehide`) leaves the channel, and joins it again when it is
+   * restored from the back/forward cache. Tabs sharing a channel must use the same account and token. Create it
+   * through the `shared` option of `SocketKit`.
+   *
+   * @param {string} url Server endpoint
+   * @param {Object} [options={}] Transport options, passed to the real transport
+   * @param {Object} sharedOptions Sharing options
+   * @param {!Function} sharedOptions.createTransport Creates the real transport with `(url, options)`
+   * @param {!string} sharedOptions.channelName Broadcast channel name
+   * @param {Number} [sharedOptions.heartbeatInterval=1000] Interval of the leader heartbeat in milliseconds
+   * @param {Number} [sharedOptions.leaderTimeout=3000] Time without a heartbeat after which the leader is
+   *                                                   considered gone
+   * @param {Number} [sharedOptions.electionTimeout=300] Time to wait for an existing leader before claiming
+   * @param {Function} [sharedOptions.createChannel] Creates the channel with `(name)`, defaults to
+   *                                                 `new BroadcastChannel(name)`
+   *
+   * @property {string} id Tab id
+   * @property {Boolean} isLeader Whether this tab owns the connection
+   */
+  constructor(url, options = {}, {
+    createTransport,
+    channelName,
+    heartbeatInterval = 1000,
+    leaderTimeout = 3000,
+    electionTimeout = 300,
+    createChannel = name => new BroadcastChannel(name)
+  }) {
+    super(url, options);
+    this.createTransport = createTransport;
+    this.channelName = channelName;
+    this.heartbeatInterval = heartbeatInterval;
+    this.leaderTimeout = leaderTimeout;
+    this.electionTimeout = electionTimeout;
+    this.createChannel = createChannel;
+    this.id = generateId();
+    this.channel = null;
+    this.transport = null;
+    this.leader = {id: null, isConnected: false, lastSeen: 0};
+    this.isLeader = false;
+    this.isConnected = false;
+    this.wantsConnection = false;
+    this.isClosed = false;
+    this.isSuspended = false;
+    this.pending = {};
+    this.timers = {heartbeat: null, election: null};
+    this.pageTarget = null;
+    this.onPageHide = () => this.suspend();
+    this.onPageShow = event => event.persisted && this.resume();
+  }
+  /**
+   * @summary Join the channel on first call, then connect the real transport if this tab is the leader, or
+   *          follow the connection state of the leader.
+   * @return {Boolean}
+   */
+  connect() {
+    if (this.isClosed)
+      return false;
+    this.wantsConnection = true;
+    if (this.isSuspended)
+      return true;
+    if (!this.channel)
+      this.open();
+    if (this.isLeader)
+      return this.transport.connect();
+    if (!this.leader.id && !this.timers.election)
+      this.scheduleElection(0);
+    if (this.leader.isConnected && !this.isConnected)
+      defer(() => this.setConnected(this.leader.isConnected, []));
+    return true;
+  }
+  /**
+   * @summary Disconnect this tab. The leader hands the connection over to another tab.
+   * @param {Number} [code=1000] Close code
+   * @param {*} [reason] Close reason
+   * @return {Boolean}
+   */
+  disconnect(code = 1000, reason) {
+    this.wantsConnection = false;
+    if (this.isLeader) {
+      this.resign();
+      return true;
+    }
+    if (!this.isConnected)
+      return false;
+    defer(() => this.setConnected(false, [{code, reason}]));
+    return true;
+  }
+  /**
+   * @summary Send a message, through the leader tab if this tab is not the leader
+   * @param {!string} name Message name
+   * @param {*} [payload] Message payload
+   * @return {Promise}
+   */
+  send(name, payload) {
+    return this.request(name, payload, true);
+  }
+  /**
+   * @summary Send a message without waiting for its response, through the leader tab if this tab is not the leader
+   * @param {!string} name Message name
+   * @param {*} [payload] Message payload
+   * @return {Promise}
+   */
+  sendWithoutResponse(name, payload) {
+    return this.request(name, payload, false);
+  }
+  /**
+   * @summary Leave the channel for good. The leader hands the connection over to another tab.
+   */
+  close() {
+    this.isClosed = true;
+    this.wantsConnection = false;
+    this.leave();
+    if (this.pageTarget) {
+      this.pageTarget.removeEventListener('pagehide', this.onPageHide);
+      this.pageTarget.removeEventListener('pageshow', this.onPageShow);
+      this.pageTarget = null;
+    }
+  }
+  /**
+   * @summary Leave the channel when the page is hidden. The leader hands the connection over to another tab.
+   *          Connecting waits until `resume`.
+   * @private
+   * @ignore
+   */
+  suspend() {
+    if (this.isClosed || this.isSuspended)
+      return;
+    this.isSuspended = true;
+    this.leave();
+    this.setConnected(false, [{code: 1001, reason: 'Page hidden'}]);
+  }
+  /**
+   * @summary Join the channel again when the page is restored from the back/forward cache
+   * @private
+   * @ignore
+   */
+  resume() {
+    if (this.isClosed || !this.isSuspended)
+      return;
+    this.isSuspended = false;
+    if (this.wantsConnection)
+      this.connect();
+  }
+  /**
+   * @summary Join the channel and look for a leader
+   * @private
+   * @ignore
+   */
+  open() {
+    this.channel = this.createChannel(this.channelName);
+    this.channel.onmessage = event => this.handleMessage(event.data);
+    this.timers.heartbeat = setInterval(() => this.tick(), this.heartbeatInterval);
+    if (!this.pageTarget && typeof self !== 'undefined' && typeof self.addEventListener === 'function') {
+      this.pageTarget = self;
+      self.addEventListener('pagehide', this.onPageHide);
+      self.addEventListener('pageshow', this.onPageShow);
+    }
+    this.post({type: SharedTransport.MessageType.HELLO});
+    this.scheduleElection(this.electionTimeout);
+  }
+  /**
+   * @summary Leave the channel, handing the connection over to another tab while leading
+   * @private
+   * @ignore
+   */
+  leave() {
+    if (!this.channel)
+      return;
+    if (this.isLeader)
+      this.resign();
+    this.rejectPending();
+    clearInterval(this.timers.heartbeat);
+    clearTimeout(this.timers.election);
+    this.timers = {heartbeat: null, election: null};
+    this.channel.close();
+    this.channel = null;
+    this.leader = {id: null, isConnected: false, lastSeen: 0};
+  }
+  /**
+   * @summary Send a request with the real transport, or post it to the leader
+   * @private
+   * @ignore
+   * @param {!string} name Message name
+   * @param {*} payload Message payload
+   * @param {Boolean} expectsResponse Whether to wait for the response
+   * @return {Promise}
+   */
+  request(name, payload, expectsResponse) {
+    if (this.isLeader)
+      return expectsResponse ? this.transport.send(name, payload) : this.transport.sendWithoutResponse(name, payload);
+    if (!this.leader.id || !this.leader.isConnected)
+      return Promise.reject(new Errors.ConnectionError(`Client is disconnected`));
+    const requestId = generateId();
+    return new Promise((resolve, reject) => {
+      this.pending[requestId] = {resolve, reject};
+      this.post({type: SharedTransport.MessageType.REQUEST, to: this.leader.id, requestId, name, payload,
+        expectsResponse});
+    });
+  }
+  /**
+   * @summary Handle a channel message
+   * @private
+   * @ignore
+   * @param {Object} message Channel message
+   */
+  handleMessage(message) {
+    if (!message || (message.to && message.to !== this.id))
+      return;
+    switch (message.type) {
+      case SharedTransport.MessageType.HELLO:
+        if (this.isLeader)
+          this.heartbeat();
+        break;
+      case SharedTransport.MessageType.HEARTBEAT:
+        this.handleHeartbeat(message);
+        break;
+      case SharedTransport.MessageType.RESIGN:
+        if (message.from === this.leader.id)
+          this.handleLeaderLost();
+        break;
+      case SharedTransport.MessageType.REQUEST:
+        this.handleRequest(message);
+        break;
+      case SharedTransport.MessageType.RESPONSE:
+        this.handleResponse(message);
+        break;
+      case SharedTransport.MessageType.EVENT:
+        if (message.from === this.leader.id)
+          this.handleEvent(message.name, deserializeArgs(message.args));
+        break;
+    }
+  }
+  /**
+   * @summary Follow the tab sending heartbeats. Of two leaders, the one with the smaller id keeps the connection.
+   * @private
+   * @ignore
+   * @param {{from: string, isConnected: Boolean}} message Heartbeat
+   */
+  handleHeartbeat({from, isConnected}) {
+    if (this.isLeader && from < this.id)
+      this.stepDown(from, isConnected);
+    if (this.isLeader) {
+      this.heartbeat();
+      return;
+    }
+    clearTimeout(this.timers.election);
+    this.timers.election = null;
+    this.leader.id = from;
+    this.leader.lastSeen = Date.now();
+    if (this.leader.isConnected !== isConnected)
+      this.setLeaderConnected(isConnected, isConnected ? [] : [{code: 1006, reason: 'Leader tab disconnected'}]);
+  }
+  /**
+   * @summary Send a request of another tab with the real transport and post back the result
+   * @private
+   * @ignore
+   * @param {Object} message Request
+   */
+  handleRequest({from, requestId, name, payload, expectsResponse}) {
+    if (!this.isLeader)
+      return;
+    const respond = response => this.post(Object.assign({type: SharedTransport.MessageType.RESPONSE, to: from,
+      requestId}, response));
+    this
+      .request(name, payload, expectsResponse)
+      .then(result => respond({result}), error => respond({error: serializeError(error)}));
+  }
+  /**
+   * @summary Settle a request sent through the leader
+   * @private
+   * @ignore
+   * @param {Object} message Response
+   */
+  handleResponse({requestId, result, error}) {
+    const pending = this.pending[requestId];
+    if (!pending)
+      return;
+    delete this.pending[requestId];
+    if (error)
+      pending.reject(deserializeError(error));
+    else
+      pending.resolve(result);
+  }
+  /**
+   * @summary Emit an event the leader's transport emitted
+   * @private
+   * @ignore
+   * @param {string} name Event name
+   * @param {Array} args Event arguments
+   */
+  handleEvent(name, args) {
+    if (name === Transport.Event.CONNECTED || name === Transport.Event.DISCONNECTED)
+      this.setLeaderConnected(name === Transport.Event.CONNECTED, args);
+    else if (this.wantsConnection)
+      this.emit(name, ...args);
+  }
+  /**
+   * @summary The leader resigned or timed out. Fail the requests it did not answer and elect a new one.
+   * @private
+   * @ignore
+   */
+  handleLeaderLost() {
+    this.leader.id = null;
+    this.rejectPending();
+    this.setLeaderConnected(false, [{code: 1006, reason: 'Leader tab closed'}]);
+    this.scheduleElection(Math.round(Math.random() * this.electionTimeout));
+  }
+  /**
+   * @summary Update the leader's connection state and mirror it if this tab wants to be connected
+   * @private
+   * @ignore
+   * @param {Boolean} isConnected Connection state of the leader
+   * @param {Array} args Event arguments
+   */
+  setLeaderConnected(isConnected, args) {
+    this.leader.isConnected = isConnected;
+    if (this.wantsConnection || !isConnected)
+      this.setConnected(isConnected, args);
+  }
+  /**
+   * @summary Emit `CONNECTED` or `DISCONNECTED` if the state changes
+   * @private
+   * @ignore
+   * @param {Boolean} isConnected Connection state
+   * @param {Array} args Event arguments
+   */
+  setConnected(isConnected, args) {
+    if (this.isConnected === isConnected)
+      return;
+    this.isConnected = isConnected;
+    this.emit(isConnected ? Transport.Event.CONNECTED : Transport.Event.DISCONNECTED, ...args);
+  }
+  /**
+   * @summary Claim the leadership after `delay` unless a leader shows up
+   * @private
+   * @ignore
+   * @param {Number} delay Delay in milliseconds
+   */
+  scheduleElection(delay) {
+    clearTimeout(this.timers.election);
+    this.timers.election = setTimeout(() => {
+      this.timers.election = null;
+      if (!this.leader.id && this.wantsConnection)
+        this.becomeLeader();
+    }, delay);
+  }
+  /**
+   * @summary Send heartbeats as the leader, or check the leader's as a follower
+   * @private
+   * @ignore
+   */
+  tick() {
+    if (this.isLeader)
+      this.heartbeat();
+    else if (this.leader.id && Date.now() - this.leader.lastSeen > this.leaderTimeout)
+      this.handleLeaderLost();
+    else if (!this.leader.id && this.wantsConnection && !this.timers.election)
+      this.scheduleElection(0);
+  }
+  /**
+   * @summary Take over the connection
+   * @private
+   * @ignore
+   */
+  becomeLeader() {
+    this.isLeader = true;
+    this.leader = {id: this.id, isConnected: false, lastSeen: Date.now()};
+    if (!this.transport)
+      this.transport = this.createTransport(this.url, this.options);
+    this.hookTransport();
+    this.heartbeat();
+    this.emit(SharedTransport.Event.LEADERSHIP_CHANGED, {isLeader: true});
+    if (this.wantsConnection)
+      this.transport.connect();
+  }
+  /**
+   * @summary Give up the leadership to another leader found after a split election
+   * @private
+   * @ignore
+   * @param {string} leaderId New leader
+   * @param {Boolean} isConnected Connection state of the new leader
+   */
+  stepDown(leaderId, isConnected) {
+    this.isLeader = false;
+    this.leader = {id: leaderId, isConnected, lastSeen: Date.now()};
+    this.transport.disconnect();
+    this.emit(SharedTransport.Event.LEADERSHIP_CHANGED, {isLeader: false});
+  }
+  /**
+   * @summary Close the real transport and let the other tabs elect a new leader
+   * @private
+   * @ignore
+   */
+  resign() {
+    this.post({type: SharedTransport.MessageType.RESIGN});
+    this.isLeader = false;
+    this.leader = {id: null, isConnected: false, lastSeen: 0};
+    this.transport.disconnect();
+    this.emit(SharedTransport.Event.LEADERSHIP_CHANGED, {isLeader: false});
+  }
+  /**
+   * @summary Emit every event of the real transport locally, and post it to the other tabs while leading
+   * @private
+   * @ignore
+   */
+  hookTransport() {
+    if (this.transport.isHooked)
+      return;
+    const emit = this.transport.emit;
+    this.transport.isHooked = true;
+    this.transport.emit = (name, ...args) => {
+      const result = emit.call(this.transport, name, ...args);
+      if (name === Transport.Event.CONNECTED || name === Transport.Event.DISCONNECTED)
+        this.setConnected(name === Transport.Event.CONNECTED, args);
+      else
+        this.emit(name, ...args);
+      if (this.isLeader) {
+        this.leader.isConnected = this.isConnected;
+        this.post({type: SharedTransport.MessageType.EVENT, name, args: serializeArgs(args)});
+      }
+      return result;
+    };
+  }
+  /**
+   * @summary Post the leader heartbeat
+   * @private
+   * @ignore
+   */
+  heartbeat() {
+    this.post({type: SharedTransport.MessageType.HEARTBEAT, isConnected: this.leader.isConnected});
+  }
+  /**
+   * @summary Reject the requests waiting for the leader
+   * @private
+   * @ignore
+   */
+  rejectPending() {
+    const pending = this.pending;
+    this.pending = {};
+    Object.keys(pending).forEach(requestId =>
+      pending[requestId].reject(new Errors.ConnectionError(`Leader tab is gone`)));
+  }
+  /**
+   * @summary Post a message to the other tabs
+   * @private
+   * @ignore
+   * @param {Object} message Message
+   */
+  post(message) {
+    if (this.channel)
+      this.channel.postMessage(Object.assign({from: this.id}, message));
+  }
+}
+/**
+ * @static
+ * @readonly
+ * @enum {string}
+ */
+SharedTransport.Event = {
+  LEADERSHIP_CHANGED: '_leadership_changed'
+};
+/**
+ * @summary Channel message types
+ * @static
+ * @readonly
+ * @ignore
+ * @enum {string}
+ */
+SharedTransport.MessageType = {
+  HELLO: 'hello',
+  HEARTBEAT: 'heartbeat',
+  RESIGN: 'resign',
+  REQUEST: 'request',
+  RESPONSE: 'response',
+  EVENT: 'event'
+};
+module.exports = SharedTransport;
@@ -0,0 +1,81 @@
+const EventEmitterExtra = require('event-emitter-extra');
+class Transport extends EventEmitterExtra {
+  /**
+   * @class Transport
+   * @extends {EventEmitterExtra}
+   * @summary Interface the SDK sends requests through. `line-socket` clients implement it as is.
+   *
+   * A transport emits `Transport.Event.*` for its connection state and emits every pushed server message
+   * under the message name, with a `{name, payload}` object.
+   *
+   * @param {string} url Server endpoint
+   * @param {Object} [options={}] options
+   * @param {Object} [options.handshake={}] Handshake options
+   * @param {*} options.handshake.payload Handshake payload. Read on every `connect()`, the SDK updates it
+   *                                    before reconnecting.
+   *
+   * @example
+   *
+   * const socketkit = new SocketKit({
+   *   token: 'abc',
+   *   accountId: 1,
+   *   transport: (endpoint, options) => new MyTransport(endpoint, options)
+   * });
+   */
+  constructor(url, options = {}) {
+    super();
+    this.url = url;
+    this.options = options;
+  }
+  /**
+   * @summary Open the connection and send the handshake. Returns `false` if it is already connecting.
+   * @abstract
+   */
+  connect() {
+    throw new Error(`connect is not implemented`);
+  }
+  /**
+   * @summary Close the connection. Returns `false` if it is not connected.
+   * @abstract
+   * @param {Number} [code] Close code
+   * @param {*} [reason] Close reason
+   */
+  disconnect(code, reason) {
+    throw new Error(`disconnect is not implemented`);
+  }
+  /**
+   * @summary Send a message and wait for its response
+   * @abstract
+   * @param {!string} name Message name
+   * @param {*} [payload] Message payload
+   * @return {Promise}
+   */
+  send(name, payload) {
+    return Promise.reject(new Error(`send is not implemented`));
+  }
+  /**
+   * @summary Send a message without waiting for a response
+   * @abstract
+   * @param {!string} name Message name
+   * @param {*} [payload] Message payload
+   * @return {Promise}
+   */
+  sendWithoutResponse(name, payload) {
+    return Promise.reject(new Error(`sendWithoutResponse is not implemented`));
+  }
+}
+/**
+ * @summary Connection events, same values as `LineClient.Event`
+ * @static
+ * @readonly
+ * @enum {string}
+ */
+Transport.Event = {
+  CONNECTING: '_connecting',
+  CONNECTING_ERROR: '_connecting_error',
+  CONNECTED: '_connected',
+  DISCONNECTING: '_disconnecting',
+  DISCONNECTED: '_disconnected',
+  ERROR: '_error'
+};
+module.exports = Transport;
@@ -0,0 +1,64 @@
+const fs = require('fs');
+const path = require('path');
+const generateId = require('../utils/generate-id');
+const {ValidationError, AbortError} = require('../errors');
+const toBuffer = async data => {
+  if (Buffer.isBuffer(data))
+    return data;
+  if (typeof data.arrayBuffer === 'function')
+    return Buffer.from(await data.arrayBuffer());
+  if (ArrayBuffer.isView(data))
+    return Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+  return Buffer.from(data);
+};
+class DiskUploader {
+  /**
+   * @class DiskUploader
+   * @summary Writes uploaded files to a local directory. Node.js only, meant for tests and local development.
+   *
+   * @param {Object} [options={}] options
+   * @param {!string} options.directory Existing directory files are written to
+   * @param {Number} [options.chunkSize=65536] Bytes written between progress reports
+   */
+  constructor({directory, chunkSize = 64 * 1024} = {}) {
+    if (!directory)
+      throw new ValidationError(`directory is required`);
+    this.directory = directory;
+    this.chunkSize = chunkSize;
+  }
+  /**
+   * @summary Write a file
+   * @param {!{data: (Blob|Buffer|ArrayBuffer), name: string, type: string, size: Number}} file File
+   * @param {Object} [options={}] options
+   * @param {Function} [options.onProgress] Progress callback
+   * @param {AbortSignal} [options.signal] Stops writing between chunks, removes the partial file and rejects
+   *                                       with `AbortError`
+   * @return {Promise<{reference: string}>}
+   */
+  async upload(file, {onProgress = () => {}, signal} = {}) {
+    if (signal && signal.aborted)
+      throw new AbortError(`Upload is aborted`);
+    const buffer = await toBuffer(file.data);
+    const filePath = path.join(this.directory, `${generateId()}-${path.basename(file.name)}`);
+    await new Promise((resolve, reject) => {
+      const stream = fs.createWriteStream(filePath);
+      let offset = 0;
+      const writeNext = () => {
+        if (signal && signal.aborted)
+          return stream.destroy(new AbortError(`Upload is aborted`));
+        if (offset >= buffer.length)
+          return stream.end(resolve);
+        const chunk = buffer.slice(offset, offset + this.chunkSize);
+        offset += chunk.length;
+        stream.write(chunk, () => {
+          onProgress({loaded: offset, total: buffer.length});
+          writeNext();
+        });
+      };
+      stream.on('error', error => fs.unlink(filePath, () => reject(error)));
+      writeNext();
+    });
+    return {reference: `file://${filePath}`};
+  }
+}
+module.exports = DiskUploader;
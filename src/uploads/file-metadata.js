@@ -0,0 +1,113 @@
+const {ValidationError} = require('../errors');
+/**
+ * @summary MIME types by file extension, used when the input does not carry a type
+ * @ignore
+ */
+const MimeTypes = {
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  svg: 'image/svg+xml',
+  mp3: 'audio/mpeg',
+  m4a: 'audio/mp4',
+  ogg: 'audio/ogg',
+  wav: 'audio/wav',
+  mp4: 'video/mp4',
+  mov: 'video/quicktime',
+  webm: 'video/webm',
+  pdf: 'application/pdf',
+  zip: 'application/zip',
+  json: 'application/json',
+  txt: 'text/plain',
+  csv: 'text/csv'
+};
+const isBlob = data => typeof Blob !== 'undefined' && data instanceof Blob;
+const isNodeStream = data => !!data && typeof data.pipe === 'function' && typeof data.on === 'function';
+const isWebStream = data => !!data && typeof data.getReader === 'function';
+const isStream = data => isNodeStream(data) || isWebStream(data);
+const isBytes = data => (typeof Buffer !== 'undefined' && Buffer.isBuffer(data)) ||
+  data instanceof ArrayBuffer || ArrayBuffer.isView(data);
+const readNodeStream = stream => new Promise((resolve, reject) => {
+  const chunks = [];
+  stream.on('data', chunk => chunks.push(typeof chunk === 'string' ? Buffer.from(chunk) : chunk));
+  stream.on('end', () => resolve(Buffer.concat(chunks)));
+  stream.on('error', reject);
+});
+const readWebStream = async stream => {
+  const reader = stream.getReader();
+  const chunks = [];
+  for (let result = await reader.read(); !result.done; result = await reader.read())
+    chunks.push(typeof result.value === 'string' ? new TextEncoder().encode(result.value) : result.value);
+  if (typeof Buffer !== 'undefined')
+    return Buffer.concat(chunks);
+  const bytes = new Uint8Array(chunks.reduce((size, chunk) => size + chunk.byteLength, 0));
+  chunks.reduce((offset, chunk) => {
+    bytes.set(chunk, offset);
+    return offset + chunk.byteLength;
+  }, 0);
+  return bytes;
+};
+const readStream = stream => isWebStream(stream) ? readWebStream(stream) : readNodeStream(stream);
+/**
+ * @summary Guess a MIME type from a file name
+ * @ignore
+ * @param {string} name File name
+ * @return {string}
+ */
+function getMimeType(name) {
+  const extension = (name || '').split('.').pop().toLowerCase();
+  return MimeTypes[extension] || 'application/octet-stream';
+}
+/**
+ * @summary Read the duration of an audio or video Blob in seconds. Browser only, resolves `null` elsewhere.
+ * @ignore
+ * @param {Blob} blob Media blob
+ * @param {string} type MIME type
+ * @return {Promise<?Number>}
+ */
+function getMediaLength(blob, type) {
+  const isMedia = /^(audio|video)\//.test(type);
+  if (!isMedia || !isBlob(blob) || typeof document === 'undefined' || typeof URL === 'undefined' ||
+      !URL.createObjectURL)
+    return Promise.resolve(null);
+  return new Promise(resolve => {
+    const element = document.createElement(type.split('/')[0]);
+    const url = URL.createObjectURL(blob);
+    const done = length => {
+      URL.revokeObjectURL(url);
+      resolve(length);
+    };
+    element.preload = 'metadata';
+    element.onloadedmetadata = () => done(isFinite(element.duration) ? element.duration : null);
+    element.onerror = () => done(null);
+    element.src = url;
+  });
+}
+/**
+ * @summary Normalize a file input into `{data, name, type, size, length}`. Node.js and Web streams are read
+ *          into a Buffer, or a Uint8Array where there is no Buffer.
+ * @ignore
+ *
+ * @param {Blob|Buffer|ArrayBuffer|ReadableStream|Object} file File, or `{data, name, type, length}`
+ * @param {Number} index Position of the file, used for default names
+ *
+ * @return {Promise<{data: (Blob|Buffer|ArrayBuffer), name: string, type: string, size: Number, length: ?Number}>}
+ */
+async function readFile(file, index) {
+  const input = isBlob(file) || isBytes(file) || isStream(file) ? {data: file} : (file || {});
+  let data = input.data;
+  if (isStream(data))
+    data = await readStream(data);
+  if (!isBlob(data) && !isBytes(data))
+    throw new ValidationError(`files[${index}] must be a Blob, Buffer or stream`);
+  const path = input.data && input.data.path && String(input.data.path);
+  const name = input.name || data.name || (path && path.split(/[\\/]/).pop()) || `file-${index + 1}`;
+  const type = input.type || data.type || getMimeType(name);
+  const size = isBlob(data) ? data.size : data.byteLength;
+  const length = input.length !== undefined ? input.length : await getMediaLength(data, type);
+  return {data, name, type, size, length};
+}
+exports.getMimeType = getMimeType;
+exports.readFile = readFile;
@@ -0,0 +1,47 @@
+const generateId = require('../utils/generate-id');
+const {AbortError} = require('../errors');
+class MemoryUploader {
+  /**
+   * @class MemoryUploader
+   * @summary Keeps uploaded files in memory. Meant for tests.
+   *
+   * Uploaders implement `upload(file, {onProgress, signal})` where `file` is `{data, name, type, size}`, and resolve
+   * `{reference}`. `onProgress` is called with `{loaded, total}` in bytes.
+   *
+   * @example
+   *
+   * const socketkit = new SocketKit({
+   *   token: 'abc',
+   *   accountId: 1,
+   *   uploader: new SocketKit.MemoryUploader()
+   * });
+   */
+  constructor() {
+    this.files = {};
+  }
+  /**
+   * @summary Store a file
+   * @param {!{data: (Blob|Buffer|ArrayBuffer), name: string, type: string, size: Number}} file File
+   * @param {Object} [options={}] options
+   * @param {Function} [options.onProgress] Progress callback
+   * @param {AbortSignal} [options.signal] Rejects with `AbortError` without storing the file if already aborted
+   * @return {Promise<{reference: string}>}
+   */
+  upload(file, {onProgress = () => {}, signal} = {}) {
+    if (signal && signal.aborted)
+      return Promise.reject(new AbortError(`Upload is aborted`));
+    const reference = `memory://${generateId()}/${encodeURIComponent(file.name)}`;
+    this.files[reference] = file;
+    onProgress({loaded: file.size, total: file.size});
+    return Promise.resolve({reference});
+  }
+  /**
+   * @summary Get a stored file
+   * @param {!string} reference Reference returned by `upload`
+   * @return {?Object}
+   */
+  get(reference) {
+    return this.files[reference] || null;
+  }
+}
+module.exports = MemoryUploader;
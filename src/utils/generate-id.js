@@ -0,0 +1,10 @@
+/**
+ * @summary Generate a random, client side unique identifier.
+ * @ignore
+ * @return {string}
+ */
+function generateId() {
+  const random = () => Math.random().toString(36).slice(2, 10);
+  return `${Date.now().toString(36)}-${random()}-${random()}`;
+}
+module.exports = generateId;
@@ -0,0 +1,26 @@
+/**
+ * @summary Map items through an async function with at most `limit` calls in flight.
+ * @ignore
+ * @param {Array} items Items
+ * @param {Number} limit Maximum number of pending calls
+ * @param {Function} fn Called with the item and its index, returns a promise
+ * @return {Promise<Array>} Results in the order of `items`
+ */
+function mapLimit(items, limit, fn) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+  const worker = () => {
+    if (nextIndex >= items.length)
+      return Promise.resolve();
+    const index = nextIndex++;
+    return Promise.resolve(fn(items[index], index)).then(result => {
+      results[index] = result;
+      return worker();
+    });
+  };
+  const workers = [];
+  for (let i = 0; i < Math.max(1, Math.min(limit, items.length)); i++)
+    workers.push(worker());
+  return Promise.all(workers).then(() => results);
+}
+module.exports = mapLimit;
@@ -0,0 +1,72 @@
+class PageIterator {
+  /**
+   * @class PageIterator
+   * @summary Async iterator yielding items page by page.
+   * @ignore
+   *
+   * @param {Object} options options
+   * @param {!Function} options.fetchPage Called with the cursor, resolves `{items, cursor}`.
+   *                                      A `null` cursor ends the iteration after the page.
+   * @param {*} [options.cursor=null] Initial cursor
+   * @param {Function} [options.filter] Items it returns `false` for are skipped
+   * @param {Function} [options.onEnd] Called once when the iteration ends or is stopped
+   */
+  constructor({fetchPage, cursor = null, filter = () => true, onEnd = () => {}}) {
+    this.fetchPage = fetchPage;
+    this.cursor = cursor;
+    this.filter = filter;
+    this.onEnd = onEnd;
+    this.buffer = [];
+    this.isLastPage = false;
+    this.isDone = false;
+  }
+  /**
+   * @summary Get the next item
+   * @return {Promise<{value: *, done: Boolean}>}
+   */
+  async next() {
+    while (!this.buffer.length && !this.isLastPage && !this.isDone) {
+      let page;
+      try {
+        page = await this.fetchPage(this.cursor);
+      } catch (error) {
+        this.end();
+        throw error;
+      }
+      this.buffer = page.items.filter(this.filter);
+      this.isLastPage = page.cursor === null || page.cursor === undefined;
+      this.cursor = page.cursor;
+    }
+    if (this.isDone || !this.buffer.length)
+      return this.end();
+    return {value: this.buffer.shift(), done: false};
+  }
+  /**
+   * @summary Stop iterating. Called by `for await` on `break`.
+   * @return {Promise<{value: undefined, done: Boolean}>}
+   */
+  async return() {
+    return this.end();
+  }
+  /**
+   * @summary Finish the iteration
+   * @private
+   * @return {{value: undefined, done: Boolean}}
+   */
+  end() {
+    if (!this.isDone) {
+      this.isDone = true;
+      this.buffer = [];
+      this.onEnd();
+    }
+    return {value: undefined, done: true};
+  }
+  /**
+   * @summary Async iteration protocol
+   * @return {PageIterator}
+   */
+  [Symbol.asyncIterator]() {
+    return this;
+  }
+}
+module.exports = PageIterator;
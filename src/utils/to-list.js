@@ -0,0 +1,13 @@
+/**
+ * @summary Get the list out of a server response which is either the list itself or an object holding it.
+ * @ignore
+ * @param {Array|Object} result Server response
+ * @param {string} key Key holding the list
+ * @return {Array}
+ */
+function toList(result, key) {
+  if (Array.isArray(result))
+    return result;
+  return (result && result[key]) || [];
+}
+module.exports = toList;
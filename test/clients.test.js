@@ -0,0 +1,143 @@
+const assert = require('assert');
+const ClientController = require('../src/clients/controller');
+const {SocketKit, createServer, connect, disconnectAll, once} = require('./helpers');
+
+describe('ClientController', () => {
+  let server;
+  let service;
+  const instances = [];
+
+  beforeEach(async () => {
+    server = createServer();
+    service = await connect(server);
+    instances.push(service);
+  });
+  afterEach(() => disconnectAll(instances));
+
+  it('creates a client that can connect with its token', async () => {
+    const created = await service.Clients.create({uniqueClientKey: 'user-9', token: 'user-9-token', properties: {}});
+    assert.deepStrictEqual(created, {uniqueClientKey: 'user-9', properties: {}});
+    const client = await connect(server, {token: 'user-9-token'});
+    instances.push(client);
+    assert.strictEqual(client.Rooms.currentClientKey, 'user-9');
+  });
+
+  it('rejects a duplicate client', async () => {
+    await assert.rejects(service.Clients.create({uniqueClientKey: 'user-1', token: 'x', properties: {}}),
+      SocketKit.Errors.ValidationError);
+  });
+
+  it('finds, updates and deletes a client', async () => {
+    await service.Clients.update('user-1', {properties: {name: 'Ada'}});
+    assert.deepStrictEqual((await service.Clients.findByKey('user-1')).properties, {name: 'Ada'});
+    await service.Clients.delete('user-1');
+    await assert.rejects(service.Clients.findByKey('user-1'), SocketKit.Errors.NotFoundError);
+  });
+
+  it('pages through clients', async () => {
+    const page = await service.Clients.findAll({pagination: {limit: 2}});
+    assert.strictEqual(page.clients.length, 2);
+    assert.ok(page.nextCursor);
+    const keys = [];
+    for await (const client of service.Clients.iterateAll({pageSize: 2}))
+      keys.push(client.uniqueClientKey);
+    assert.deepStrictEqual(keys, ['user-1', 'user-2', 'user-3']);
+  });
+
+  it('filters clients by properties, matching any value of an array', async () => {
+    await service.Clients.update('user-1', {properties: {plan: 'pro', name: 'Cy'}});
+    await service.Clients.update('user-2', {properties: {plan: 'team', name: 'Ada'}});
+    await service.Clients.update('user-3', {properties: {plan: 'free', name: 'Bo'}});
+    const pro = await service.Clients.findAll({filter: {properties: {plan: 'pro'}}});
+    assert.deepStrictEqual(pro.clients.map(({uniqueClientKey}) => uniqueClientKey), ['user-1']);
+    const paid = await service.Clients.findAll({filter: {properties: {plan: ['pro', 'team']}}});
+    assert.deepStrictEqual(paid.clients.map(({uniqueClientKey}) => uniqueClientKey), ['user-1', 'user-2']);
+    await assert.rejects(service.Clients.findAll({filter: {properties: 'pro'}}), SocketKit.Errors.ValidationError);
+  });
+
+  it('sorts clients in both orders', async () => {
+    await service.Clients.update('user-1', {properties: {name: 'Cy'}});
+    await service.Clients.update('user-2', {properties: {name: 'Ada'}});
+    await service.Clients.update('user-3', {properties: {name: 'Bo'}});
+    const keys = async sort => (await service.Clients.findAll({sort})).clients.map(client => client.uniqueClientKey);
+    assert.deepStrictEqual(await keys({by: 'properties.name'}), ['user-2', 'user-3', 'user-1']);
+    assert.deepStrictEqual(await keys({by: 'properties.name', order: 'desc'}), ['user-1', 'user-3', 'user-2']);
+    assert.deepStrictEqual(await keys({order: 'desc'}), ['user-3', 'user-2', 'user-1']);
+    await assert.rejects(keys({by: 'name'}), SocketKit.Errors.ValidationError);
+    await assert.rejects(keys({order: 'up'}), SocketKit.Errors.ValidationError);
+  });
+
+  it('finds many clients by key once each, leaving unknown keys out', async () => {
+    const clients = await service.Clients.findManyByKeys(['user-2', 'missing', 'user-1', 'user-2']);
+    assert.deepStrictEqual(clients.map(({uniqueClientKey}) => uniqueClientKey), ['user-2', 'user-1']);
+    await assert.rejects(service.Clients.findManyByKeys([]), SocketKit.Errors.ValidationError);
+  });
+
+  it('upserts and deletes clients in bulk', async () => {
+    const clients = [1, 2, 3, 4, 5].map(i => ({uniqueClientKey: `bulk-${i}`, token: `t${i}`, properties: {}}));
+    const report = await service.Clients.bulkUpsert(clients, {batchSize: 2});
+    assert.strictEqual(report.succeeded.length, 5);
+    assert.strictEqual(report.failed.length, 0);
+    const deleted = await service.Clients.bulkDelete(['bulk-1', 'bulk-2', 'missing']);
+    assert.deepStrictEqual(deleted.failed.map(({uniqueClientKey}) => uniqueClientKey), ['missing']);
+  });
+
+  it('syncs clients without deleting unless asked to prune', async () => {
+    const source = [
+      {uniqueClientKey: 'user-1', token: 'user-1-token', properties: {name: 'Ada'}},
+      {uniqueClientKey: 'user-4', token: 'user-4-token', properties: {}}
+    ];
+    const report = await service.Clients.syncFrom(source);
+    assert.deepStrictEqual(report.created, ['user-4']);
+    assert.deepStrictEqual(report.updated, ['user-1']);
+    assert.deepStrictEqual(report.deleted, []);
+    const pruned = await service.Clients.syncFrom(source, {prune: true});
+    assert.deepStrictEqual(pruned.deleted.sort(), ['user-2', 'user-3']);
+    assert.deepStrictEqual(pruned.unchanged.sort(), ['user-1', 'user-4']);
+  });
+
+  it('refuses to prune with an empty source unless allowed', async () => {
+    await assert.rejects(service.Clients.syncFrom([], {prune: true}), SocketKit.Errors.ValidationError);
+    assert.strictEqual((await service.Clients.findAll()).clients.length, 3);
+    const report = await service.Clients.syncFrom([], {prune: true, allowEmpty: true});
+    assert.deepStrictEqual(report.deleted.sort(), ['user-1', 'user-2', 'user-3']);
+  });
+
+  it('rejects client management from a client connection', async () => {
+    const client = await connect(server, {token: 'user-1-token'});
+    instances.push(client);
+    await assert.rejects(client.Clients.create({uniqueClientKey: 'user-9', token: 'x', properties: {}}),
+      SocketKit.Errors.PermissionError);
+  });
+
+  it('sets and reads presence', async () => {
+    const first = await connect(server, {token: 'user-1-token'});
+    const second = await connect(server, {token: 'user-2-token'});
+    instances.push(first, second);
+    const room = await first.Rooms.create({title: 'General'});
+    await first.Rooms.addMemberById(room.id, {targetUniqueClientKey: 'user-2'});
+    const changed = once(second.Clients, ClientController.Events.PRESENCE_CHANGED);
+    await first.Clients.setStatus(SocketKit.PresenceStatus.AWAY);
+    assert.strictEqual((await changed).status, SocketKit.PresenceStatus.AWAY);
+    const presence = await service.Clients.getPresence(['user-1', 'user-3']);
+    assert.deepStrictEqual(presence.map(({status}) => status), ['away', 'offline']);
+  });
+
+  it('reads presence wrapped in an object', async () => {
+    const client = await connect(server, {token: 'user-1-token'});
+    instances.push(client);
+    const room = await client.Rooms.create({title: 'General'});
+    const getPresence = server.handlers.get_presence;
+    const getOnlineMembers = server.handlers.get_online_members;
+    server.handlers.get_presence = function(...args) {
+      return {presence: getPresence.apply(this, args)};
+    };
+    server.handlers.get_online_members = function(...args) {
+      return {members: getOnlineMembers.apply(this, args)};
+    };
+    const presence = await service.Clients.getPresence(['user-1', 'user-3']);
+    assert.deepStrictEqual(presence.map(({status}) => status), ['online', 'offline']);
+    const members = await client.Rooms.getOnlineMembers(room.id);
+    assert.deepStrictEqual(members.map(({uniqueClientKey}) => uniqueClientKey), ['user-1']);
+  });
+});
@@ -0,0 +1,109 @@
+const assert = require('assert');
+const {ConnectionPool} = require('../src/node');
+const {SocketKit, SERVICE_TOKEN, createServer, once, delay} = require('./helpers');
+
+describe('ConnectionPool', () => {
+  let server;
+  let pool;
+  const createPool = (options = {}) => new ConnectionPool(Object.assign({
+    getToken: () => SERVICE_TOKEN,
+    options: {
+      transport: server.createTransport(),
+      reconnect: false,
+      instrumentation: {logLevel: SocketKit.LogLevel.SILENT}
+    }
+  }, options));
+
+  beforeEach(() => {
+    server = createServer();
+  });
+  afterEach(() => pool && pool.shutdown({timeout: 0}));
+
+  it('runs routed methods on one connection per account', async () => {
+    pool = createPool();
+    const opened = [];
+    pool.on(ConnectionPool.Event.CONNECTION_OPENED, ({accountId}) => opened.push(accountId));
+    const account = pool.account(1);
+    const room = await account.Rooms.create({title: 'Announcements'});
+    const client = await account.Clients.findByKey('user-1');
+    assert.strictEqual((await account.Rooms.findById(room.id)).title, 'Announcements');
+    assert.strictEqual(client.uniqueClientKey, 'user-1');
+    assert.deepStrictEqual(opened, [1]);
+    assert.deepStrictEqual(pool.getAccountIds(), ['1']);
+  });
+
+  it('points methods outside the allow-list to acquire', () => {
+    pool = createPool();
+    const account = pool.account(1);
+    ['room', 'iterateAll', 'iterateMessages', 'getUnreadCount', 'request'].forEach(method =>
+      assert.throws(() => account.Rooms[method](1), /use pool\.acquire\(accountId\)/));
+    assert.throws(() => account.Clients.iterateAll(), SocketKit.Errors.ValidationError);
+    assert.deepStrictEqual(pool.getAccountIds(), []);
+  });
+
+  it('closes connections after they are idle', async () => {
+    pool = createPool({idleTimeout: 20});
+    await pool.account(1).Rooms.findAll();
+    const {accountId, reason} = await once(pool, ConnectionPool.Event.CONNECTION_CLOSED);
+    assert.strictEqual(accountId, 1);
+    assert.strictEqual(reason, ConnectionPool.CloseReason.IDLE);
+    assert.deepStrictEqual(pool.getAccountIds(), []);
+  });
+
+  it('fails calls when the account can not connect', async () => {
+    pool = createPool({getToken: () => 'wrong'});
+    const failed = once(pool, ConnectionPool.Event.CONNECTION_FAILED);
+    const closed = once(pool, ConnectionPool.Event.CONNECTION_CLOSED);
+    await assert.rejects(pool.account(1).Rooms.findAll(), SocketKit.Errors.AuthError);
+    assert.ok((await failed).error instanceof SocketKit.Errors.AuthError);
+    assert.strictEqual((await closed).reason, ConnectionPool.CloseReason.FAILED);
+    assert.deepStrictEqual(pool.getAccountIds(), []);
+  });
+
+  it('times out connections that do not open', async () => {
+    pool = createPool({getToken: () => new Promise(() => {}), connectTimeout: 20});
+    await assert.rejects(pool.account(1).Rooms.findAll(), SocketKit.Errors.TimeoutError);
+  });
+
+  it('drains calls in progress on shutdown', async () => {
+    pool = createPool();
+    let isFinished = false;
+    const running = pool.run(1, async socketkit => {
+      await delay(30);
+      isFinished = true;
+      return socketkit.Rooms.findAll();
+    });
+    await delay(5);
+    const closed = once(pool, ConnectionPool.Event.CONNECTION_CLOSED);
+    const isDrained = await pool.shutdown({timeout: 1000});
+    assert.strictEqual(isDrained, true);
+    assert.strictEqual(isFinished, true);
+    assert.deepStrictEqual(await running, []);
+    assert.strictEqual((await closed).reason, ConnectionPool.CloseReason.SHUTDOWN);
+    await assert.rejects(pool.acquire(1), SocketKit.Errors.ConnectionError);
+  });
+
+  it('stops waiting for calls after the shutdown timeout', async () => {
+    pool = createPool();
+    const socketkit = await pool.acquire(1);
+    assert.ok(socketkit.isConnected);
+    assert.strictEqual(await pool.shutdown({timeout: 10}), false);
+    assert.deepStrictEqual(pool.getAccountIds(), []);
+  });
+
+  it('closes a connection whose handshake completes after it was closed', async () => {
+    pool = createPool();
+    const acquired = pool.acquire(1);
+    const entry = pool.connections[1];
+    entry.socketkit.on(SocketKit.Event.CONNECTED, () => assert.fail('should not connect'));
+    const handshake = server.handshake;
+    server.handshake = function(...args) {
+      pool.close(entry, ConnectionPool.CloseReason.IDLE);
+      return handshake.apply(this, args);
+    };
+    await assert.rejects(acquired, SocketKit.Errors.ConnectionError);
+    await delay(10);
+    assert.strictEqual(entry.socketkit.isConnected, false);
+    assert.deepStrictEqual(server.transports, []);
+  });
+});
@@ -0,0 +1,104 @@
+const assert = require('assert');
+const {SocketKit, createServer, createSocketKit, connect, disconnectAll, once} = require('./helpers');
+
+describe('SocketKit connection', () => {
+  let server;
+  const instances = [];
+
+  beforeEach(() => server = createServer());
+  afterEach(() => disconnectAll(instances));
+
+  it('connects as the service', async () => {
+    const socketkit = await connect(server);
+    instances.push(socketkit);
+    assert.strictEqual(socketkit.isConnected, true);
+    assert.strictEqual(socketkit.Rooms.currentClientKey, null);
+  });
+
+  it('connects as a client', async () => {
+    const socketkit = await connect(server, {token: 'user-1-token'});
+    instances.push(socketkit);
+    assert.strictEqual(socketkit.Rooms.currentClientKey, 'user-1');
+  });
+
+  it('emits DISCONNECTED after disconnect without reconnecting', async () => {
+    const socketkit = await connect(server);
+    const disconnected = once(socketkit, SocketKit.Event.DISCONNECTED);
+    socketkit.on(SocketKit.Event.RECONNECTING, () => assert.fail('should not reconnect'));
+    socketkit.disconnect();
+    await disconnected;
+    assert.strictEqual(socketkit.isConnected, false);
+  });
+
+  it('reconnects after the connection drops and keeps the controllers', async () => {
+    const socketkit = await connect(server, {reconnectOptions: {initialDelay: 5, jitter: 0}});
+    instances.push(socketkit);
+    const {Rooms, Clients} = socketkit;
+    const reconnecting = once(socketkit, SocketKit.Event.RECONNECTING);
+    const reconnected = once(socketkit, SocketKit.Event.RECONNECTED);
+    server.dropAll();
+    assert.deepStrictEqual(await reconnecting, {attempt: 1, delay: 5});
+    assert.deepStrictEqual(await reconnected, {attempts: 1});
+    assert.strictEqual(socketkit.Rooms, Rooms);
+    assert.strictEqual(socketkit.Clients, Clients);
+    const room = await socketkit.Rooms.create({title: 'After reconnect'});
+    assert.strictEqual(room.title, 'After reconnect');
+  });
+
+  it('gives up after maxAttempts', async () => {
+    const socketkit = await connect(server, {reconnectOptions: {initialDelay: 5, jitter: 0, maxAttempts: 2}});
+    instances.push(socketkit);
+    server.handshake = () => {
+      throw Object.assign(new Error('Unavailable'), {code: 'unavailable', closeCode: 1011});
+    };
+    const failed = once(socketkit, SocketKit.Event.RECONNECT_FAILED);
+    server.dropAll();
+    assert.deepStrictEqual(await failed, {attempts: 2});
+    assert.strictEqual(socketkit.isConnected, false);
+  });
+
+  it('emits AUTH_FAILED when the token is rejected on reconnect', async () => {
+    const socketkit = await connect(server, {reconnectOptions: {initialDelay: 5, jitter: 0}});
+    instances.push(socketkit);
+    server.accounts[1] = 'rotated-token';
+    const failed = once(socketkit, SocketKit.Event.AUTH_FAILED);
+    server.dropAll();
+    const {error} = await failed;
+    assert.ok(error instanceof SocketKit.Errors.AuthError);
+  });
+
+  it('emits AUTH_FAILED for an invalid token', async () => {
+    const socketkit = createSocketKit(server, {token: 'wrong'});
+    instances.push(socketkit);
+    const failed = once(socketkit, SocketKit.Event.AUTH_FAILED);
+    socketkit.connect();
+    const {error} = await failed;
+    assert.ok(error instanceof SocketKit.Errors.AuthError);
+    assert.strictEqual(socketkit.isConnected, false);
+  });
+
+  it('refreshes the token with getToken before reconnecting', async () => {
+    let token = 'user-1-token';
+    const socketkit = await connect(server, {token: null, getToken: () => token, reconnectOptions: {initialDelay: 5}});
+    instances.push(socketkit);
+    server.clients['1:user-1'].token = token = 'user-1-new-token';
+    const reconnected = once(socketkit, SocketKit.Event.RECONNECTED);
+    server.dropAll();
+    await reconnected;
+    assert.strictEqual(socketkit.token, 'user-1-new-token');
+  });
+
+  it('retries when the token provider fails during a reconnect', async () => {
+    let calls = 0;
+    const getToken = () => ++calls === 2 ? Promise.reject(new Error('Offline')) : 'user-1-token';
+    const socketkit = await connect(server, {token: null, getToken, reconnectOptions: {initialDelay: 5, jitter: 0}});
+    instances.push(socketkit);
+    socketkit.on(SocketKit.Event.AUTH_FAILED, () => assert.fail('should not fail authentication'));
+    const connectingError = once(socketkit, SocketKit.Event.CONNECTING_ERROR);
+    const reconnected = once(socketkit, SocketKit.Event.RECONNECTED);
+    server.dropAll();
+    assert.ok(await connectingError instanceof SocketKit.Errors.ConnectionError);
+    assert.deepStrictEqual(await reconnected, {attempts: 2});
+    assert.strictEqual(calls, 3);
+  });
+});
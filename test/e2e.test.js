@@ -0,0 +1,103 @@
+const assert = require('assert');
+const {SocketKit, createServer, connect, disconnectAll} = require('./helpers');
+
+describe('End-to-end encryption', () => {
+  let server;
+  let service;
+  const keys = {};
+  const instances = [];
+  const connectWithKeys = async uniqueClientKey => {
+    const socketkit = await connect(server, {token: `${uniqueClientKey}-token`, e2e: keys[uniqueClientKey]});
+    instances.push(socketkit);
+    return socketkit;
+  };
+  const stripEncryption = roomId => {
+    server.rooms[roomId].properties = {};
+    Object.keys(server.rooms[roomId].members).forEach(key => server.rooms[roomId].members[key].properties = {});
+  };
+  const lastStoredMessage = roomId => server.messages[roomId][server.messages[roomId].length - 1];
+
+  before(async () => {
+    keys['user-1'] = await SocketKit.generateKeyPair();
+    keys['user-2'] = await SocketKit.generateKeyPair();
+  });
+
+  beforeEach(async () => {
+    server = createServer();
+    service = await connect(server);
+    instances.push(service);
+    await Promise.all(Object.keys(keys).map(key =>
+      service.Clients.update(key, {properties: {e2ePublicKey: keys[key].publicKey}})));
+  });
+  afterEach(() => disconnectAll(instances));
+
+  it('encrypts messages of encrypted rooms', async () => {
+    const owner = await connectWithKeys('user-1');
+    const room = await owner.Rooms.create({title: 'Secret', isEncrypted: true});
+    const sent = await owner.Rooms.sendMessageById(room.id, {text: 'Hello'});
+    assert.strictEqual(sent.text, 'Hello');
+    assert.notStrictEqual(lastStoredMessage(room.id).text, 'Hello');
+  });
+
+  it('keeps the properties of an encrypted message edited without them', async () => {
+    const owner = await connectWithKeys('user-1');
+    const room = await owner.Rooms.create({title: 'Secret', isEncrypted: true});
+    const attachments = [{reference: 'memory://1/plan.pdf', type: 'application/pdf', name: 'plan.pdf', size: 3}];
+    const sent = await owner.Rooms.sendMessageById(room.id, {text: 'Plan', properties: {attachments, pinned: 1}});
+    const edited = await owner.Rooms.editMessage(room.id, sent.id, {text: 'New plan'});
+    assert.strictEqual(edited.text, 'New plan');
+    assert.deepStrictEqual(edited.properties, {attachments, pinned: 1, isEncrypted: true});
+    assert.notStrictEqual(lastStoredMessage(room.id).text, 'New plan');
+    assert.notStrictEqual(lastStoredMessage(room.id).properties.attachments[0].reference, attachments[0].reference);
+  });
+
+  it('keeps encrypting after the server drops the flag', async () => {
+    const owner = await connectWithKeys('user-1');
+    const room = await owner.Rooms.create({title: 'Secret', isEncrypted: true});
+    await owner.Rooms.addMemberById(room.id, {targetUniqueClientKey: 'user-2'});
+    const member = await connectWithKeys('user-2');
+    await member.Rooms.sendMessageById(room.id, {text: 'First'});
+    stripEncryption(room.id);
+    await owner.Rooms.findById(room.id);
+    await member.Rooms.findById(room.id);
+    await owner.Rooms.sendMessageById(room.id, {text: 'Second'});
+    assert.notStrictEqual(lastStoredMessage(room.id).text, 'Second');
+    await member.Rooms.sendMessageById(room.id, {text: 'Third'});
+    assert.notStrictEqual(lastStoredMessage(room.id).text, 'Third');
+  });
+
+  it('treats a room with a wrapped key as encrypted without the flag', async () => {
+    const owner = await connectWithKeys('user-1');
+    const room = await owner.Rooms.create({title: 'Secret', isEncrypted: true});
+    await owner.Rooms.addMemberById(room.id, {targetUniqueClientKey: 'user-2'});
+    delete server.rooms[room.id].properties.isEncrypted;
+    const member = await connectWithKeys('user-2');
+    await member.Rooms.sendMessageById(room.id, {text: 'Hello'});
+    assert.notStrictEqual(lastStoredMessage(room.id).text, 'Hello');
+  });
+
+  it('keeps the room encrypted when it is updated', async () => {
+    const owner = await connectWithKeys('user-1');
+    const room = await owner.Rooms.create({title: 'Secret', isEncrypted: true});
+    await owner.Rooms.updateById(room.id, {title: 'Renamed', properties: {topic: 'Plans'}});
+    assert.strictEqual(server.rooms[room.id].properties.topic, 'Plans');
+    assert.strictEqual(server.rooms[room.id].properties.isEncrypted, true);
+    const secondDevice = await connectWithKeys('user-1');
+    await secondDevice.Rooms.sendMessageById(room.id, {text: 'Hello'});
+    assert.notStrictEqual(lastStoredMessage(room.id).text, 'Hello');
+    const received = await owner.Rooms.getMessagesById(room.id);
+    assert.strictEqual(received[0].text, 'Hello');
+  });
+
+  it('rejects sends to an encrypted room without its key', async () => {
+    const owner = await connectWithKeys('user-1');
+    const room = await owner.Rooms.create({title: 'Secret', isEncrypted: true});
+    await service.Rooms.addMemberById(room.id, {targetUniqueClientKey: 'user-2'});
+    const member = await connectWithKeys('user-2');
+    await assert.rejects(member.Rooms.sendMessageById(room.id, {text: 'Hello'}), SocketKit.Errors.PermissionError);
+    stripEncryption(room.id);
+    await member.Rooms.findById(room.id);
+    await assert.rejects(member.Rooms.sendMessageById(room.id, {text: 'Hello'}), SocketKit.Errors.PermissionError);
+    assert.strictEqual(server.messages[room.id].length, 0);
+  });
+});
@@ -0,0 +1,87 @@
+const {SocketKit} = require('../src/node');
+const {MockServer} = require('../src/testing');
+
+const SERVICE_TOKEN = 'service-token';
+
+/**
+ * @summary Create a mock server with account 1 and the clients `user-1` to `user-3`
+ * @return {MockServer}
+ */
+function createServer() {
+  const server = new MockServer({accounts: {1: SERVICE_TOKEN}});
+  ['user-1', 'user-2', 'user-3'].forEach(uniqueClientKey =>
+    server.addClient({uniqueClientKey, token: `${uniqueClientKey}-token`}));
+  return server;
+}
+
+/**
+ * @summary Create an instance connected to the mock server, as the service unless `token` is given
+ * @param {MockServer} server Mock server
+ * @param {Object} [options={}] `SocketKit` options
+ * @return {SocketKit}
+ */
+function createSocketKit(server, options = {}) {
+  return new SocketKit(Object.assign({
+    accountId: 1,
+    token: SERVICE_TOKEN,
+    transport: server.createTransport(),
+    instrumentation: {logLevel: SocketKit.LogLevel.SILENT}
+  }, options));
+}
+
+/**
+ * @summary Wait for the next emit of an event
+ * @param {EventEmitterExtra} emitter Emitter
+ * @param {string} event Event name
+ * @return {Promise} First argument of the event
+ */
+function once(emitter, event) {
+  return new Promise(resolve => emitter.once(event, payload => resolve(payload)));
+}
+
+/**
+ * @summary Connect an instance and wait for `CONNECTED` and the current client lookup
+ * @param {MockServer} server Mock server
+ * @param {Object} [options={}] `SocketKit` options
+ * @return {Promise<SocketKit>}
+ */
+async function connect(server, options = {}) {
+  const socketkit = createSocketKit(server, options);
+  const connected = once(socketkit, SocketKit.Event.CONNECTED);
+  socketkit.connect();
+  await connected;
+  const client = await socketkit.Clients.getCurrent();
+  socketkit.Rooms.setCurrentClient(client && client.uniqueClientKey);
+  return socketkit;
+}
+
+/**
+ * @summary Disconnect instances and wait until they are closed
+ * @param {Array<SocketKit>} instances Instances
+ * @return {Promise}
+ */
+function disconnectAll(instances) {
+  return Promise.all(instances.splice(0).map(socketkit => {
+    if (!socketkit.isConnected) {
+      socketkit.disconnect();
+      return null;
+    }
+    const disconnected = once(socketkit, SocketKit.Event.DISCONNECTED);
+    socketkit.disconnect();
+    return disconnected;
+  }));
+}
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+module.exports = {
+  SocketKit,
+  MockServer,
+  SERVICE_TOKEN,
+  createServer,
+  createSocketKit,
+  connect,
+  disconnectAll,
+  once,
+  delay
+};
@@ -0,0 +1,147 @@
+const assert = require('assert');
+const Histogram = require('../src/instrumentation/histogram');
+const {SocketKit, createServer, connect, disconnectAll, once} = require('./helpers');
+
+const createLogTarget = () => {
+  const lines = [];
+  const write = level => (message, fields) => lines.push({level, message, fields});
+  return {lines, debug: write('debug'), info: write('info'), warn: write('warn'), error: write('error')};
+};
+
+const createTracer = () => {
+  const spans = [];
+  return {
+    spans,
+    startSpan(name, {attributes}) {
+      const span = {name, attributes: Object.assign({}, attributes), status: null, exceptions: [], isEnded: false};
+      span.setAttribute = (key, value) => span.attributes[key] = value;
+      span.setStatus = status => span.status = status;
+      span.recordException = error => span.exceptions.push(error);
+      span.end = () => span.isEnded = true;
+      spans.push(span);
+      return span;
+    }
+  };
+};
+
+describe('Histogram', () => {
+  it('counts values into buckets and estimates percentiles', () => {
+    const histogram = new Histogram([10, 100]);
+    assert.strictEqual(histogram.percentile(0.5), null);
+    [1, 5, 50, 500].forEach(value => histogram.record(value));
+    assert.deepStrictEqual(histogram.toJSON(), {
+      count: 4,
+      sum: 556,
+      min: 1,
+      max: 500,
+      p50: 10,
+      p95: 500,
+      p99: 500,
+      buckets: [{le: 10, count: 2}, {le: 100, count: 1}, {le: Infinity, count: 1}]
+    });
+  });
+
+  it('caps percentiles at the maximum value', () => {
+    const histogram = new Histogram([10, 100]);
+    histogram.record(20);
+    assert.strictEqual(histogram.percentile(0.99), 20);
+  });
+});
+
+describe('Instrumentation', () => {
+  let server;
+  const instances = [];
+
+  beforeEach(() => {
+    server = createServer();
+  });
+
+  afterEach(() => disconnectAll(instances.splice(0)));
+
+  it('measures requests and counts connection events', async () => {
+    const socketkit = await connect(server);
+    instances.push(socketkit);
+    await socketkit.Rooms.create({title: 'Measured'});
+    await assert.rejects(socketkit.Rooms.findById(999));
+    const {counters, requests} = socketkit.getMetrics();
+    assert.strictEqual(counters.connects, 1);
+    assert.strictEqual(requests.create_room.count, 1);
+    assert.strictEqual(requests.create_room.errors, 0);
+    assert.strictEqual(requests.create_room.latency.count, 1);
+    assert.ok(requests.create_room.requestSize.sum > 0);
+    assert.ok(requests.create_room.responseSize.sum > 0);
+    assert.strictEqual(requests.get_room_info.errors, 1);
+    socketkit.instrumentation.reset();
+    assert.deepStrictEqual(socketkit.getMetrics().requests, {});
+    assert.strictEqual(socketkit.getMetrics().counters.connects, 0);
+  });
+
+  it('only counts connection events without the option', async () => {
+    const socketkit = await connect(server, {instrumentation: false});
+    instances.push(socketkit);
+    await socketkit.Rooms.create({title: 'Not measured'});
+    assert.deepStrictEqual(socketkit.getMetrics().requests, {});
+    assert.strictEqual(socketkit.getMetrics().counters.connects, 1);
+  });
+
+  it('calls the hooks around every request and logs what they throw', async () => {
+    const logger = createLogTarget();
+    const calls = [];
+    const socketkit = await connect(server, {
+      instrumentation: {
+        logger,
+        logLevel: SocketKit.LogLevel.ERROR,
+        onRequest: ({name, requestSize}) => calls.push(['request', name, requestSize > 0]),
+        onResponse: ({name, error, duration}) => {
+          calls.push(['response', name, !!error, duration >= 0]);
+          throw new Error('Broken hook');
+        }
+      }
+    });
+    instances.push(socketkit);
+    calls.splice(0);
+    logger.lines.splice(0);
+    const room = await socketkit.Rooms.create({title: 'Hooked'});
+    assert.strictEqual(room.title, 'Hooked');
+    assert.deepStrictEqual(calls, [['request', 'create_room', true], ['response', 'create_room', false, true]]);
+    assert.deepStrictEqual(logger.lines, [
+      {level: 'error', message: '[socketkit] onResponse hook failed: Broken hook', fields: undefined}
+    ]);
+  });
+
+  it('runs every request in a span and records failures', async () => {
+    const tracer = createTracer();
+    const socketkit = await connect(server, {instrumentation: {tracer, logLevel: SocketKit.LogLevel.SILENT}});
+    instances.push(socketkit);
+    tracer.spans.splice(0);
+    await socketkit.Rooms.create({title: 'Traced'});
+    await assert.rejects(socketkit.Rooms.findById(999));
+    const [created, failed] = tracer.spans;
+    assert.strictEqual(created.name, 'socketkit create_room');
+    assert.strictEqual(created.attributes['socketkit.message.name'], 'create_room');
+    assert.ok(created.attributes['socketkit.response.size'] > 0);
+    assert.strictEqual(created.status, null);
+    assert.ok(created.isEnded);
+    assert.strictEqual(failed.name, 'socketkit get_room_info');
+    assert.strictEqual(failed.exceptions.length, 1);
+    assert.strictEqual(failed.status.code, 2);
+    assert.ok(failed.isEnded);
+  });
+
+  it('logs warnings and errors to the logger by default', async () => {
+    const logger = createLogTarget();
+    const socketkit = await connect(server, {instrumentation: {logger}});
+    instances.push(socketkit);
+    socketkit.connect();
+    server.accounts[1] = 'rotated-token';
+    const failed = once(socketkit, SocketKit.Event.AUTH_FAILED);
+    server.dropAll();
+    await failed;
+    assert.deepStrictEqual(logger.lines.map(({level, message}) => [level, message]), [
+      ['warn', '[socketkit] Client is already connected'],
+      ['warn', '[socketkit] Could not connect: Invalid token'],
+      ['error', '[socketkit] Authentication failed: Token is rejected (code: 4001)']
+    ]);
+    assert.strictEqual(socketkit.getMetrics().counters.authFailures, 1);
+  });
+});
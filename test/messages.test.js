@@ -0,0 +1,149 @@
+const assert = require('assert');
+const RoomController = require('../src/rooms/controller');
+const {SocketKit, createServer, connect, disconnectAll, once, delay} = require('./helpers');
+
+describe('RoomController messages', () => {
+  let server;
+  let sender;
+  let receiver;
+  let room;
+  const instances = [];
+
+  beforeEach(async () => {
+    server = createServer();
+    sender = await connect(server, {token: 'user-1-token'});
+    receiver = await connect(server, {token: 'user-2-token'});
+    instances.push(sender, receiver);
+    room = await sender.Rooms.create({title: 'General'});
+    await sender.Rooms.addMemberById(room.id, {targetUniqueClientKey: 'user-2'});
+  });
+  afterEach(() => disconnectAll(instances));
+
+  it('sends a message that other members receive', async () => {
+    const received = once(receiver.Rooms, SocketKit.ChatEvent.MESSAGE_RECEIVED);
+    const message = await sender.Rooms.sendMessageById(room.id, {text: 'Hello', properties: {a: 1}});
+    assert.strictEqual(message.text, 'Hello');
+    assert.strictEqual(message.uniqueClientKey, 'user-1');
+    const pushed = await received;
+    assert.strictEqual(pushed.id, message.id);
+    assert.deepStrictEqual(pushed.properties, {a: 1});
+  });
+
+  it('returns messages as a list whether or not the server wraps them', async () => {
+    await sender.Rooms.sendMessageById(room.id, {text: 'Hello'});
+    const getMessages = server.handlers.get_messages;
+    server.handlers.get_messages = function(...args) {
+      return {messages: getMessages.apply(this, args)};
+    };
+    const messages = await receiver.Rooms.getMessagesById(room.id);
+    assert.deepStrictEqual(messages.map(({text}) => text), ['Hello']);
+  });
+
+  it('counts unread messages from others only', async () => {
+    await sender.Rooms.sendMessageById(room.id, {text: 'Hello'});
+    await delay(5);
+    assert.strictEqual(receiver.Rooms.getUnreadCount(room.id), 1);
+    assert.strictEqual(sender.Rooms.getUnreadCount(room.id), 0);
+  });
+
+  it('sends a retried message only once', async () => {
+    const first = await sender.Rooms.sendMessageById(room.id, {text: 'Hello', clientMessageId: 'abc'});
+    const second = await sender.Rooms.sendMessageById(room.id, {text: 'Hello', clientMessageId: 'abc'});
+    assert.strictEqual(second.id, first.id);
+    assert.strictEqual((await sender.Rooms.getMessagesById(room.id)).length, 1);
+  });
+
+  it('forgets sent messages that fail', async () => {
+    await assert.rejects(sender.Rooms.sendMessageById(999, {text: 'Hello'}), SocketKit.Errors.NotFoundError);
+    const controller = new AbortController();
+    const aborted = sender.Rooms.sendMessageById(room.id, {text: 'Hello'}, {signal: controller.signal});
+    controller.abort();
+    await assert.rejects(aborted, SocketKit.Errors.AbortError);
+    assert.deepStrictEqual(sender.Rooms.sentMessageIds, {});
+  });
+
+  it('forgets delivered messages whose echo does not arrive', async () => {
+    const service = await connect(server);
+    instances.push(service);
+    const ttl = RoomController.SentMessageTTL;
+    RoomController.SentMessageTTL = 0;
+    try {
+      await service.Rooms.sendMessageById(room.id, {text: 'First', clientMessageId: 'first'});
+      await delay(2);
+      const second = service.Rooms.sendMessageById(room.id, {text: 'Second', clientMessageId: 'second'});
+      assert.deepStrictEqual(Object.keys(service.Rooms.sentMessageIds), ['second']);
+      await second;
+    } finally {
+      RoomController.SentMessageTTL = ttl;
+    }
+  });
+
+  it('pages through messages', async () => {
+    for (let i = 1; i <= 5; i++)
+      await sender.Rooms.sendMessageById(room.id, {text: `m${i}`});
+    const latest = await receiver.Rooms.getMessagesById(room.id, {limit: 2});
+    assert.deepStrictEqual(latest.map(({text}) => text), ['m4', 'm5']);
+    const texts = [];
+    for await (const message of receiver.Rooms.iterateMessages(room.id, {pageSize: 2}))
+      texts.push(message.text);
+    assert.deepStrictEqual(texts, ['m4', 'm5', 'm2', 'm3', 'm1']);
+  });
+
+  it('keeps open message iterators off the listener limit', async () => {
+    await sender.Rooms.sendMessageById(room.id, {text: 'Hello'});
+    const iterators = Array.from({length: 15}, () => receiver.Rooms.iterateMessages(room.id));
+    assert.strictEqual(receiver.Rooms.messageIterators.size, 0);
+    const firsts = await Promise.all(iterators.map(iterator => iterator.next()));
+    assert.ok(firsts.every(({value}) => value.text === 'Hello'));
+    assert.strictEqual(receiver.Rooms.messageIterators.size, 15);
+    const received = once(receiver.Rooms, SocketKit.ChatEvent.MESSAGE_RECEIVED);
+    const sent = await sender.Rooms.sendMessageById(room.id, {text: 'Live'});
+    await received;
+    assert.ok(Array.from(receiver.Rooms.messageIterators).every(({seen}) => seen[sent.id]));
+    await Promise.all(iterators.map(iterator => iterator.return()));
+    assert.strictEqual(receiver.Rooms.messageIterators.size, 0);
+  });
+
+  it('edits and deletes a message', async () => {
+    const message = await sender.Rooms.sendMessageById(room.id, {text: 'Helo'});
+    const edited = once(receiver.Rooms, SocketKit.ChatEvent.MESSAGE_EDITED);
+    await sender.Rooms.editMessage(room.id, message.id, {text: 'Hello'});
+    assert.strictEqual((await edited).text, 'Hello');
+    const deleted = once(receiver.Rooms, SocketKit.ChatEvent.MESSAGE_DELETED);
+    await sender.Rooms.deleteMessage(room.id, message.id);
+    assert.strictEqual((await deleted).id, message.id);
+  });
+
+  it('adds reactions and read receipts', async () => {
+    const message = await sender.Rooms.sendMessageById(room.id, {text: 'Hello'});
+    const reacted = await receiver.Rooms.addReaction(room.id, message.id, '👍');
+    assert.deepStrictEqual(reacted.reactions, {'👍': {count: 1, uniqueClientKeys: ['user-2']}});
+    const receipt = once(sender.Rooms, SocketKit.ChatEvent.READ_RECEIPT);
+    await receiver.Rooms.markRead(room.id, message.id);
+    assert.strictEqual((await receipt).uniqueClientKey, 'user-2');
+  });
+
+  it('queues messages while disconnected and sends them after reconnecting', async () => {
+    const queued = await connect(server, {token: 'user-1-token', queue: true, reconnectOptions: {initialDelay: 20}});
+    instances.push(queued);
+    const disconnected = once(queued, SocketKit.Event.DISCONNECTED);
+    server.dropAll();
+    await disconnected;
+    const message = await queued.Rooms.sendMessageById(room.id, {text: 'Offline'});
+    assert.strictEqual(message.text, 'Offline');
+    assert.strictEqual(queued.isConnected, true);
+  });
+
+  it('times queued messages out only after they are sent', async () => {
+    const queued = await connect(server, {token: 'user-1-token', queue: true, reconnectOptions: {initialDelay: 40}});
+    instances.push(queued);
+    const disconnected = once(queued, SocketKit.Event.DISCONNECTED);
+    server.dropAll();
+    await disconnected;
+    const message = await queued.Rooms.sendMessageById(room.id, {text: 'Offline'}, {timeout: 20});
+    assert.strictEqual(message.text, 'Offline');
+    server.handlers.send_message_to_room = () => new Promise(() => {});
+    await assert.rejects(queued.Rooms.sendMessageById(room.id, {text: 'Lost'}, {timeout: 20}),
+      SocketKit.Errors.TimeoutError);
+  });
+});
@@ -0,0 +1,143 @@
+const assert = require('assert');
+const RateLimiter = require('../src/queue/rate-limiter');
+const TokenBucket = require('../src/queue/token-bucket');
+const Batcher = require('../src/queue/batcher');
+const {SocketKit, createServer, connect, disconnectAll, once} = require('./helpers');
+
+describe('RateLimiter', () => {
+  it('queues sends over the limit of a key in order', async () => {
+    const limiter = new RateLimiter({key: {capacity: 1, perSecond: 100}});
+    const sent = [];
+    const depths = [];
+    limiter.on(RateLimiter.Event.QUEUE_CHANGED, ({key, depth}) => depths.push([key, depth]));
+    await Promise.all([1, 2, 3].map(index => limiter.schedule(1, () => sent.push(index))));
+    assert.deepStrictEqual(sent, [1, 2, 3]);
+    assert.deepStrictEqual(depths, [[1, 1], [1, 2], [1, 1], [1, 0]]);
+  });
+
+  it('does not take tokens for a timestamp older than the bucket', () => {
+    const bucket = new TokenBucket({capacity: 1, perSecond: 1});
+    assert.strictEqual(bucket.getWait(bucket.updatedAt - 1), 0);
+  });
+
+  it('limits keys separately and shares the connection bucket', async () => {
+    const perKey = new RateLimiter({key: {capacity: 1, perSecond: 1}});
+    perKey.schedule(1, () => {});
+    perKey.schedule(2, () => {});
+    assert.strictEqual(perKey.getDepth(), 0);
+    const shared = new RateLimiter({connection: {capacity: 1, perSecond: 100}, key: {capacity: 5, perSecond: 1}});
+    const sent = [];
+    const first = shared.schedule(1, () => sent.push(1));
+    const second = shared.schedule(2, () => sent.push(2));
+    assert.strictEqual(shared.getDepth(2), 1);
+    await Promise.all([first, second]);
+    assert.deepStrictEqual(sent, [1, 2]);
+  });
+
+  it('removes aborted sends from the queue', async () => {
+    const limiter = new RateLimiter({key: {capacity: 1, perSecond: 1}});
+    const controller = new AbortController();
+    await limiter.schedule(1, () => {});
+    const waiting = limiter.schedule(1, () => assert.fail('Aborted send ran'), controller.signal);
+    controller.abort();
+    await assert.rejects(waiting, SocketKit.Errors.AbortError);
+    assert.strictEqual(limiter.getDepth(1), 0);
+  });
+
+  it('rejects invalid limits', () => {
+    assert.throws(() => new RateLimiter({key: {capacity: 0, perSecond: 1}}), SocketKit.Errors.ValidationError);
+  });
+});
+
+describe('Batcher', () => {
+  let sent;
+  const client = {
+    send: (name, payload) => {
+      sent.push({name, payload, expectsResponse: true});
+      return Promise.resolve(payload);
+    },
+    sendWithoutResponse: (name, payload) => {
+      sent.push({name, payload, expectsResponse: false});
+      return Promise.resolve();
+    }
+  };
+
+  beforeEach(() => {
+    sent = [];
+  });
+
+  it('merges requests of a key and sends each key as its own message', async () => {
+    const batcher = new Batcher(client, {interval: 5});
+    const results = await Promise.all([
+      batcher.add('room:1', 'update_room', {roomId: 1, title: 'First'}),
+      batcher.add('room:2', 'update_room', {roomId: 2, title: 'Other'}),
+      batcher.add('room:1', 'update_room', {roomId: 1, title: 'Second', properties: undefined})
+    ]);
+    assert.deepStrictEqual(sent, [
+      {name: 'update_room', payload: {roomId: 1, title: 'Second'}, expectsResponse: true},
+      {name: 'update_room', payload: {roomId: 2, title: 'Other'}, expectsResponse: true}
+    ]);
+    assert.deepStrictEqual(results.map(({title}) => title), ['Second', 'Other', 'Second']);
+  });
+
+  it('sends without response unless a merged caller expects one', async () => {
+    const batcher = new Batcher(client, {interval: 0});
+    await batcher.add('typing:1', 'typing', {roomId: 1, isTyping: true}, {expectsResponse: false});
+    assert.strictEqual(sent[0].expectsResponse, false);
+  });
+
+  it('flushes once maxSize requests are waiting', () => {
+    const batcher = new Batcher(client, {interval: 1000, maxSize: 2});
+    batcher.add('a', 'typing', {roomId: 1});
+    assert.strictEqual(sent.length, 0);
+    batcher.add('b', 'typing', {roomId: 2});
+    assert.strictEqual(sent.length, 2);
+  });
+
+  it('sends merged requests through the schedule hook', async () => {
+    const batcher = new Batcher(client, {interval: 0});
+    const scheduled = [];
+    const schedule = send => {
+      scheduled.push(sent.length);
+      return send();
+    };
+    await Promise.all([
+      batcher.add('room:1', 'update_room', {roomId: 1}, {schedule}),
+      batcher.add('room:1', 'update_room', {roomId: 1}, {schedule})
+    ]);
+    assert.deepStrictEqual(scheduled, [0]);
+    assert.strictEqual(sent.length, 1);
+  });
+
+  it('rejects every merged caller when the send fails', async () => {
+    const failing = {send: () => Promise.reject(new Error('Nope'))};
+    const batcher = new Batcher(failing, {interval: 0});
+    const first = batcher.add('room:1', 'update_room', {roomId: 1});
+    const second = batcher.add('room:1', 'update_room', {roomId: 1});
+    await Promise.all([assert.rejects(first, /Nope/), assert.rejects(second, /Nope/)]);
+  });
+});
+
+describe('RoomController rate limit', () => {
+  let server;
+  const instances = [];
+
+  beforeEach(() => {
+    server = createServer();
+  });
+  afterEach(() => disconnectAll(instances));
+
+  it('makes batched updates take a connection token', async () => {
+    const owner = await connect(server, {
+      token: 'user-1-token',
+      rateLimit: {connection: {capacity: 1, perSecond: 20}},
+      batching: {interval: 0}
+    });
+    instances.push(owner);
+    const room = await owner.Rooms.create({title: 'General'});
+    const queued = once(owner.Rooms, SocketKit.ChatEvent.SEND_QUEUE_CHANGED);
+    const updated = owner.Rooms.updateById(room.id, {title: 'Renamed'});
+    assert.deepStrictEqual(await queued, {roomId: room.id, depth: 1, total: 1});
+    assert.strictEqual((await updated).title, 'Renamed');
+  });
+});
@@ -0,0 +1,144 @@
+const assert = require('assert');
+const {SocketKit, createServer, connect, disconnectAll, once} = require('./helpers');
+
+describe('RoomController', () => {
+  let server;
+  let owner;
+  let member;
+  const instances = [];
+
+  beforeEach(async () => {
+    server = createServer();
+    owner = await connect(server, {token: 'user-1-token'});
+    member = await connect(server, {token: 'user-2-token'});
+    instances.push(owner, member);
+  });
+  afterEach(() => disconnectAll(instances));
+
+  it('creates a room with the creator as owner', async () => {
+    const room = await owner.Rooms.create({title: 'General', properties: {topic: 'all'}});
+    assert.strictEqual(room.title, 'General');
+    assert.deepStrictEqual(room.properties, {topic: 'all'});
+    assert.strictEqual(room.members[0].uniqueClientKey, 'user-1');
+    assert.strictEqual(room.members[0].role, SocketKit.RoomRole.OWNER);
+    assert.strictEqual(owner.Rooms.store.getState().rooms[room.id].title, 'General');
+  });
+
+  it('rejects a room without title', async () => {
+    await assert.rejects(owner.Rooms.create({}), SocketKit.Errors.ValidationError);
+  });
+
+  it('finds, updates and deletes a room', async () => {
+    const room = await owner.Rooms.create({title: 'General'});
+    assert.strictEqual((await owner.Rooms.findById(room.id)).id, room.id);
+    const updated = await owner.Rooms.updateById(room.id, {title: 'Renamed', properties: {a: 1}});
+    assert.strictEqual(updated.title, 'Renamed');
+    assert.deepStrictEqual((await owner.Rooms.findAll()).map(({title}) => title), ['Renamed']);
+    await owner.Rooms.deleteById(room.id);
+    await assert.rejects(owner.Rooms.findById(room.id), SocketKit.Errors.NotFoundError);
+  });
+
+  it('adds a member, who is notified and can read the room', async () => {
+    const room = await owner.Rooms.create({title: 'General'});
+    const joined = once(member.Rooms, SocketKit.ChatEvent.JOINED_TO_ROOM);
+    const added = await owner.Rooms.addMemberById(room.id, {targetUniqueClientKey: 'user-2'});
+    assert.strictEqual(added.role, SocketKit.RoomRole.MEMBER);
+    assert.strictEqual((await joined).id, room.id);
+    const members = await member.Rooms.getMembers(room.id);
+    assert.deepStrictEqual(members.map(({uniqueClientKey}) => uniqueClientKey), ['user-1', 'user-2']);
+  });
+
+  it('rejects requests the member has no permission for before sending them', async () => {
+    const room = await owner.Rooms.create({title: 'General'});
+    await owner.Rooms.addMemberById(room.id, {targetUniqueClientKey: 'user-2'});
+    await member.Rooms.findById(room.id);
+    await member.Rooms.getMembers(room.id);
+    await assert.rejects(member.Rooms.updateById(room.id, {title: 'Mine'}), SocketKit.Errors.PermissionError);
+    await assert.rejects(member.Rooms.addMemberById(room.id, {targetUniqueClientKey: 'user-3'}),
+      SocketKit.Errors.PermissionError);
+  });
+
+  it('checks member updates per changed field', async () => {
+    const room = await owner.Rooms.create({title: 'General'});
+    await owner.Rooms.addMemberById(room.id, {targetUniqueClientKey: 'user-2'});
+    await member.Rooms.getMembers(room.id);
+    const updated = await member.Rooms.updateMemberById(room.id, {
+      targetUniqueClientKey: 'user-2',
+      role: SocketKit.RoomRole.MEMBER,
+      properties: {nickname: 'Bob'}
+    });
+    assert.deepStrictEqual(updated.properties, {nickname: 'Bob'});
+    await assert.rejects(member.Rooms.updateMemberById(room.id, {
+      targetUniqueClientKey: 'user-2',
+      role: SocketKit.RoomRole.MODERATOR
+    }), SocketKit.Errors.PermissionError);
+    await assert.rejects(member.Rooms.updateMemberById(room.id, {targetUniqueClientKey: 'user-1', properties: {}}),
+      SocketKit.Errors.PermissionError);
+    await assert.rejects(member.Rooms.updateMemberById(room.id, {
+      targetUniqueClientKey: 'user-2',
+      isAllowedToPost: true
+    }), SocketKit.Errors.PermissionError);
+  });
+
+  it('checks member updates on the server when members are not loaded', async () => {
+    const room = await owner.Rooms.create({title: 'General'});
+    await owner.Rooms.addMemberById(room.id, {targetUniqueClientKey: 'user-2'});
+    const fresh = await connect(server, {token: 'user-2-token'});
+    instances.push(fresh);
+    await fresh.Rooms.updateMemberById(room.id, {targetUniqueClientKey: 'user-2', properties: {nickname: 'Bob'}});
+    await assert.rejects(fresh.Rooms.updateMemberById(room.id, {
+      targetUniqueClientKey: 'user-2',
+      role: SocketKit.RoomRole.OWNER
+    }), SocketKit.Errors.PermissionError);
+    await assert.rejects(fresh.Rooms.updateMemberById(room.id, {targetUniqueClientKey: 'user-1', properties: {}}),
+      SocketKit.Errors.PermissionError);
+  });
+
+  it('removes a member', async () => {
+    const room = await owner.Rooms.create({title: 'General'});
+    await owner.Rooms.addMemberById(room.id, {targetUniqueClientKey: 'user-2'});
+    const removed = once(member.Rooms, SocketKit.ChatEvent.REMOVED_FROM_ROOM);
+    await owner.Rooms.removeMemberById(room.id, {targetUniqueClientKey: 'user-2'});
+    assert.deepStrictEqual(await removed, {roomId: room.id});
+    await assert.rejects(member.Rooms.findById(room.id), SocketKit.Errors.PermissionError);
+  });
+
+  it('re-emits events on any number of room handles', async () => {
+    const room = await owner.Rooms.create({title: 'General'});
+    const other = await owner.Rooms.create({title: 'Random'});
+    const handles = Array.from({length: 15}, () => owner.Rooms.room(room.id));
+    const otherHandle = owner.Rooms.room(other.id);
+    const received = handles.map(handle => once(handle, SocketKit.ChatEvent.MESSAGE_RECEIVED));
+    otherHandle.on(SocketKit.ChatEvent.MESSAGE_RECEIVED, () => assert.fail('Message of another room'));
+    await owner.Rooms.sendMessageById(room.id, {text: 'Hello'});
+    const messages = await Promise.all(received);
+    assert.ok(messages.every(({text}) => text === 'Hello'));
+    handles.concat(otherHandle).forEach(handle => handle.dispose());
+    assert.deepStrictEqual(owner.Rooms.roomHandles, {});
+  });
+
+  it('tracks typing members', async () => {
+    const room = await owner.Rooms.create({title: 'General'});
+    await owner.Rooms.addMemberById(room.id, {targetUniqueClientKey: 'user-2'});
+    const changed = once(member.Rooms, SocketKit.ChatEvent.TYPING_CHANGED);
+    await owner.Rooms.setTyping(room.id, true);
+    assert.deepStrictEqual(await changed, {roomId: room.id, members: ['user-1']});
+    assert.deepStrictEqual(member.Rooms.getTypingMembers(room.id), ['user-1']);
+  });
+
+  it('clears typing members and outgoing typing when disconnected', async () => {
+    const room = await owner.Rooms.create({title: 'General'});
+    await owner.Rooms.addMemberById(room.id, {targetUniqueClientKey: 'user-2'});
+    const typing = once(member.Rooms, SocketKit.ChatEvent.TYPING_CHANGED);
+    await owner.Rooms.setTyping(room.id, true);
+    await member.Rooms.setTyping(room.id, true);
+    await typing;
+    const cleared = once(member.Rooms, SocketKit.ChatEvent.TYPING_CHANGED);
+    const disconnected = once(member, SocketKit.Event.DISCONNECTED);
+    member.disconnect();
+    await disconnected;
+    assert.deepStrictEqual(await cleared, {roomId: room.id, members: []});
+    assert.deepStrictEqual(member.Rooms.getTypingMembers(room.id), []);
+    assert.deepStrictEqual(member.Rooms.outgoingTyping, {});
+  });
+});
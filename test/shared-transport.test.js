@@ -0,0 +1,116 @@
+const assert = require('assert');
+const {SocketKit, createServer, connect, disconnectAll, once, delay} = require('./helpers');
+
+class FakeBroadcastChannel {
+  constructor(name) {
+    this.name = name;
+    this.onmessage = null;
+    FakeBroadcastChannel.channels.push(this);
+  }
+  postMessage(data) {
+    const message = JSON.parse(JSON.stringify(data));
+    FakeBroadcastChannel.channels
+      .filter(channel => channel !== this && channel.name === this.name)
+      .forEach(channel => setTimeout(() => {
+        if (FakeBroadcastChannel.channels.indexOf(channel) > -1 && channel.onmessage)
+          channel.onmessage({data: message});
+      }, 0));
+  }
+  close() {
+    FakeBroadcastChannel.channels = FakeBroadcastChannel.channels.filter(channel => channel !== this);
+  }
+}
+FakeBroadcastChannel.channels = [];
+
+describe('SharedTransport', () => {
+  let server;
+  const instances = [];
+  const connectTab = (pageTarget = null) => {
+    global.self = pageTarget;
+    const connected = connect(server, {
+      token: 'user-1-token',
+      shared: {
+        heartbeatInterval: 10,
+        leaderTimeout: 50,
+        electionTimeout: 10,
+        createChannel: name => new FakeBroadcastChannel(name)
+      }
+    });
+    delete global.self;
+    return connected.then(socketkit => {
+      instances.push(socketkit);
+      return socketkit;
+    });
+  };
+  const pageEvent = (type, persisted) => Object.assign(new Event(type), {persisted});
+
+  beforeEach(() => {
+    server = createServer();
+  });
+  afterEach(async () => {
+    const clients = instances.map(socketkit => socketkit.client);
+    await disconnectAll(instances);
+    clients.forEach(client => client.close());
+    FakeBroadcastChannel.channels = [];
+  });
+
+  it('elects one leader and sends the requests of other tabs through it', async () => {
+    const first = await connectTab();
+    const second = await connectTab();
+    assert.strictEqual(first.isLeader(), true);
+    assert.strictEqual(second.isLeader(), false);
+    assert.strictEqual(server.transports.length, 1);
+    const room = await second.Rooms.create({title: 'General'});
+    assert.strictEqual((await first.Rooms.findById(room.id)).title, 'General');
+  });
+
+  it('fails over when the leader disconnects', async () => {
+    const first = await connectTab();
+    const second = await connectTab();
+    const leadership = once(second, SocketKit.Event.LEADERSHIP_CHANGED);
+    const reconnected = once(second, SocketKit.Event.CONNECTED);
+    first.disconnect();
+    assert.deepStrictEqual(await leadership, {isLeader: true});
+    await reconnected;
+    assert.ok(await second.Rooms.create({title: 'General'}));
+  });
+
+  it('fails over when the leader stops sending heartbeats', async () => {
+    const first = await connectTab();
+    const second = await connectTab();
+    clearInterval(first.client.timers.heartbeat);
+    first.client.channel.close();
+    first.client.channel = null;
+    assert.deepStrictEqual(await once(second, SocketKit.Event.LEADERSHIP_CHANGED), {isLeader: true});
+  });
+
+  it('hands over on pagehide and joins again when restored from the back/forward cache', async () => {
+    const page = new EventTarget();
+    const first = await connectTab(page);
+    const second = await connectTab();
+    const leadership = once(second, SocketKit.Event.LEADERSHIP_CHANGED);
+    page.dispatchEvent(pageEvent('pagehide', true));
+    assert.strictEqual(first.isConnected, false);
+    assert.deepStrictEqual(await leadership, {isLeader: true});
+    await once(second, SocketKit.Event.CONNECTED);
+    const reconnected = once(first, SocketKit.Event.CONNECTED);
+    page.dispatchEvent(pageEvent('pageshow', true));
+    await reconnected;
+    assert.strictEqual(first.isLeader(), false);
+    const room = await first.Rooms.create({title: 'General'});
+    assert.strictEqual(room.title, 'General');
+  });
+
+  it('stays out of the channel while hidden', async () => {
+    const page = new EventTarget();
+    const first = await connectTab(page);
+    page.dispatchEvent(pageEvent('pagehide', false));
+    first.client.connect();
+    await delay(30);
+    assert.strictEqual(first.client.channel, null);
+    assert.strictEqual(first.client.isConnected, false);
+    page.dispatchEvent(pageEvent('pageshow', false));
+    await delay(30);
+    assert.strictEqual(first.client.channel, null);
+  });
+});
@@ -0,0 +1,67 @@
+const assert = require('assert');
+const {SocketKit} = require('./helpers');
+const {parseRoomEvent, RoomEventType} = require('../src/rooms/room-event');
+
+describe('RoomStore', () => {
+  let store;
+
+  beforeEach(() => {
+    store = new SocketKit.RoomStore();
+    store.setRooms([{id: 1, title: 'General', members: []}]);
+  });
+
+  it('calls subscribers when the selected value changes', () => {
+    const titles = [];
+    store.subscribe(state => state.rooms[1].title, (title, previous) => titles.push([title, previous]));
+    store.patchRoom(1, {unreadCount: 2});
+    store.patchRoom(1, {title: 'Renamed'});
+    assert.deepStrictEqual(titles, [['Renamed', 'General']]);
+  });
+
+  it('supports more subscribers than the listener limit', () => {
+    const calls = [];
+    const unsubscribes = Array.from({length: 25}, (_, index) => store.subscribe(() => calls.push(index)));
+    store.patchRoom(1, {title: 'Renamed'});
+    assert.strictEqual(calls.length, 25);
+    unsubscribes.forEach(unsubscribe => unsubscribe());
+    store.patchRoom(1, {title: 'Again'});
+    assert.strictEqual(calls.length, 25);
+  });
+
+  it('lets a subscriber unsubscribe while being called', () => {
+    let calls = 0;
+    const unsubscribe = store.subscribe(() => {
+      calls++;
+      unsubscribe();
+    });
+    store.subscribe(() => calls++);
+    store.patchRoom(1, {title: 'Renamed'});
+    store.patchRoom(1, {title: 'Again'});
+    assert.strictEqual(calls, 3);
+  });
+
+  it('keeps room fields a partial room update does not carry', () => {
+    store.patchRoom(1, {properties: {topic: 'All'}, unreadCount: 2});
+    const {payload} = parseRoomEvent({roomId: 1, type: RoomEventType.ROOM_UPDATED, data: {title: 'Renamed'}});
+    const {roomId, ...fields} = payload;
+    store.patchRoom(roomId, fields);
+    const room = store.getState().rooms[1];
+    assert.strictEqual(room.title, 'Renamed');
+    assert.deepStrictEqual(room.properties, {topic: 'All'});
+    assert.strictEqual(room.unreadCount, 2);
+  });
+
+  it('keeps member fields a partial member update does not carry', () => {
+    const joined = parseRoomEvent({roomId: 1, type: RoomEventType.MEMBER_JOINED,
+      data: {uniqueClientKey: 'user-2', role: 'moderator', isAllowedToPost: true}});
+    store.setMember(1, joined.payload);
+    const {payload} = parseRoomEvent({roomId: 1, type: RoomEventType.MEMBER_UPDATED,
+      data: {uniqueClientKey: 'user-2', isAllowedToPost: false}});
+    const {roomId, ...member} = payload;
+    store.setMember(roomId, member);
+    const stored = store.getState().members[1]['user-2'];
+    assert.strictEqual(stored.role, 'moderator');
+    assert.deepStrictEqual(stored.permissions, joined.payload.permissions);
+    assert.strictEqual(stored.isAllowedToPost, false);
+  });
+});
@@ -0,0 +1,107 @@
+// Type tests for the declarations, checked with `npm run test:types`. Nothing here runs.
+
+import {SocketKit, MessagePayload, OutboundQueue, RoomStore} from '../../src/index';
+import {
+  SocketKit as NodeSocketKit,
+  ConnectionPool,
+  FileAdapter,
+  DiskUploader,
+  Event
+} from '../../src/node';
+import {MockServer} from '../../src/testing';
+
+const server = new MockServer({accounts: {1: 'abc'}});
+server.addClient({uniqueClientKey: 'user-1', token: 'user-1-token'});
+
+const socketkit = new SocketKit({
+  token: 'user-1-token',
+  accountId: 1,
+  transport: server.createTransport(),
+  shared: {leaderTimeout: 100}
+});
+socketkit.connect();
+socketkit.on(SocketKit.Event.DISCONNECTED, ({code}) => code);
+socketkit.on(SocketKit.Event.RECONNECTING, ({attempt, delay}) => attempt + delay);
+socketkit.on(SocketKit.Event.LEADERSHIP_CHANGED, ({isLeader}) => !isLeader);
+socketkit.Rooms.on(SocketKit.ChatEvent.MESSAGE_RECEIVED, (message: MessagePayload) => message.text.toUpperCase());
+socketkit.Rooms.on(SocketKit.ChatEvent.TYPING_CHANGED, ({members}) => members.join());
+socketkit.Clients.on('presence_changed', ({status}) => status === SocketKit.PresenceStatus.AWAY);
+// @ts-expect-error wrong payload type
+socketkit.on(SocketKit.Event.RECONNECTED, ({attempt}) => attempt);
+// @ts-expect-error unknown option value
+new SocketKit({accountId: 1, shared: 'yes'});
+
+async function rooms(): Promise<unknown[]> {
+  const room = await socketkit.Rooms.create({title: 'General', isEncrypted: true});
+  const handle = socketkit.Rooms.room(room.id);
+  handle.on(SocketKit.ChatEvent.READ_RECEIPT, ({messageId}) => messageId + 1);
+  await handle.send({text: 'Hello'});
+  for await (const message of socketkit.Rooms.iterateMessages(room.id))
+    message.reactions;
+  await socketkit.Rooms.addMemberById(room.id, {targetUniqueClientKey: 'user-2', role: SocketKit.RoomRole.MODERATOR});
+  const unread: number = socketkit.Rooms.store.select(SocketKit.RoomStore.Selectors.unreadCount(room.id));
+  return [unread];
+}
+
+async function clients(): Promise<unknown[]> {
+  const {clients, nextCursor} = await socketkit.Clients.findAll({pagination: {limit: 5}, sort: {order: 'desc'}});
+  const report = await socketkit.Clients.syncFrom(clients, {prune: false});
+  report.failed.forEach(({error}) => error instanceof SocketKit.Errors.ConnectionError);
+  return [nextCursor];
+}
+
+async function queue(): Promise<void> {
+  const outbound = new OutboundQueue();
+  const response: any = await outbound.send('send_message_to_room', {roomId: 1, text: 'Hello'});
+  await outbound.flush();
+  outbound.getEntries().forEach(({name}) => name.toUpperCase());
+  return response;
+}
+
+function store(): void {
+  const roomStore = new RoomStore();
+  roomStore.setRooms([{id: 1, title: 'General', private: false, allowPostsByDefault: true, properties: {}, members: []}]);
+  roomStore.patchRoom(1, {title: 'Renamed'});
+  const unsubscribe = roomStore.subscribe(RoomStore.Selectors.room(1), room => room && room.title);
+  unsubscribe();
+}
+
+const instrumented = new SocketKit({
+  accountId: 1,
+  instrumentation: {logLevel: SocketKit.LogLevel.DEBUG, onResponse: ({name, duration}) => name.length + duration!}
+});
+const p95: number | null = instrumented.getMetrics().requests.get_messages.latency.p95;
+instrumented.getMetrics().counters.reconnects.toFixed();
+
+const limited = new SocketKit({accountId: 1, rateLimit: {room: {capacity: 2, perSecond: 1}}, batching: true});
+limited.Rooms.on('send_queue_changed', ({roomId, depth, total}) => [roomId, depth + total]);
+const depth: number = limited.Rooms.getSendQueueDepth(1) + limited.Rooms.room(1).getSendQueueDepth();
+// @ts-expect-error perSecond is required
+new SocketKit({accountId: 1, rateLimit: {room: {capacity: 2}}});
+
+// Node.js entry
+
+NodeSocketKit.FileAdapter === FileAdapter;
+new NodeSocketKit({accountId: 1, queue: {adapter: new FileAdapter({path: '/tmp/queue.json'})}});
+new NodeSocketKit({accountId: 1, uploader: new DiskUploader({directory: '/tmp/uploads'})});
+Event.CONNECTED === 'connected';
+// @ts-expect-error only the Node.js entry has FileAdapter
+SocketKit.FileAdapter;
+
+const pool = new ConnectionPool({getToken: accountId => `token-${accountId}`, idleTimeout: 1000});
+pool.on('connection_closed', ({accountId, reason}) => accountId && reason === 'idle');
+
+async function service(): Promise<unknown[]> {
+  const room = await pool.account(1).Rooms.create({title: 'Announcements'});
+  const id: number = room.id;
+  const count: number = (await pool.account(1).Rooms.getMembers(1)).length;
+  const title: string = await pool.run(2, instance => instance.Rooms.findById(1).then(found => found.title));
+  const drained: boolean = await pool.shutdown({timeout: 10});
+  // @ts-expect-error unknown field
+  pool.account(1).Rooms.create({name: 'Announcements'});
+  // @ts-expect-error handles are only available through acquire
+  pool.account(1).Rooms.room(1);
+  return [id, count, title, drained];
+}
+
+export {rooms, clients, queue, store, service, p95, depth};
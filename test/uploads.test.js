@@ -0,0 +1,141 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {Readable} = require('stream');
+const {SocketKit, createServer, connect, disconnectAll, once} = require('./helpers');
+const {readFile} = require('../src/uploads/file-metadata');
+
+describe('Uploads', () => {
+  describe('readFile', () => {
+    it('reads a Node.js stream', async () => {
+      const file = await readFile({data: Readable.from(['Hello, ', 'world']), name: 'hello.txt'}, 0);
+      assert.strictEqual(file.data.toString(), 'Hello, world');
+      assert.strictEqual(file.type, 'text/plain');
+      assert.strictEqual(file.size, 12);
+    });
+
+    it('reads a Web ReadableStream', async () => {
+      const stream = new ReadableStream({
+        start(controller) {
+          controller.enqueue(new TextEncoder().encode('Hello, '));
+          controller.enqueue('world');
+          controller.close();
+        }
+      });
+      const file = await readFile(stream, 1);
+      assert.strictEqual(Buffer.from(file.data).toString(), 'Hello, world');
+      assert.strictEqual(file.name, 'file-2');
+      assert.strictEqual(file.size, 12);
+    });
+
+    it('rejects unsupported data', async () => {
+      await assert.rejects(readFile({data: 'text'}, 0), SocketKit.Errors.ValidationError);
+    });
+  });
+
+  describe('DiskUploader', () => {
+    let directory;
+
+    beforeEach(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'socketkit-'));
+    });
+    afterEach(() => fs.rmSync(directory, {recursive: true, force: true}));
+
+    it('writes the file in chunks', async () => {
+      const uploader = new SocketKit.DiskUploader({directory, chunkSize: 4});
+      const progress = [];
+      const {reference} = await uploader.upload({data: Buffer.from('0123456789'), name: 'digits.txt'}, {
+        onProgress: ({loaded}) => progress.push(loaded)
+      });
+      assert.deepStrictEqual(progress, [4, 8, 10]);
+      assert.strictEqual(fs.readFileSync(reference.replace('file://', ''), 'utf8'), '0123456789');
+    });
+
+    it('stops between chunks when aborted', async () => {
+      const uploader = new SocketKit.DiskUploader({directory, chunkSize: 4});
+      const controller = new AbortController();
+      const upload = uploader.upload({data: Buffer.from('0123456789'), name: 'digits.txt'}, {
+        signal: controller.signal,
+        onProgress: ({loaded}) => loaded === 4 && controller.abort()
+      });
+      await assert.rejects(upload, SocketKit.Errors.AbortError);
+      assert.deepStrictEqual(fs.readdirSync(directory), []);
+    });
+
+    it('rejects when already aborted', async () => {
+      const uploader = new SocketKit.DiskUploader({directory});
+      const controller = new AbortController();
+      controller.abort();
+      await assert.rejects(uploader.upload({data: Buffer.from('0'), name: 'zero.txt'}, {signal: controller.signal}),
+        SocketKit.Errors.AbortError);
+    });
+  });
+
+  describe('MemoryUploader', () => {
+    it('rejects when already aborted without storing the file', async () => {
+      const uploader = new SocketKit.MemoryUploader();
+      const controller = new AbortController();
+      controller.abort();
+      await assert.rejects(uploader.upload({data: Buffer.from('0'), name: 'zero.txt', size: 1},
+        {signal: controller.signal}), SocketKit.Errors.AbortError);
+      assert.deepStrictEqual(uploader.files, {});
+    });
+  });
+
+  describe('sendMessageWithFiles', () => {
+    let server;
+    let uploader;
+    let sender;
+    let receiver;
+    let room;
+    const instances = [];
+
+    beforeEach(async () => {
+      server = createServer();
+      uploader = new SocketKit.MemoryUploader();
+      sender = await connect(server, {token: 'user-1-token', uploader});
+      receiver = await connect(server, {token: 'user-2-token'});
+      instances.push(sender, receiver);
+      room = await sender.Rooms.create({title: 'Photos'});
+      await sender.Rooms.addMemberById(room.id, {targetUniqueClientKey: 'user-2'});
+    });
+    afterEach(() => disconnectAll(instances.splice(0)));
+
+    it('uploads the files and sends them as attachments', async () => {
+      const progress = [];
+      sender.Rooms.on(SocketKit.ChatEvent.UPLOAD_PROGRESS, event => progress.push(event));
+      const received = once(receiver.Rooms, SocketKit.ChatEvent.MESSAGE_RECEIVED);
+      const message = await sender.Rooms.sendMessageWithFiles(room.id, {
+        text: 'Holiday',
+        files: [{data: Buffer.from('hello'), name: 'hello.txt'}, {data: Buffer.from('{}'), name: 'data.json'}],
+        properties: {album: 'summer'}
+      });
+      const {attachments} = (await received).properties;
+      assert.deepStrictEqual(attachments.map(({type, name, size}) => ({type, name, size})), [
+        {type: 'text/plain', name: 'hello.txt', size: 5},
+        {type: 'application/json', name: 'data.json', size: 2}
+      ]);
+      assert.strictEqual(uploader.get(attachments[0].reference).data.toString(), 'hello');
+      assert.strictEqual(uploader.get(attachments[1].reference).data.toString(), '{}');
+      assert.strictEqual((await received).properties.album, 'summer');
+      const events = progress.map(({roomId, index, name, loaded, total}) => [roomId, index, name, loaded, total]);
+      assert.deepStrictEqual(events, [
+        [room.id, 0, 'hello.txt', 5, 5],
+        [room.id, 1, 'data.json', 2, 2]
+      ]);
+      assert.ok(progress.every(({clientMessageId}) => clientMessageId === message.clientMessageId));
+    });
+
+    it('does not send the message when the upload is aborted', async () => {
+      const controller = new AbortController();
+      controller.abort();
+      await assert.rejects(sender.Rooms.sendMessageWithFiles(room.id, {
+        text: 'Holiday',
+        files: [{data: Buffer.from('hello'), name: 'hello.txt'}]
+      }, {signal: controller.signal}), SocketKit.Errors.AbortError);
+      assert.deepStrictEqual(uploader.files, {});
+      assert.deepStrictEqual(server.messages[room.id], []);
+    });
+  });
+});